@@ -0,0 +1,265 @@
+// =============================================================================
+// AI Ski Jump Championship — Reference Leaderboard Server
+// Tiny dependency-free Node server for the HTTP leaderboard client
+// (src/leaderboardClient.js). Meant for local development and tests — keeps
+// scores in memory, optionally mirrored to a JSON file. Every submission is
+// replayed through the game's own physics before it's accepted.
+//
+//   npm run leaderboard-server
+//   VITE_LEADERBOARD_URL=http://localhost:8787 npm run dev
+//
+// Environment: PORT (default 8787), LEADERBOARD_FILE (optional JSON file).
+// =============================================================================
+
+import { createServer } from 'node:http'
+import { randomUUID } from 'node:crypto'
+import { readFileSync, writeFileSync } from 'node:fs'
+import { pathToFileURL } from 'node:url'
+
+import { HILLS, LANDING_MULT, PHYSICS_HZ, POSTURE, ROUNDS_PER_GAME, START_GATES, getJumper } from '../src/constants.js'
+import { BOARD_SIZE, addEntry, getAround, getRank, getTop, getWeekKey } from '../src/leaderboard.js'
+import { calculateTotal } from '../src/physics.js'
+import { sanitizeName } from '../src/player.js'
+import { verifyGame } from '../src/replay.js'
+
+// ---------------------------------------------------------------------------
+// Protocol (JSON over HTTP, CORS open)
+// ---------------------------------------------------------------------------
+// An entry is the object built by createEntry() in src/leaderboard.js:
+//   { id, name, hillId, mode, seed, total, grade,
+//     rounds: [{ distance, landingGrade, counted, inputs }],
+//     date: "YYYY-MM-DD", week: "YYYY-Www", playedAt: ISO timestamp }
+//   inputs: { jumper, gate, launchMs, landStep, lean } — see src/replay.js
+// Boards are per hill, best total first, ties to the earlier playedAt.
+// The week is the player's local ISO week, sent by the client.
+//
+// POST /api/scores                      body: entry
+//   201 { entry, weekRank, allTimeRank }
+//   422 when the seed and inputs don't reproduce the claimed rounds, or
+//       the total isn't the best-rounds sum of them.
+//   The server assigns the stored entry's id and playedAt.
+//
+// GET /api/scores/weekly?hill=&week=&limit=
+//   200 { week, entries: [entry + rank] }   week defaults to the server's
+//
+// GET /api/scores/all-time?hill=&limit=
+//   200 { entries: [entry + rank] }
+//
+// GET /api/scores/around?hill=&id=&week=&radius=
+//   200 { rank, entries: [entry + rank] }   all time when week is omitted;
+//                                           rank null if the id isn't there
+//
+// Errors: 4xx/5xx with { error: "message" }.
+
+const DEFAULT_PORT = 8787
+const MAX_BODY = 16 * 1024
+const MAX_LIMIT = 100
+const MAX_STORED = 20000
+const MAX_LAND_STEP = 10 * PHYSICS_HZ // flights are capped at 10s
+const TOTAL_TOLERANCE = 0.05 // totals are rounded to 0.1m
+
+const HILL_IDS = new Set(HILLS.map((h) => h.id))
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message)
+    this.status = status
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Validation
+// ---------------------------------------------------------------------------
+function requireHill(hillId) {
+  if (!HILL_IDS.has(hillId)) throw new HttpError(400, `unknown hill "${hillId}"`)
+  return hillId
+}
+
+function clampInt(value, fallback, min, max) {
+  const n = parseInt(value, 10)
+  return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback
+}
+
+function isStep(n) {
+  return Number.isInteger(n) && n >= 0 && n <= MAX_LAND_STEP
+}
+
+function isLeanChange(change, i, all) {
+  return Array.isArray(change) && change.length === 2
+    && isStep(change[0]) && (i === 0 || change[0] >= all[i - 1][0])
+    && Number.isInteger(change[1]) && Math.abs(change[1]) <= POSTURE.levels
+}
+
+function validateInputs(inputs) {
+  const { jumper, gate, launchMs, landStep, lean } = inputs || {}
+  const ok = Number.isInteger(jumper) && getJumper(jumper) != null
+    && Number.isInteger(gate) && gate >= 1 && gate <= START_GATES.count
+    && (launchMs === null || (Number.isFinite(launchMs) && launchMs >= 0))
+    && isStep(landStep)
+    && Array.isArray(lean) && lean.length <= POSTURE.maxChanges
+    && lean.every(isLeanChange)
+  if (!ok) throw new HttpError(400, 'bad inputs')
+  return { jumper, gate, launchMs, landStep, lean }
+}
+
+/**
+ * Re-run the game from its seed and inputs; throws 422 unless the claimed
+ * rounds and total come out of it.
+ */
+function verifyEntry(entry) {
+  const { verified } = verifyGame({
+    seed: entry.seed,
+    hillId: entry.hillId,
+    inputs: entry.rounds.map((r) => r.inputs),
+    claimed: entry.rounds,
+  })
+  if (!verified) throw new HttpError(422, 'score does not reproduce from its inputs')
+  const total = calculateTotal(entry.rounds.map((r) => r.distance))
+  if (Math.abs(total - entry.total) > TOTAL_TOLERANCE) {
+    throw new HttpError(422, 'total does not match rounds')
+  }
+}
+
+function validateEntry(body) {
+  if (!body || typeof body !== 'object') throw new HttpError(400, 'entry must be an object')
+  const { hillId, mode, seed, total, grade, rounds, date, week } = body
+  requireHill(hillId)
+  if (!Number.isFinite(total) || total < 0) throw new HttpError(400, 'bad total')
+  if (!Number.isInteger(seed) || seed < 0 || seed > 0xffffffff) throw new HttpError(400, 'bad seed')
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) throw new HttpError(400, 'bad date')
+  if (!/^\d{4}-W\d{2}$/.test(week)) throw new HttpError(400, 'bad week')
+  if (!Array.isArray(rounds) || rounds.length !== ROUNDS_PER_GAME) {
+    throw new HttpError(400, `expected ${ROUNDS_PER_GAME} rounds`)
+  }
+  for (const r of rounds) {
+    if (!Number.isFinite(r?.distance) || r.distance < 0 || !(r.landingGrade in LANDING_MULT)) {
+      throw new HttpError(400, 'bad round')
+    }
+  }
+  return {
+    id: randomUUID(),
+    name: sanitizeName(body.name),
+    hillId,
+    mode: String(mode || 'classic').slice(0, 16),
+    seed,
+    total,
+    grade: String(grade || '').slice(0, 40),
+    rounds: rounds.map((r) => ({
+      distance: r.distance,
+      landingGrade: r.landingGrade,
+      counted: !!r.counted,
+      inputs: validateInputs(r.inputs),
+    })),
+    date,
+    week,
+    playedAt: new Date().toISOString(),
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Server
+// ---------------------------------------------------------------------------
+
+/**
+ * Create the leaderboard HTTP server (not yet listening).
+ * options: { file } — JSON file to load from and save to, if any.
+ */
+export function createLeaderboardServer({ file = null } = {}) {
+  let entries = []
+  if (file) {
+    try {
+      entries = JSON.parse(readFileSync(file, 'utf8'))
+    } catch {
+      entries = []
+    }
+  }
+
+  function persist() {
+    if (file) writeFileSync(file, JSON.stringify(entries))
+  }
+
+  function readBody(req) {
+    return new Promise((resolve, reject) => {
+      let size = 0
+      const chunks = []
+      req.on('data', (chunk) => {
+        size += chunk.length
+        if (size > MAX_BODY) {
+          reject(new HttpError(413, 'entry too large'))
+          req.destroy()
+        } else {
+          chunks.push(chunk)
+        }
+      })
+      req.on('end', () => {
+        try {
+          resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')))
+        } catch {
+          reject(new HttpError(400, 'invalid JSON'))
+        }
+      })
+      req.on('error', reject)
+    })
+  }
+
+  async function route(req, url) {
+    const q = url.searchParams
+    const limit = clampInt(q.get('limit'), BOARD_SIZE, 1, MAX_LIMIT)
+
+    if (req.method === 'POST' && url.pathname === '/api/scores') {
+      const entry = validateEntry(await readBody(req))
+      verifyEntry(entry)
+      entries = addEntry(entries, entry, MAX_STORED)
+      persist()
+      return [201, {
+        entry,
+        weekRank: getRank(entries, entry.id, entry.hillId, entry.week),
+        allTimeRank: getRank(entries, entry.id, entry.hillId),
+      }]
+    }
+
+    if (req.method !== 'GET') throw new HttpError(405, 'method not allowed')
+
+    switch (url.pathname) {
+      case '/api/scores/weekly': {
+        const week = q.get('week') || getWeekKey()
+        return [200, { week, entries: getTop(entries, requireHill(q.get('hill')), week, limit) }]
+      }
+      case '/api/scores/all-time':
+        return [200, { entries: getTop(entries, requireHill(q.get('hill')), null, limit) }]
+      case '/api/scores/around': {
+        const radius = clampInt(q.get('radius'), 2, 0, 10)
+        return [200, getAround(entries, q.get('id'), requireHill(q.get('hill')), q.get('week') || null, radius)]
+      }
+      default:
+        throw new HttpError(404, 'not found')
+    }
+  }
+
+  return createServer(async (req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*')
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS')
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type')
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204).end()
+      return
+    }
+
+    let status, body
+    try {
+      [status, body] = await route(req, new URL(req.url, 'http://localhost'))
+    } catch (err) {
+      status = err instanceof HttpError ? err.status : 500
+      body = { error: err instanceof HttpError ? err.message : 'internal error' }
+    }
+    res.writeHead(status, { 'Content-Type': 'application/json' })
+    res.end(JSON.stringify(body))
+  })
+}
+
+// Run directly: node server/leaderboard-server.js
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.env.PORT) || DEFAULT_PORT
+  createLeaderboardServer({ file: process.env.LEADERBOARD_FILE || null })
+    .listen(port, () => console.log(`Leaderboard server on http://localhost:${port}`))
+}
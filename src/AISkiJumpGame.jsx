@@ -1,34 +1,44 @@
 // =============================================================================
 // AI Ski Jump Championship — Main Game Orchestrator (T7 + T8)
 // Wires together all components: scene, timers, physics, sounds, screens.
-// State machine: TITLE → TUTORIAL → ROUND_INTRO → APPROACH → FLIGHT →
-//                LANDING → SCORE_DISPLAY → (next round or RESULTS)
+// State machine: TITLE → ROSTER → TUTORIAL → ROUND_INTRO → APPROACH →
+//                FLIGHT → LANDING → SCORE_DISPLAY → (next round or RESULTS)
+//                LEADERBOARD is reachable from TITLE and RESULTS and returns there.
+//                TROPHIES is reachable from TITLE.
+//                SEASON (World Cup) is reachable from TITLE; its events go
+//                through ROSTER and the game, and RESULTS returns there.
+//                Pass-and-play: TITLE → PLAYERS → ROSTER → the game, with
+//                every player taking a turn at each round before the next.
+//                Team event: TITLE → TEAMS → ROSTER → the game, two series
+//                of jumps in groups (see teamEvent.js).
 // =============================================================================
 
-import { useState, useEffect, useRef, useCallback } from 'react'
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react'
 import './styles.css'
 
 import {
   BRAND,
   GAME_W,
   GAME_H,
-  SCENE_W,
-  RAMP_TOP,
-  RAMP_LIP,
+  DEFAULT_HILL_ID,
+  getHill,
+  isHillUnlocked,
   JUMPERS,
+  getJumper,
   ROUNDS_PER_GAME,
   BEST_N,
-  WIND_RANGE,
   APPROACH_DURATION,
   ROUND_INTRO_DURATION,
   ROUND_INTRO_FAST,
   SCORE_DISPLAY_DURATION,
-  LANDING_MULT,
   getDistanceMessage,
   getGrade,
-  MAX_BOOSTS,
-  BOOST_VX,
-  BOOST_VY
+  POSTURE,
+  AERO,
+  PHYSICS_DT,
+  SCORING_SYSTEMS,
+  DEFAULT_SCORING,
+  START_GATES,
 } from './constants'
 
 import {
@@ -36,10 +46,47 @@ import {
   calculateLaunchVelocity,
   createFlightState,
   simulateFlight,
-  calculateScore,
+  setLean,
   getHillY,
-  PIXELS_PER_METRE,
+  createWindField,
+  clampGate,
+  getGatePosition,
+  getJuryGate,
+  resolveGate,
+  calculateTotal,
+  markCounted,
+  estimateFlightSteps,
+  getFlightProgress,
 } from './physics'
+import { resolveTimingGrade, scoreLanding } from './replay'
+import { calculateOfficialTotal, getFlightStats, scoreOfficialJump } from './officialScoring'
+import { createRng, deriveSeed, randomSeed } from './rng'
+import { DAILY_HILL_ID, getDateKey, getDailyNumber, getDailySeed } from './daily'
+import { encodeChallenge, decodeChallenge } from './challenge'
+import { sanitizeName } from './player'
+import { createEntry } from './leaderboard'
+import {
+  EMPTY_PROGRESS,
+  addGameToProgress,
+  getNewlyUnlocked,
+  normalizeProgress,
+  sanitizeLineup,
+} from './progress'
+import { ACHIEVEMENTS, createAchievementTracker } from './achievements'
+import {
+  SEASON_EVENTS,
+  createSeason,
+  getChampion,
+  getEventResult,
+  getEventSeed,
+  getNextEventIndex,
+  getSeasonEvent,
+  getStandings,
+  normalizeSeason,
+  recordSeasonEvent,
+  PLAYER_ID,
+} from './season'
+import { leaderboardClient } from './leaderboardClient'
 
 import { playSound, setMuted, isMuted, vibrate } from './sounds'
 import SkiJumpScene from './SkiJumpScene'
@@ -47,23 +94,84 @@ import LaunchTimer from './LaunchTimer'
 import LandingTimer from './LandingTimer'
 import TitleScreen from './TitleScreen'
 import ResultsScreen from './ResultsScreen'
+import LeaderboardScreen from './LeaderboardScreen'
+import RosterScreen from './RosterScreen'
+import { PLAYER_COLOURS, getPlayerStandings, sanitizePlayers } from './hotseat'
+import {
+  FIRST_TURN,
+  TEAM_SIZE,
+  getGroupIndex,
+  getNextTurn,
+  getTeamStandings,
+  getTurnTeam,
+  sanitizeTeams,
+} from './teamEvent'
+import TrophyCabinet from './TrophyCabinet'
+import SeasonScreen from './SeasonScreen'
+import PlayersScreen from './PlayersScreen'
+import PodiumScreen from './PodiumScreen'
+import TeamsScreen from './TeamsScreen'
+import {
+  GHOST_SAMPLE_STEPS,
+  createGhost,
+  getGhostDistance,
+  getGhostPoint,
+  isBetterThanGhost,
+  normalizeGhosts,
+  recordPathStep,
+  traceGhost,
+} from './ghost'
+import {
+  createReplayClip,
+  getReplayCamera,
+  getReplayEvents,
+  getReplayFrame,
+  getReplaySpeed,
+} from './instantReplay'
+import { drawParticles, spawnBurst, spawnSnowBurst } from './particles'
+import AchievementToast from './AchievementToast'
 import Tutorial from './Tutorial'
+import JumperStats from './JumperStats'
+import WindFlags, { formatWind, windColour } from './WindFlags'
+import OfficialScoreboard from './OfficialScoreboard'
 import useGameScale from './useGameScale'
+import useLeanInput, { requestTiltPermission } from './useLeanInput'
 
 // ---------------------------------------------------------------------------
 // Constants
 // ---------------------------------------------------------------------------
-const LS_BEST = 'skijump_bestScore'
+const LS_BEST_LEGACY = 'skijump_bestScore' // single-hill PB from before the hill catalogue
+const LS_BEST_SCORES = 'skijump_bestScores' // { [hillId]: best total }
+const LS_HILL = 'skijump_hill'
+const LS_LAST_GAME = 'skijump_lastGame'
+const LS_DAILY = 'skijump_daily' // { [YYYY-MM-DD]: { number, total } } — total null until finished
 const LS_GAMES_PLAYED = 'skijump_gamesPlayed'
 const LS_TUTORIAL = 'skijump_tutorialSeen'
 const LS_MUTED = 'skijump_muted'
+const LS_PLAYER_NAME = 'skijump_playerName'
+const LS_MY_ENTRIES = 'skijump_myEntries' // { [hillId]: id of your latest leaderboard entry }
+const LS_SCORING = 'skijump_scoring' // 'arcade' | 'official'
+const LS_PROGRESS = 'skijump_progress' // career totals that unlock jumpers (see progress.js)
+const LS_LINEUP = 'skijump_lineup' // jumper ids in round order
+const LS_ACHIEVEMENTS = 'skijump_achievements' // { [achievement id]: ISO time earned }
+const LS_SEASON = 'skijump_season' // the World Cup season in progress (see season.js)
+const LS_HOTSEAT_PLAYERS = 'skijump_hotseatPlayers' // pass-and-play names from last time
+const LS_TEAMS = 'skijump_teams' // team event line-up from last time
+const LS_GHOSTS = 'skijump_ghosts' // { [hillId]: ghost of the best jump there (see ghost.js) }
 
 const FONT = "'Open Sans','Segoe UI',system-ui,sans-serif"
 const DISPLAY_FONT = "'Barlow Condensed','Open Sans',system-ui,sans-serif"
 
+// Fixed-step flight: frame time beyond this (tab in background, long GC)
+// is dropped rather than simulated in one burst
+const MAX_FRAME_TIME = 0.25
+
+// Lean changes are taken at most this many physics steps apart (50ms), so
+// a jittery drag doesn't fill the recorded inputs and challenge links
+const LEAN_SAMPLE_STEPS = 12
+
 // Camera tracking
 const CAMERA_FOLLOW_X = GAME_W * 0.35 // jumper kept at 35% from left
-const CAMERA_MAX_X = SCENE_W - GAME_W  // max pan (400px)
 const CAMERA_LERP = 0.12               // smooth follow speed
 
 const LANDING_BADGE_BG = {
@@ -83,6 +191,41 @@ const LANDING_LABEL = {
 // ---------------------------------------------------------------------------
 // Helpers
 // ---------------------------------------------------------------------------
+
+/** Round-intro line under the gate number: speed against the reference. */
+function gateHint(gate, jury) {
+  if (jury) return 'Set for the wind'
+  const d = gate - START_GATES.reference
+  if (d === 0) return 'Reference gate'
+  return d > 0 ? `+${d} \u2014 faster, watch HS` : `${d} \u2014 slower, safer`
+}
+
+function gateHintColour(gate) {
+  const d = gate - START_GATES.reference
+  return d > 0 ? BRAND.orange : d < 0 ? BRAND.blueLight : BRAND.grayLight
+}
+
+function gateButtonStyle(enabled) {
+  return {
+    width: 40,
+    height: 40,
+    borderRadius: '50%',
+    border: `1px solid ${enabled ? BRAND.blue : 'rgba(255,255,255,0.15)'}`,
+    background: enabled ? `${BRAND.blue}33` : 'transparent',
+    color: enabled ? BRAND.white : BRAND.gray,
+    fontSize: 14,
+    cursor: enabled ? 'pointer' : 'not-allowed',
+  }
+}
+
+/**
+ * Pass-and-play and team events are played by several people on one
+ * device, so none of it counts towards this device's records.
+ */
+function isSharedGame(mode) {
+  return mode === 'hotseat' || mode === 'team'
+}
+
 function lsGet(key, fallback) {
   try {
     const v = localStorage.getItem(key)
@@ -101,19 +244,40 @@ function lsSet(key, value) {
   }
 }
 
+/** Personal bests keyed by hill id. The old single PB was set on the large hill. */
+function loadBestScores() {
+  const bests = lsGet(LS_BEST_SCORES, null)
+  if (bests) return bests
+  const legacy = lsGet(LS_BEST_LEGACY, null)
+  return legacy != null ? { large: legacy } : {}
+}
+
 function parseChallengeParams() {
   try {
     const params = new URLSearchParams(window.location.search)
+    // Decoding replays the challenger's inputs; a tampered score comes back
+    // flagged with the replayed totals instead
+    const challenge = decodeChallenge(params)
+    if (challenge) {
+      return {
+        challengerName: challenge.name,
+        challengerScore: challenge.total,
+        challenge,
+      }
+    }
+    // Legacy links: a name and an unchecked score, no seed — the score
+    // is ignored, so a hand-written one can't be put up as the target
     if (params.get('challenge') === 'true') {
       return {
-        challengerName: params.get('name') || 'A friend',
-        challengerScore: parseFloat(params.get('score')) || 0,
+        challengerName: sanitizeName(params.get('name')) || 'A friend',
+        challengerScore: null,
+        challenge: null,
       }
     }
   } catch {
     // ignore
   }
-  return { challengerName: null, challengerScore: null }
+  return { challengerName: null, challengerScore: null, challenge: null }
 }
 
 // =============================================================================
@@ -126,23 +290,82 @@ export default function AISkiJumpGame() {
   const [screen, setScreen] = useState('TITLE')
   const [currentRound, setCurrentRound] = useState(0)
   const [scores, setScores] = useState([])
-  const [currentWind, setCurrentWind] = useState(0)
+  const [lineup, setLineup] = useState(() => sanitizeLineup(null, EMPTY_PROGRESS))
+  const [windField, setWindField] = useState(null)
+  const currentWind = windField ? windField.mean : 0
+  // The jumper's gate pick carries over between rounds; in strong wind the
+  // jury's gate overrides it
+  const [chosenGate, setChosenGate] = useState(START_GATES.reference)
+  const [introHold, setIntroHold] = useState(false) // gate changed — wait for GO
+  const juryGate = getJuryGate(currentWind)
+  const roundGate = resolveGate(chosenGate, currentWind)
+  const [gameSeed, setGameSeed] = useState(0)
+  const [gameMode, setGameMode] = useState('classic') // 'classic' | 'daily' | 'challenge' | 'season' | 'hotseat' | 'team'
+  // Pass-and-play: every player jumps each round, in order, under the same
+  // wind; scores holds everyone's results, tagged with the player
+  const [players, setPlayers] = useState([])
+  const [currentPlayer, setCurrentPlayer] = useState(0)
+  const [podium, setPodium] = useState(null) // final pass-and-play or team standings
+  // Team event: teams take turns in groups over two series; currentRound
+  // is the group's index across both (see getGroupIndex)
+  const [teams, setTeams] = useState([])
+  const [teamTurn, setTeamTurn] = useState(FIRST_TURN)
+  const [ghosts, setGhosts] = useState({})
+  const [dailyToday, setDailyToday] = useState(null)
   const [flightProgress, setFlightProgress] = useState(0)
-  const [bestScore, setBestScore] = useState(null)
+  const [hillId, setHillId] = useState(DEFAULT_HILL_ID)
+  const [scoring, setScoring] = useState(DEFAULT_SCORING)
+  const [progress, setProgress] = useState(EMPTY_PROGRESS)
+  const [newUnlocks, setNewUnlocks] = useState([]) // jumpers the last game unlocked
+  const [rosterMode, setRosterMode] = useState('classic') // game the roster screen starts
+  const [achievements, setAchievements] = useState({}) // { [id]: ISO time earned }
+  const [toastQueue, setToastQueue] = useState([]) // achievements waiting to be shown
+  const [season, setSeason] = useState(null) // World Cup season, null before the first
+  const [seasonEventIndex, setSeasonEventIndex] = useState(0) // event being jumped
+  const [seasonResult, setSeasonResult] = useState(null) // last game's World Cup placing
+  const [bestScores, setBestScores] = useState({})
   const [gamesPlayed, setGamesPlayed] = useState(0)
   const [soundMuted, setSoundMuted] = useState(false)
   const [liveDistance, setLiveDistance] = useState(0)
-  const [boostCount, setBoostCount] = useState(0)
+  const [stallPitch, setStallPitch] = useState(0) // pitch at which lift peaks this flight
+  const [playerName, setPlayerName] = useState('')
+  const [myEntries, setMyEntries] = useState({})
+  const [weekRank, setWeekRank] = useState(null) // last game's place on this week's board
+  const [weekBest, setWeekBest] = useState(null) // top entry on this week's board
 
   const [challengerName, setChallengerName] = useState(null)
   const [challengerScore, setChallengerScore] = useState(null)
+  const [challenge, setChallenge] = useState(null) // decoded challenge link, if any
 
   const [finalScores, setFinalScores] = useState([])
   const [totalScore, setTotalScore] = useState(0)
+  const [officialTotal, setOfficialTotal] = useState(0)
   const [finalGrade, setFinalGrade] = useState(null)
   const [isNewRecord, setIsNewRecord] = useState(false)
 
-  const [jumperPos, setJumperPos] = useState({ x: RAMP_TOP.x, y: RAMP_TOP.y })
+  // A team member flies with the line-up's jumper for their place in the team
+  const jumper = getJumper(lineup[gameMode === 'team' ? teamTurn.group : currentRound]) || JUMPERS[0]
+  const teamOnTurn = gameMode === 'team' ? getTurnTeam(teamTurn, scores, teams, scoring) : null
+
+  const hill = getHill(
+    gameMode === 'daily' ? DAILY_HILL_ID
+      : gameMode === 'challenge' ? challenge.hillId
+        : gameMode === 'season' ? getSeasonEvent(seasonEventIndex).hillId
+          : hillId,
+  )
+
+  // The ghost raced this round: with a challenge link, the challenger's
+  // jump in the same round and wind; otherwise the best jump on the hill.
+  // A shared game has no one's best to race.
+  const ghost = useMemo(() => {
+    if (gameMode === 'challenge' && challenge?.inputs?.[currentRound]) {
+      return { ...traceGhost(challenge.inputs[currentRound], challenge.seed, currentRound, hill), label: challenge.name }
+    }
+    if (isSharedGame(gameMode) || !ghosts[hill.id]) return null
+    return { ...ghosts[hill.id], label: 'best' }
+  }, [gameMode, challenge, currentRound, hill, ghosts])
+
+  const [jumperPos, setJumperPos] = useState({ x: hill.rampTop.x, y: hill.rampTop.y })
   const [landingGrade, setLandingGrade] = useState(null)
 
   // ---- Refs ----
@@ -150,23 +373,37 @@ export default function AISkiJumpGame() {
   const liveDistRef = useRef(null)
   const animFrameRef = useRef(null)
   const flightStateRef = useRef(null)
-  const boostsRef = useRef(0)
   const launchVelRef = useRef(null)
   const windSoundRef = useRef(null)
   const frameCountRef = useRef(0)
   const lastTimeRef = useRef(0)
   const approachStartRef = useRef(0)
-  const flightTotalTimeEstRef = useRef(3)
+  const flightStepsEstRef = useRef(1) // unassisted flight length in steps, set at launch
+  const flightProgressRef = useRef(0) // written every physics step, read by LandingTimer
+  const overRotatedRef = useRef(false) // likewise — any landing after this is a crash
+  const roundInputsRef = useRef(null) // this round's inputs, recorded for replays
+  const flightPathRef = useRef(null) // this round's path, recorded for ghosts (see ghost.js)
+  const ghostRef = useRef(null)
+  const ghostGapRef = useRef(null) // live gap to the ghost, written by the FLIGHT loop
+  const replayClipRef = useRef(null) // the last round, ready to replay (see instantReplay.js)
   const jumperBodyRef = useRef(null)
   const telemarkVRef = useRef(null)
   const tutorialShownThisSessionRef = useRef(false)
   const gameContainerRef = useRef(null)
+  const leaderboardReturnRef = useRef('TITLE') // screen to go back to
+  const pendingEntryRef = useRef(null) // finished game waiting to be submitted
   const landingFlashRef = useRef(null)
   const lastMilestoneRef = useRef(0)
+  const postureNeedleRef = useRef(null) // posture meter, written by the FLIGHT loop
+  const postureLabelRef = useRef(null)
+  const windLabelRef = useRef(null) // live wind in the HUD during flight
+  const achievementTrackerRef = useRef(createAchievementTracker()) // replaced on mount
+  const toastKeyRef = useRef(0)
 
   // Canvas layer for particles (snow bursts, trail, speed lines)
   const canvasRef = useRef(null)
   const particlesRef = useRef([])
+  const fxRngRef = useRef(createRng(0)) // cosmetic stream, reseeded per game
 
   // Camera tracking refs
   const scrollLayerRef = useRef(null)
@@ -176,27 +413,8 @@ export default function AISkiJumpGame() {
   // Input lockout — prevents cascading inputs across state transitions
   const inputLockedUntilRef = useRef(0)
 
-  // ---- Particle Helpers ----
-  const spawnSnowBurst = useCallback((landX, landY, grade) => {
-    const count = grade === 'telemark' ? 20 : grade === 'clean' ? 30 : grade === 'shaky' ? 40 : 60
-    const spread = grade === 'telemark' ? 40 : grade === 'clean' ? 60 : grade === 'shaky' ? 80 : 120
-
-    const now = performance.now()
-    for (let i = 0; i < count; i++) {
-      const angle = Math.random() * Math.PI * 2
-      const speed = (0.3 + Math.random() * 0.7) * spread
-      particlesRef.current.push({
-        type: 'snow',
-        x: landX,
-        y: landY,
-        vx: Math.cos(angle) * speed * 2,
-        vy: (Math.sin(angle) * speed - Math.abs(Math.sin(angle)) * spread * 0.3) * 2,
-        size: 2 + Math.random() * 3,
-        born: now,
-        lifeTime: 500 + Math.random() * 200,
-      })
-    }
-  }, [])
+  // Lean (-1 back … 1 forward) from drag, arrow keys or tilt, during flight
+  const leanInputRef = useLeanInput(screen === 'FLIGHT')
 
   // ---- Camera shake on landing ----
   const applyCameraShake = useCallback((grade) => {
@@ -225,15 +443,34 @@ export default function AISkiJumpGame() {
 
   // ---- On mount: read localStorage + parse challenge params ----
   useEffect(() => {
-    setBestScore(lsGet(LS_BEST, null))
+    const bests = loadBestScores()
+    setBestScores(bests)
+    const savedHill = getHill(lsGet(LS_HILL, DEFAULT_HILL_ID))
+    setHillId(isHillUnlocked(savedHill, bests) ? savedHill.id : DEFAULT_HILL_ID)
     setGamesPlayed(lsGet(LS_GAMES_PLAYED, 0))
+    setPlayerName(sanitizeName(lsGet(LS_PLAYER_NAME, '')))
+    setMyEntries(lsGet(LS_MY_ENTRIES, {}))
+    setDailyToday(lsGet(LS_DAILY, {})[getDateKey()] || null)
+    const savedProgress = normalizeProgress(lsGet(LS_PROGRESS, null))
+    setProgress(savedProgress)
+    setLineup(sanitizeLineup(lsGet(LS_LINEUP, null), savedProgress))
+    const savedAchievements = lsGet(LS_ACHIEVEMENTS, {})
+    setAchievements(savedAchievements)
+    achievementTrackerRef.current = createAchievementTracker(Object.keys(savedAchievements))
+    setSeason(normalizeSeason(lsGet(LS_SEASON, null)))
+    setPlayers(sanitizePlayers(lsGet(LS_HOTSEAT_PLAYERS, [])))
+    setTeams(sanitizeTeams(lsGet(LS_TEAMS, [])))
+    setGhosts(normalizeGhosts(lsGet(LS_GHOSTS, {})))
+    const savedScoring = lsGet(LS_SCORING, DEFAULT_SCORING)
+    setScoring(SCORING_SYSTEMS.includes(savedScoring) ? savedScoring : DEFAULT_SCORING)
     const m = lsGet(LS_MUTED, false)
     setSoundMuted(m)
     setMuted(m)
 
-    const { challengerName: cn, challengerScore: cs } = parseChallengeParams()
+    const { challengerName: cn, challengerScore: cs, challenge: ch } = parseChallengeParams()
     setChallengerName(cn)
     setChallengerScore(cs)
+    setChallenge(ch)
   }, [])
 
   // ---- Sync mute state ----
@@ -246,9 +483,33 @@ export default function AISkiJumpGame() {
     })
   }, [])
 
+  // ---- Hill selection (title screen) ----
+  const handleSelectHill = useCallback((id) => {
+    setHillId(id)
+    lsSet(LS_HILL, id)
+  }, [])
+
+  // ---- Scoring system (title screen) ----
+  const handleSelectScoring = useCallback((id) => {
+    setScoring(id)
+    lsSet(LS_SCORING, id)
+  }, [])
+
+  // ---- Player name (results screen) ----
+  // The name is for the game on the results screen too: its record is
+  // renamed, and its leaderboard entry waits for the name (see below)
+  const handleNameChange = useCallback((name) => {
+    const clean = sanitizeName(name)
+    setPlayerName(clean)
+    lsSet(LS_PLAYER_NAME, clean)
+    const lastGame = lsGet(LS_LAST_GAME, null)
+    if (lastGame) lsSet(LS_LAST_GAME, { ...lastGame, name: clean })
+  }, [])
+
   // ---- Keyboard integration ----
   useEffect(() => {
     function handleKey(e) {
+      if (e.target instanceof HTMLInputElement) return // typing a name
       if (e.code === 'KeyM') toggleMute()
       if (e.code === 'KeyR' && screen === 'RESULTS') handlePlayAgain()
     }
@@ -256,13 +517,33 @@ export default function AISkiJumpGame() {
     return () => window.removeEventListener('keydown', handleKey)
   }, [screen, toggleMute])
 
-  // ---- Generate wind ----
-  const generateWind = useCallback(() => {
-    const w = Math.round(
-      (Math.random() * (WIND_RANGE.max - WIND_RANGE.min) + WIND_RANGE.min) * 10
-    ) / 10
-    setCurrentWind(w)
-    return w
+  // ---- Achievements ----
+  // Feeds a game event to the tracker; anything it earns is saved with
+  // the time and queued as a toast
+  const earnAchievements = useCallback((event) => {
+    const fresh = achievementTrackerRef.current.emit(event)
+    if (fresh.length === 0) return
+    const at = new Date().toISOString()
+    const saved = lsGet(LS_ACHIEVEMENTS, {})
+    fresh.forEach((a) => { saved[a.id] = at })
+    lsSet(LS_ACHIEVEMENTS, saved)
+    setAchievements(saved)
+    setToastQueue((prev) => [
+      ...prev,
+      ...fresh.map((achievement) => ({ key: ++toastKeyRef.current, achievement })),
+    ])
+    playSound('achievement')
+  }, [])
+
+  const handleToastDone = useCallback((key) => {
+    setToastQueue((prev) => prev.filter((t) => t.key !== key))
+  }, [])
+
+  // ---- Generate wind (deterministic per seed and round) ----
+  const generateWind = useCallback((seed, round) => {
+    const field = createWindField(seed, round)
+    setWindField(field)
+    return field.mean
   }, [])
 
   // ---- Cleanup on unmount ----
@@ -285,32 +566,164 @@ export default function AISkiJumpGame() {
     inputLockedUntilRef.current = performance.now() + ms
   }, [])
 
-  const handleStart = useCallback(() => {
+  const startGame = useCallback((seed, mode) => {
+    requestTiltPermission() // needs this tap to prompt on iOS
+    setGameSeed(seed)
+    setGameMode(mode)
+    fxRngRef.current = createRng(deriveSeed(seed, 'fx'))
     setCurrentRound(0)
+    setCurrentPlayer(0)
+    setTeamTurn(FIRST_TURN)
     setScores([])
     setFinalScores([])
     setTotalScore(0)
     setFinalGrade(null)
     setIsNewRecord(false)
+    setSeasonResult(null)
+    setPodium(null)
+    setIntroHold(isSharedGame(mode)) // first up says when they're ready
     resetCameraInstant()
     lockInput(500)
+    earnAchievements({ type: 'start' })
 
     // Show tutorial on first game each page load
     if (!tutorialShownThisSessionRef.current) {
       tutorialShownThisSessionRef.current = true
       setScreen('TUTORIAL')
     } else {
-      generateWind()
+      generateWind(seed, 0)
       setScreen('ROUND_INTRO')
     }
-  }, [generateWind, resetCameraInstant, lockInput])
+  }, [generateWind, resetCameraInstant, lockInput, earnAchievements])
+
+  // Every game starts from the roster screen, where the line-up is picked
+  const handleStart = useCallback(() => {
+    setRosterMode(challenge ? 'challenge' : 'classic')
+    setScreen('ROSTER')
+  }, [challenge])
+
+  const handleDismissChallenge = useCallback(() => {
+    setChallenge(null)
+    setChallengerName(null)
+    setChallengerScore(null)
+    try {
+      window.history.replaceState(null, '', window.location.pathname)
+    } catch {
+      // ignore
+    }
+  }, [])
+
+  const handleStartDaily = useCallback(() => {
+    if (lsGet(LS_DAILY, {})[getDateKey()]) return
+    setRosterMode('daily')
+    setScreen('ROSTER')
+  }, [])
+
+  // ---- Roster → game ----
+  // With a challenge link open the game replays the challenger's exact
+  // wind. The Daily Jump's attempt is used up as soon as it starts, so
+  // reloading mid-game can't buy a second try at today's wind.
+  const handleRosterConfirm = useCallback((ids) => {
+    const next = sanitizeLineup(ids, progress)
+    setLineup(next)
+    lsSet(LS_LINEUP, next)
+
+    if (rosterMode === 'daily') {
+      const key = getDateKey()
+      const all = lsGet(LS_DAILY, {})
+      if (all[key]) return
+      const entry = { number: getDailyNumber(), total: null }
+      lsSet(LS_DAILY, { ...all, [key]: entry })
+      setDailyToday(entry)
+      startGame(getDailySeed(), 'daily')
+    } else if (rosterMode === 'challenge' && challenge) {
+      startGame(challenge.seed, 'challenge')
+    } else if (rosterMode === 'hotseat' || rosterMode === 'team') {
+      startGame(randomSeed(), rosterMode)
+    } else if (rosterMode === 'season' && season) {
+      const index = getNextEventIndex(season)
+      if (index == null) return
+      setSeasonEventIndex(index)
+      startGame(getEventSeed(season, index), 'season')
+    } else {
+      startGame(randomSeed(), 'classic')
+    }
+  }, [progress, rosterMode, challenge, season, startGame])
+
+  const handleRosterBack = useCallback(() => {
+    const back = { season: 'SEASON', hotseat: 'PLAYERS', team: 'TEAMS' }
+    setScreen(back[rosterMode] || 'TITLE')
+  }, [rosterMode])
+
+  // ---- Pass-and-play ----
+  const handleOpenHotseat = useCallback(() => {
+    setScreen('PLAYERS')
+  }, [])
+
+  const handlePlayersConfirm = useCallback((names) => {
+    setPlayers(names)
+    lsSet(LS_HOTSEAT_PLAYERS, names)
+    setRosterMode('hotseat')
+    setScreen('ROSTER')
+  }, [])
+
+  const handlePlayersBack = useCallback(() => {
+    setScreen('TITLE')
+  }, [])
+
+  // ---- Team event ----
+  const handleOpenTeams = useCallback(() => {
+    setScreen('TEAMS')
+  }, [])
+
+  const handleTeamsConfirm = useCallback((next) => {
+    setTeams(next)
+    lsSet(LS_TEAMS, next)
+    setRosterMode('team')
+    setScreen('ROSTER')
+  }, [])
+
+  const handleTeamsBack = useCallback(() => {
+    setScreen('TITLE')
+  }, [])
+
+  // Same players or teams and line-up, new wind
+  const handleRematch = useCallback(() => {
+    startGame(randomSeed(), gameMode)
+  }, [gameMode, startGame])
+
+  // ---- World Cup season ----
+  // Saved after every event, so a season can be picked up days later
+  const handleOpenSeason = useCallback(() => {
+    setScreen('SEASON')
+  }, [])
+
+  const handleSeasonJump = useCallback(() => {
+    if (!season) {
+      const fresh = createSeason(randomSeed())
+      lsSet(LS_SEASON, fresh)
+      setSeason(fresh)
+    }
+    setRosterMode('season')
+    setScreen('ROSTER')
+  }, [season])
+
+  const handleNewSeason = useCallback(() => {
+    const fresh = createSeason(randomSeed())
+    lsSet(LS_SEASON, fresh)
+    setSeason(fresh)
+  }, [])
+
+  const handleCloseSeason = useCallback(() => {
+    setScreen('TITLE')
+  }, [])
 
   const handleTutorialDismiss = useCallback(() => {
     lsSet(LS_TUTORIAL, true)
-    generateWind()
+    generateWind(gameSeed, 0)
     lockInput(500)
     setScreen('ROUND_INTRO')
-  }, [generateWind, lockInput])
+  }, [gameSeed, generateWind, lockInput])
 
   // ---- ROUND_INTRO → APPROACH (with camera reset animation) ----
   useEffect(() => {
@@ -334,18 +747,46 @@ export default function AISkiJumpGame() {
       }
     }
     raf = requestAnimationFrame(resetTick)
-
-    const introDuration = currentRound === 0 ? ROUND_INTRO_DURATION : ROUND_INTRO_FAST
-    const timer = setTimeout(() => {
-      inputLockedUntilRef.current = performance.now() + 400
-      setScreen('APPROACH')
-    }, introDuration)
     return () => {
-      clearTimeout(timer)
       if (raf) cancelAnimationFrame(raf)
     }
   }, [screen, currentRound])
 
+  const startApproach = useCallback(() => {
+    inputLockedUntilRef.current = performance.now() + 400
+    setIntroHold(false)
+    setScreen('APPROACH')
+  }, [])
+
+  // Off down the in-run once the intro has played — unless the player is
+  // choosing a gate, in which case they say when
+  useEffect(() => {
+    if (screen !== 'ROUND_INTRO' || introHold) return
+    const introDuration = currentRound === 0 ? ROUND_INTRO_DURATION : ROUND_INTRO_FAST
+    const timer = setTimeout(startApproach, introDuration)
+    return () => clearTimeout(timer)
+  }, [screen, currentRound, introHold, startApproach])
+
+  // ---- Start gate (round intro) ----
+  const changeGate = useCallback((delta) => {
+    if (juryGate != null) return
+    setChosenGate((g) => clampGate(g + delta))
+    setIntroHold(true)
+  }, [juryGate])
+
+  useEffect(() => {
+    if (screen !== 'ROUND_INTRO') return
+    function handleKey(e) {
+      if (e.code === 'ArrowUp' || e.code === 'ArrowRight') changeGate(1)
+      else if (e.code === 'ArrowDown' || e.code === 'ArrowLeft') changeGate(-1)
+      else if ((e.code === 'Space' || e.code === 'Enter') && introHold) startApproach()
+      else return
+      e.preventDefault()
+    }
+    window.addEventListener('keydown', handleKey)
+    return () => window.removeEventListener('keydown', handleKey)
+  }, [screen, introHold, changeGate, startApproach])
+
   // ---- APPROACH animation loop ----
   useEffect(() => {
     if (screen !== 'APPROACH') return
@@ -362,7 +803,7 @@ export default function AISkiJumpGame() {
     function tick() {
       const now = performance.now()
       const elapsed = now - approachStartRef.current
-      const pos = calculateApproach(elapsed, APPROACH_DURATION)
+      const pos = calculateApproach(elapsed, APPROACH_DURATION, hill, roundGate)
 
       // Jumper position
       if (jumperRef.current) {
@@ -380,16 +821,17 @@ export default function AISkiJumpGame() {
 
       // Speed lines on Canvas
       if (elapsed < APPROACH_DURATION) {
-        if (Math.random() > 0.6) {
-          const offsetBack = 10 + Math.random() * 25
-          const spread = (Math.random() - 0.5) * 16
-          const rad38 = 38 * Math.PI / 180
+        const rng = fxRngRef.current
+        if (rng() > 0.6) {
+          const offsetBack = 10 + rng() * 25
+          const spread = (rng() - 0.5) * 16
+          const rad = hill.rampAngle * Math.PI / 180
           particlesRef.current.push({
             type: 'speedLine',
-            x: pos.x - offsetBack * Math.cos(rad38) + spread * Math.sin(rad38),
-            y: pos.y - offsetBack * Math.sin(rad38) - spread * Math.cos(rad38),
-            w: 25 + Math.random() * 25,
-            angle: 38,
+            x: pos.x - offsetBack * Math.cos(rad) + spread * Math.sin(rad),
+            y: pos.y - offsetBack * Math.sin(rad) - spread * Math.cos(rad),
+            w: 25 + rng() * 25,
+            angle: hill.rampAngle,
             born: now,
             lifeTime: 300
           })
@@ -399,29 +841,8 @@ export default function AISkiJumpGame() {
       // Canvas Rendering
       if (canvasRef.current) {
         const ctx = canvasRef.current.getContext('2d')
-        ctx.clearRect(0, 0, SCENE_W, GAME_H)
-        for (let i = particlesRef.current.length - 1; i >= 0; i--) {
-          const p = particlesRef.current[i]
-          const life = (now - p.born) / p.lifeTime
-          if (life >= 1) {
-            particlesRef.current.splice(i, 1)
-            continue
-          }
-          if (p.type === 'speedLine') {
-            ctx.save()
-            ctx.translate(p.x, p.y)
-            ctx.rotate((p.angle * Math.PI) / 180)
-            const alpha = 0.6 * (1 - life)
-            const grad = ctx.createLinearGradient(0, 0, p.w, 0)
-            grad.addColorStop(0, `rgba(255, 255, 255, ${alpha})`)
-            grad.addColorStop(1, 'rgba(255, 255, 255, 0)')
-            ctx.fillStyle = grad
-            ctx.fillRect(0, -1.5, p.w, 3)
-            ctx.restore()
-            p.x -= 2 // move backwards fast
-            p.y -= 1.5
-          }
-        }
+        ctx.clearRect(0, 0, hill.sceneW, GAME_H)
+        drawParticles(ctx, particlesRef.current, now)
       }
 
       if (elapsed < APPROACH_DURATION + 700) {
@@ -434,31 +855,31 @@ export default function AISkiJumpGame() {
     return () => {
       if (animFrameRef.current) cancelAnimationFrame(animFrameRef.current)
     }
-  }, [screen])
+  }, [screen, hill, roundGate])
 
   // ---- onLaunch callback from LaunchTimer ----
   const handleLaunch = useCallback(
-    ({ grade }) => {
+    ({ grade, elapsed }) => {
       if (animFrameRef.current) {
         cancelAnimationFrame(animFrameRef.current)
         animFrameRef.current = null
       }
 
+      roundInputsRef.current = {
+        jumper: jumper.id,
+        gate: roundGate,
+        launchMs: elapsed,
+        lean: [],
+        landStep: null,
+      }
+
       playSound('launch')
       vibrate([30])
+      // A shared device's game isn't any one player's to earn from
+      if (!isSharedGame(gameMode)) earnAchievements({ type: 'launch', grade })
 
       // Launch burst on Canvas
-      const now = performance.now()
-      for (let i = 0; i < 10; i++) {
-        particlesRef.current.push({
-          type: 'launchBurst',
-          x: RAMP_LIP.x,
-          y: RAMP_LIP.y,
-          angle: (i / 10) * Math.PI * 2,
-          born: now,
-          lifeTime: 250
-        })
-      }
+      spawnBurst(particlesRef.current, hill.rampLip.x, hill.rampLip.y, 10, performance.now(), 250)
 
       // Spring up then settle to flight pose (elongated)
       if (jumperBodyRef.current) {
@@ -467,27 +888,23 @@ export default function AISkiJumpGame() {
       }
 
       // Calculate launch velocity
-      const vel = calculateLaunchVelocity(grade, currentWind)
+      const vel = calculateLaunchVelocity(grade, hill, roundGate, jumper)
       launchVelRef.current = vel
+      setStallPitch(vel.attack - AERO.stallAngle)
 
-      const startPos = { x: RAMP_LIP.x, y: RAMP_LIP.y }
-      const fState = createFlightState(vel, startPos)
+      const startPos = { x: hill.rampLip.x, y: hill.rampLip.y }
+      const fState = createFlightState(vel, startPos, windField)
       flightStateRef.current = fState
+      flightPathRef.current = []
+      recordPathStep(flightPathRef.current, fState)
 
-      // Estimate total flight time
-      let estState = createFlightState(vel, startPos)
-      const dt = 1 / 60
-      let estTime = 0
-      while (!estState.landed && estTime < 10) {
-        simulateFlight(estState, startPos, dt)
-        estTime += dt
-      }
-      flightTotalTimeEstRef.current = Math.max(estTime, 0.5)
+      // Estimate total flight length — progress for the landing timer
+      flightStepsEstRef.current = estimateFlightSteps(vel, startPos, windField, hill)
 
+      flightProgressRef.current = 0
+      overRotatedRef.current = false
       setFlightProgress(0)
       setLiveDistance(0)
-      boostsRef.current = 0
-      setBoostCount(0)
       frameCountRef.current = 0
       lastTimeRef.current = performance.now()
       lastMilestoneRef.current = 0
@@ -497,7 +914,7 @@ export default function AISkiJumpGame() {
 
       setScreen('FLIGHT')
     },
-    [currentWind],
+    [windField, hill, roundGate, jumper, gameMode, earnAchievements],
   )
 
   // ---- FLIGHT animation loop (with camera tracking) ----
@@ -505,29 +922,95 @@ export default function AISkiJumpGame() {
     if (screen !== 'FLIGHT') return
     if (!flightStateRef.current) return
 
-    const startPos = { x: RAMP_LIP.x, y: RAMP_LIP.y }
+    const startPos = { x: hill.rampLip.x, y: hill.rampLip.y }
+    const cameraMaxX = hill.sceneW - GAME_W
     lastTimeRef.current = performance.now()
 
+    // Frame time not yet simulated, and the state one step back, so the
+    // jumper can be drawn between the last two physics steps
+    let accumulator = 0
+    let prevX = flightStateRef.current.x
+    let prevY = flightStateRef.current.y
+    let drawnPitch = 0
+
     function tick() {
       const now = performance.now()
-      const dt = Math.min((now - lastTimeRef.current) / 1000, 0.05)
+      accumulator += Math.min((now - lastTimeRef.current) / 1000, MAX_FRAME_TIME)
       lastTimeRef.current = now
 
       const state = flightStateRef.current
       if (!state || state.landed) return
 
-      simulateFlight(state, startPos, dt)
+      while (accumulator >= PHYSICS_DT && !state.landed) {
+        prevX = state.x
+        prevY = state.y
+        // Lean changes are pinned to the step they take effect from,
+        // like every other input, so the replay flies them identically
+        const level = Math.round(leanInputRef.current * POSTURE.levels)
+        const leanChanges = roundInputsRef.current?.lean
+        const lastChange = leanChanges?.[leanChanges.length - 1]
+        if (
+          level !== state.lean && leanChanges
+          && leanChanges.length < POSTURE.maxChanges
+          && (!lastChange || state.steps - lastChange[0] >= LEAN_SAMPLE_STEPS)
+        ) {
+          leanChanges.push([state.steps, level])
+          setLean(state, level)
+        }
+        simulateFlight(state, startPos, hill)
+        recordPathStep(flightPathRef.current, state)
+        accumulator -= PHYSICS_DT
+      }
+
+      // Render position, interpolated between the last two steps
+      const alpha = state.landed ? 1 : accumulator / PHYSICS_DT
+      const drawX = prevX + (state.x - prevX) * alpha
+      const drawY = prevY + (state.y - prevY) * alpha
 
       // Update jumper position
       if (jumperRef.current) {
         jumperRef.current.style.transform =
-          `translate(${state.x - 21}px, ${state.y - 21}px)`
+          `translate(${drawX - 21}px, ${drawY - 21}px)`
       }
       
-      // Flight pose stays as scaleX(1.3) scaleY(0.8) — set at launch
+      // Flight pose is scaleX(1.3) scaleY(0.8), set at launch; the body
+      // turns with pitch (forward = clockwise)
+      if (jumperBodyRef.current && state.pitch !== drawnPitch) {
+        drawnPitch = state.pitch
+        jumperBodyRef.current.style.transition = 'none'
+        jumperBodyRef.current.style.transform =
+          `rotate(${drawnPitch.toFixed(1)}deg) scaleX(1.3) scaleY(0.8)`
+      }
+
+      // Ghost — where it was this many steps into its own flight
+      const ghostPoint = ghost ? getGhostPoint(ghost, state.steps - 1 + alpha) : null
+      if (ghostPoint && ghostRef.current) {
+        ghostRef.current.style.transform =
+          `translate(${ghostPoint.x - 21}px, ${ghostPoint.y - 21}px) rotate(${ghostPoint.pitch.toFixed(1)}deg) scaleX(1.3) scaleY(0.8)`
+      }
+
+      // Posture meter
+      if (postureNeedleRef.current) {
+        const pitchRatio = Math.max(-1, Math.min(1, state.pitch / POSTURE.maxPitch))
+        postureNeedleRef.current.style.left = `${50 + pitchRatio * 50}%`
+        postureNeedleRef.current.style.background = state.overRotated
+          ? BRAND.red
+          : Math.abs(pitchRatio) > 0.75 ? BRAND.orange : BRAND.white
+      }
+      overRotatedRef.current = state.overRotated
+      if (postureLabelRef.current && state.overRotated) {
+        postureLabelRef.current.textContent = 'OVER-ROTATED!'
+        postureLabelRef.current.style.color = BRAND.red
+      }
+
+      // Wind the jumper is flying in right now
+      if (windLabelRef.current) {
+        windLabelRef.current.textContent = `Wind: ${formatWind(state.wind)}`
+        windLabelRef.current.style.color = windColour(state.wind)
+      }
 
       // ---- CAMERA TRACKING ----
-      const targetCameraX = Math.max(0, Math.min(state.x - CAMERA_FOLLOW_X, CAMERA_MAX_X))
+      const targetCameraX = Math.max(0, Math.min(drawX - CAMERA_FOLLOW_X, cameraMaxX))
       cameraXRef.current += (targetCameraX - cameraXRef.current) * CAMERA_LERP
       if (scrollLayerRef.current) {
         scrollLayerRef.current.style.transform = `translateX(${-cameraXRef.current}px)`
@@ -536,8 +1019,8 @@ export default function AISkiJumpGame() {
       // Trail dots on Canvas
       frameCountRef.current++
       if (frameCountRef.current % 2 === 0) {
-        const hillY = getHillY(state.x)
-        const altitude = hillY - state.y
+        const hillY = getHillY(drawX, hill)
+        const altitude = hillY - drawY
         const altRatio = Math.max(0, Math.min(1, altitude / 120))
         let trailColor
         if (altRatio > 0.5) trailColor = BRAND.blueLight
@@ -546,8 +1029,8 @@ export default function AISkiJumpGame() {
 
         particlesRef.current.push({
           type: 'trailDot',
-          x: state.x - 4,
-          y: state.y - 4,
+          x: drawX - 4,
+          y: drawY - 4,
           color: trailColor,
           born: now,
           lifeTime: 1200
@@ -557,40 +1040,28 @@ export default function AISkiJumpGame() {
       // Canvas Rendering
       if (canvasRef.current) {
         const ctx = canvasRef.current.getContext('2d')
-        ctx.clearRect(0, 0, SCENE_W, GAME_H)
-        for (let i = particlesRef.current.length - 1; i >= 0; i--) {
-          const p = particlesRef.current[i]
-          const life = (now - p.born) / p.lifeTime
-          if (life >= 1) {
-            particlesRef.current.splice(i, 1)
-            continue
-          }
-          ctx.globalAlpha = 1 - Math.pow(life, 2) // fade out slower then fast
-          if (p.type === 'trailDot') {
-            ctx.fillStyle = p.color
-            ctx.beginPath()
-            ctx.arc(p.x, p.y, 4, 0, Math.PI * 2)
-            ctx.fill()
-            // Glow
-            ctx.shadowColor = p.color
-            ctx.shadowBlur = 8
-            ctx.fill()
-            ctx.shadowBlur = 0
-          } else if (p.type === 'launchBurst') {
-             ctx.save()
-             ctx.translate(p.x, p.y)
-             ctx.rotate(p.angle)
-             ctx.fillStyle = BRAND.white
-             ctx.fillRect(10 + life * 20, -1, 15, 2)
-             ctx.restore()
-          }
+        ctx.clearRect(0, 0, hill.sceneW, GAME_H)
+
+        // Ghost trail — the path it has flown so far, faint and dashed
+        if (ghostPoint) {
+          const flown = ghost.path.slice(0, Math.floor(state.steps / GHOST_SAMPLE_STEPS) + 1)
+          ctx.globalAlpha = 0.35
+          ctx.strokeStyle = BRAND.white
+          ctx.lineWidth = 2
+          ctx.setLineDash([4, 6])
+          ctx.beginPath()
+          flown.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)))
+          ctx.lineTo(ghostPoint.x, ghostPoint.y)
+          ctx.stroke()
+          ctx.setLineDash([])
         }
-        ctx.globalAlpha = 1.0
+
+        drawParticles(ctx, particlesRef.current, now)
       }
 
       // Live distance
       const currentDist =
-        Math.max(0, Math.round(((state.x - startPos.x) / PIXELS_PER_METRE) * 10) / 10)
+        Math.max(0, Math.round(((drawX - startPos.x) / hill.pixelsPerMetre) * 10) / 10)
       if (liveDistRef.current) {
         liveDistRef.current.textContent = `${currentDist.toFixed(1)}m`
 
@@ -610,10 +1081,21 @@ export default function AISkiJumpGame() {
         }
       }
 
-      const fp = Math.min(state.flightTime / flightTotalTimeEstRef.current, 1)
+      // Gap to the ghost, measured the same way
+      if (ghostPoint && ghostGapRef.current) {
+        const gap = Math.round((currentDist - getGhostDistance(ghostPoint, hill)) * 10) / 10
+        ghostGapRef.current.textContent =
+          `\uD83D\uDC7B ${gap >= 0 ? '+' : '\u2212'}${Math.abs(gap).toFixed(1)}m vs ${ghost.label}`
+        ghostGapRef.current.style.color = gap >= 0 ? BRAND.green : BRAND.red
+      }
+
+      // Touching down before the landing tap ends the flight: progress
+      // jumps to the end so the landing timer calls the crash
+      const fp = state.landed ? 1 : getFlightProgress(state.steps, flightStepsEstRef.current)
+      flightProgressRef.current = fp
       setFlightProgress(fp)
       setLiveDistance(currentDist)
-      setJumperPos({ x: state.x, y: state.y })
+      setJumperPos({ x: drawX, y: drawY })
 
       if (!state.landed) {
         animFrameRef.current = requestAnimationFrame(tick)
@@ -625,49 +1107,11 @@ export default function AISkiJumpGame() {
     return () => {
       if (animFrameRef.current) cancelAnimationFrame(animFrameRef.current)
     }
-  }, [screen])
-
-  // ---- onBoost callback from LandingTimer ----
-  const handleBoost = useCallback(() => {
-    const state = flightStateRef.current
-    if (!state || state.landed) return
-
-    if (boostsRef.current >= MAX_BOOSTS) return
-    boostsRef.current += 1
-    setBoostCount(boostsRef.current)
-
-    state.vx += BOOST_VX
-    state.vy -= BOOST_VY
-
-    // Visual feedback for boost
-    if (jumperBodyRef.current) {
-       jumperBodyRef.current.style.filter = `drop-shadow(0 0 10px ${BRAND.white})`
-       setTimeout(() => {
-         if (jumperBodyRef.current) {
-            jumperBodyRef.current.style.filter = `drop-shadow(0 2px 6px rgba(0,0,0,0.6))`
-         }
-       }, 150)
-    }
-    
-    // Spawn burst effect
-    const angle = Math.atan2(state.vy, state.vx)
-    if (particlesRef.current) {
-      for(let i=0; i<8; i++){
-        particlesRef.current.push({
-           type: 'launchBurst',
-           x: state.x,
-           y: state.y,
-           angle: angle + (Math.random() - 0.5) * 0.8,
-           born: performance.now(),
-           lifeTime: 400
-        })
-      }
-    }
-  }, [])
+  }, [screen, hill, ghost])
 
   // ---- onLand callback from LandingTimer ----
   const handleLand = useCallback(
-    ({ grade, multiplier }) => {
+    ({ grade: timingGrade }) => {
       if (animFrameRef.current) {
         cancelAnimationFrame(animFrameRef.current)
         animFrameRef.current = null
@@ -678,6 +1122,18 @@ export default function AISkiJumpGame() {
         windSoundRef.current = null
       }
 
+      // Where on the hill did we come down? Past HS the landing is harder.
+      // Scored at the last whole physics step, where the jumper is snapped
+      // to, so the replay of this landing step gives the same distance.
+      const state = flightStateRef.current
+      const result = state
+        ? scoreLanding(state.x, resolveTimingGrade(state, timingGrade), hill)
+        : scoreLanding(hill.rampLip.x, timingGrade, hill)
+      const { grade, zone } = result
+      if (state && jumperRef.current) {
+        jumperRef.current.style.transform = `translate(${state.x - 21}px, ${state.y - 21}px)`
+      }
+
       if (grade === 'telemark') {
         playSound('landing_perfect')
       } else if (grade === 'clean') {
@@ -709,14 +1165,10 @@ export default function AISkiJumpGame() {
         }, 500)
       }
 
-      const state = flightStateRef.current
-      const rawDist = state
-        ? Math.max(0, (state.x - RAMP_LIP.x) / PIXELS_PER_METRE)
-        : 0
-      const result = calculateScore(rawDist, multiplier)
+      const messageRng = createRng(deriveSeed(gameSeed, 'message', currentRound))
 
       if (state) {
-        spawnSnowBurst(state.x, state.y, grade)
+        spawnSnowBurst(particlesRef.current, state.x, state.y, grade, fxRngRef.current, performance.now())
       }
 
       // Draw snow burst on canvas until transition
@@ -726,31 +1178,8 @@ export default function AISkiJumpGame() {
         const now = performance.now()
         if (canvasRef.current) {
           const ctx = canvasRef.current.getContext('2d')
-          ctx.clearRect(0, 0, SCENE_W, GAME_H)
-          for (let i = particlesRef.current.length - 1; i >= 0; i--) {
-            const p = particlesRef.current[i]
-            const life = (now - p.born) / p.lifeTime
-            if (life >= 1) {
-              particlesRef.current.splice(i, 1)
-              continue
-            }
-            ctx.globalAlpha = 1 - life
-            if (p.type === 'snow') {
-              ctx.fillStyle = BRAND.white
-              ctx.beginPath()
-              ctx.arc(p.x, p.y, p.size, 0, Math.PI * 2)
-              ctx.fill()
-              p.x += p.vx * 0.016
-              p.y += p.vy * 0.016
-              p.vy += 0.2 // Gravity
-            } else if (p.type === 'trailDot') {
-              ctx.fillStyle = p.color
-              ctx.beginPath()
-              ctx.arc(p.x, p.y, 4, 0, Math.PI * 2)
-              ctx.fill()
-            }
-          }
-          ctx.globalAlpha = 1.0
+          ctx.clearRect(0, 0, hill.sceneW, GAME_H)
+          drawParticles(ctx, particlesRef.current, now)
         }
         if (now - landStartTime < 1000) {
            landRaf = requestAnimationFrame(landTick)
@@ -769,87 +1198,376 @@ export default function AISkiJumpGame() {
 
       applyCameraShake(grade)
 
+      // Competition points are worked out for every jump, so either
+      // scoring system can show them; the judges draw from their own stream
+      const official = scoreOfficialJump({
+        distance: result.raw,
+        landingGrade: grade,
+        stats: state
+          ? getFlightStats(state, roundInputsRef.current?.lean.length)
+          : { wind: currentWind, pitchPeak: 0, corrections: 0 },
+        hill,
+        gateDelta: START_GATES.reference - roundGate,
+        rng: createRng(deriveSeed(gameSeed, 'judges', currentRound)),
+      })
+
       const roundResult = {
         round: currentRound,
+        player: currentPlayer,
+        ...(gameMode === 'team' && { team: teamOnTurn, member: teamTurn.group, series: teamTurn.series }),
         distance: result.finalDistance,
         rawDistance: result.raw,
         multiplier: result.multiplier,
         landingGrade: grade,
-        jumper: JUMPERS[currentRound],
+        hillZone: zone,
+        hillId: hill.id,
+        gate: roundGate,
+        inputs: { ...roundInputsRef.current, landStep: state ? state.steps : 0 },
+        path: flightPathRef.current || [],
+        jumper,
         wind: currentWind,
+        message: getDistanceMessage(result.finalDistance, hill, messageRng),
+        official,
         counted: false,
       }
 
       setScores((prev) => [...prev, roundResult])
       setLiveDistance(result.finalDistance)
+      // A new best on the hill becomes the ghost to race there
+      const newBest = !isSharedGame(gameMode) && roundResult.path.length > 1
+        && isBetterThanGhost(roundResult, ghosts[hill.id])
+      if (newBest) {
+        const next = { ...ghosts, [hill.id]: createGhost(roundResult, roundResult.path) }
+        setGhosts(next)
+        lsSet(LS_GHOSTS, next)
+      }
+      // Telemarks and new bests get their instant replay straight away
+      replayClipRef.current = createReplayClip(roundResult)
+      const autoReplay = replayClipRef.current && (grade === 'telemark' || newBest)
+      if (!isSharedGame(gameMode)) {
+        earnAchievements({
+          type: 'round',
+          ...roundResult,
+          hill,
+          jury: juryGate != null,
+          leanChanges: roundInputsRef.current?.lean.length ?? 0,
+          overRotated: !!state?.overRotated,
+        })
+      }
 
       setScreen('LANDING')
 
       setTimeout(() => {
+        cancelAnimationFrame(landRaf)
+        if (autoReplay) {
+          setScreen('REPLAY')
+          return
+        }
         playSound('tick')
         setScreen('SCORE_DISPLAY')
-        cancelAnimationFrame(landRaf)
       }, 550)
     },
-    [currentRound, currentWind, spawnSnowBurst, applyCameraShake],
+    [currentRound, currentPlayer, gameMode, teamOnTurn, teamTurn, currentWind, roundGate, juryGate, jumper, gameSeed, hill, ghosts, applyCameraShake, earnAchievements],
   )
 
-  // ---- SCORE_DISPLAY → next round or RESULTS ----
+  // ---- Instant replay ----
+  const handleReplay = useCallback(() => {
+    if (replayClipRef.current) setScreen('REPLAY')
+  }, [])
+
+  const handleReplayEnd = useCallback(() => {
+    playSound('tick')
+    setScreen('SCORE_DISPLAY')
+  }, [])
+
+  // REPLAY: the last round again, slowed down, through the replay camera
+  // (see getReplayCamera). Particles age on the replay's own clock so
+  // they slow down with it.
+  useEffect(() => {
+    if (screen !== 'REPLAY') return
+    const clip = replayClipRef.current
+    const layer = scrollLayerRef.current
+    const rng = fxRngRef.current
+    let t = clip.start
+    let clock = 0
+    let last = performance.now()
+    let raf = null
+
+    particlesRef.current = []
+    if (layer) layer.style.transformOrigin = '0 0'
+    if (jumperBodyRef.current) {
+      jumperBodyRef.current.style.animation = 'none'
+      jumperBodyRef.current.style.transition = 'none'
+    }
+
+    function tick() {
+      const now = performance.now()
+      const dt = Math.min(now - last, MAX_FRAME_TIME * 1000)
+      last = now
+      const speed = getReplaySpeed(clip, t)
+      const prevT = t
+      t = Math.min(t + dt * speed, clip.end)
+      clock += dt * speed
+      const frame = getReplayFrame(clip, t, hill)
+
+      // Take-off and lean bursts, and the spray on touchdown
+      for (const event of getReplayEvents(clip, prevT, t)) {
+        const at = getReplayFrame(clip, event.at, hill)
+        if (event.type === 'launch') spawnBurst(particlesRef.current, at.x, at.y, 10, clock, 250)
+        else if (event.type === 'lean') spawnBurst(particlesRef.current, at.x, at.y, 6, clock, 180)
+        else {
+          spawnSnowBurst(particlesRef.current, at.x, at.y, clip.landingGrade, fxRngRef.current, clock)
+          if (clip.landingGrade === 'crash' && jumperBodyRef.current) {
+            jumperBodyRef.current.style.animation = 'crashTumble 1.2s ease-out forwards'
+          }
+        }
+      }
+
+      // Jumper: crouched on the in-run, flight pose in the air
+      if (jumperRef.current) {
+        jumperRef.current.style.transform = `translate(${frame.x - 21}px, ${frame.y - 21}px)`
+      }
+      const crashed = frame.phase === 'landed' && clip.landingGrade === 'crash'
+      if (jumperBodyRef.current && !crashed) {
+        jumperBodyRef.current.style.transform = frame.phase === 'approach'
+          ? 'scaleY(0.75) scaleX(1.15)'
+          : frame.phase === 'flight'
+            ? `rotate(${frame.pitch.toFixed(1)}deg) scaleX(1.3) scaleY(0.8)`
+            : 'scaleY(1.1) scaleX(0.9)'
+      }
+
+      const cam = getReplayCamera(clip, t, hill)
+      if (layer) layer.style.transform = `translate(${cam.x}px, ${cam.y}px) scale(${cam.zoom})`
+
+      // Speed lines on the in-run, trail dots in the air
+      if (frame.phase === 'approach' && rng() > 0.6) {
+        const rad = hill.rampAngle * Math.PI / 180
+        const offsetBack = 10 + rng() * 25
+        particlesRef.current.push({
+          type: 'speedLine',
+          x: frame.x - offsetBack * Math.cos(rad),
+          y: frame.y - offsetBack * Math.sin(rad),
+          w: 25 + rng() * 25,
+          angle: hill.rampAngle,
+          born: clock,
+          lifeTime: 300,
+        })
+      } else if (frame.phase === 'flight') {
+        particlesRef.current.push({ type: 'trailDot', x: frame.x - 4, y: frame.y - 4, color: BRAND.blueLight, born: clock, lifeTime: 1200 })
+      }
+
+      if (canvasRef.current) {
+        const ctx = canvasRef.current.getContext('2d')
+        ctx.clearRect(0, 0, hill.sceneW, GAME_H)
+        drawParticles(ctx, particlesRef.current, clock, speed)
+      }
+
+      if (t >= clip.end) handleReplayEnd()
+      else raf = requestAnimationFrame(tick)
+    }
+
+    raf = requestAnimationFrame(tick)
+
+    return () => {
+      cancelAnimationFrame(raf)
+      particlesRef.current = []
+      if (canvasRef.current) canvasRef.current.getContext('2d').clearRect(0, 0, hill.sceneW, GAME_H)
+      if (layer) {
+        layer.style.transformOrigin = ''
+        layer.style.transform = `translateX(${-cameraXRef.current}px)`
+      }
+    }
+  }, [screen, hill, handleReplayEnd])
+
+  // R replays the jump on the score screen; Space, Enter or Escape skip
+  // the replay
+  useEffect(() => {
+    if (screen !== 'SCORE_DISPLAY' && screen !== 'REPLAY') return
+    function handleKey(e) {
+      if (screen === 'SCORE_DISPLAY' && e.code === 'KeyR') handleReplay()
+      else if (screen === 'REPLAY' && (e.code === 'Space' || e.code === 'Enter' || e.code === 'Escape')) handleReplayEnd()
+      else return
+      e.preventDefault()
+    }
+    window.addEventListener('keydown', handleKey)
+    return () => window.removeEventListener('keydown', handleKey)
+  }, [screen, handleReplay, handleReplayEnd])
+
+  // ---- SCORE_DISPLAY → next player, next round or RESULTS ----
+  // In pass-and-play the round's wind stays up until everyone has jumped,
+  // and each turn waits at the intro for the device to be handed over.
+  // A team event moves through its groups the same way, each group with
+  // its own wind.
   useEffect(() => {
     if (screen !== 'SCORE_DISPLAY') return
 
     const timer = setTimeout(() => {
+      const hotseat = gameMode === 'hotseat'
+      particlesRef.current = [] // clear particles
+      if (gameMode === 'team') {
+        const next = getNextTurn(teamTurn, scores, teams, scoring)
+        if (!next) {
+          finishGame()
+          return
+        }
+        const group = getGroupIndex(next)
+        if (group !== currentRound) {
+          setCurrentRound(group)
+          generateWind(gameSeed, group)
+        }
+        setTeamTurn(next)
+        setIntroHold(true)
+        setScreen('ROUND_INTRO')
+        return
+      }
+      if (hotseat && currentPlayer + 1 < players.length) {
+        setCurrentPlayer(currentPlayer + 1)
+        setIntroHold(true)
+        setScreen('ROUND_INTRO')
+        return
+      }
       const nextRound = currentRound + 1
       if (nextRound >= ROUNDS_PER_GAME) {
         finishGame()
       } else {
         setCurrentRound(nextRound)
-        particlesRef.current = [] // clear particles
-        generateWind()
+        setCurrentPlayer(0)
+        generateWind(gameSeed, nextRound)
+        if (hotseat) setIntroHold(true)
         setScreen('ROUND_INTRO')
       }
     }, SCORE_DISPLAY_DURATION)
 
     return () => clearTimeout(timer)
-  }, [screen, currentRound])
+  }, [screen, currentRound, currentPlayer, players, teamTurn, teams, scores, scoring, gameMode, gameSeed])
 
   // ---- Finish game ----
+  // Pass-and-play and team events end on the podium: nothing is kept —
+  // no bests, board entries or career totals (see isSharedGame)
   const finishGame = useCallback(() => {
-    setScores((prevScores) => {
-      const sorted = [...prevScores].sort((a, b) => b.distance - a.distance)
-      const counted = sorted.map((s, i) => ({ ...s, counted: i < BEST_N }))
-      const ordered = counted.sort((a, b) => a.round - b.round)
-
-      const total =
-        Math.round(
-          ordered
-            .filter((s) => s.counted)
-            .reduce((sum, s) => sum + s.distance, 0) * 10
-        ) / 10
-      const grade = getGrade(total)
-
-      const prevBest = lsGet(LS_BEST, 0)
-      const newRecord = total > prevBest
-
-      if (newRecord) {
-        lsSet(LS_BEST, total)
-        setBestScore(total)
-        playSound('crowd')
-      }
+    if (isSharedGame(gameMode)) {
+      setPodium(gameMode === 'team'
+        ? getTeamStandings(scores, teams, scoring)
+        : getPlayerStandings(scores, players, hill, scoring))
+      setScreen('RESULTS')
+      return
+    }
+    // Read from state, not a setScores updater: everything below writes
+    // storage or counts the game, and StrictMode runs updaters twice
+    const ordered = markCounted(scores)
+
+    const total = calculateTotal(ordered.map((s) => s.distance))
+    const grade = getGrade(total, hill)
+    const pointsTotal = calculateOfficialTotal(ordered.map((s) => s.official))
+
+    const bests = loadBestScores()
+    const newRecord = total > (bests[hill.id] ?? 0)
+
+    if (newRecord) {
+      const nextBests = { ...bests, [hill.id]: total }
+      lsSet(LS_BEST_SCORES, nextBests)
+      setBestScores(nextBests)
+      playSound('crowd')
+    }
 
-      const newGamesPlayed = lsGet(LS_GAMES_PLAYED, 0) + 1
-      lsSet(LS_GAMES_PLAYED, newGamesPlayed)
-      setGamesPlayed(newGamesPlayed)
+    // Game record — the seed is enough to reproduce every round's wind
+    lsSet(LS_LAST_GAME, {
+      seed: gameSeed,
+      mode: gameMode,
+      hillId: hill.id,
+      name: playerName,
+      playedAt: new Date().toISOString(),
+      total,
+      scoring,
+      officialTotal: pointsTotal,
+      rounds: ordered.map((s) => ({
+        distance: s.distance,
+        landingGrade: s.landingGrade,
+        wind: s.wind,
+        points: s.official.points,
+        counted: s.counted,
+      })),
+    })
 
-      setFinalScores(ordered)
-      setTotalScore(total)
-      setFinalGrade(grade)
-      setIsNewRecord(newRecord)
-      setScreen('RESULTS')
+    pendingEntryRef.current = createEntry({
+      name: playerName,
+      hillId: hill.id,
+      mode: gameMode,
+      seed: gameSeed,
+      total,
+      grade: grade.label,
+      rounds: ordered,
+    })
+    setWeekRank(null)
+
+    if (gameMode === 'daily') {
+      const key = getDateKey()
+      const all = lsGet(LS_DAILY, {})
+      const entry = { ...all[key], total, grade: grade.label }
+      lsSet(LS_DAILY, { ...all, [key]: entry })
+      setDailyToday(entry)
+    }
 
-      return ordered
+    // World Cup event — placed against the simulated field. The saved
+    // season is checked against the event started, in case another tab
+    // has moved it on since.
+    let placing = null
+    if (gameMode === 'season') {
+      const current = normalizeSeason(lsGet(LS_SEASON, null))
+      if (current && getNextEventIndex(current) === seasonEventIndex) {
+        const nextSeason = recordSeasonEvent(current, { total, grade: grade.label })
+        lsSet(LS_SEASON, nextSeason)
+        setSeason(nextSeason)
+        const standings = getStandings(nextSeason, playerName)
+        placing = {
+          ...getEventResult(nextSeason, seasonEventIndex),
+          standingsPlace: standings.find((r) => r.id === PLAYER_ID).place,
+          eventsDone: nextSeason.results.length,
+          eventsTotal: SEASON_EVENTS.length,
+          champion: getChampion(nextSeason, playerName),
+        }
+      }
+    }
+    setSeasonResult(placing)
+
+    // Career totals — a milestone reached unlocks jumpers for the roster
+    const before = normalizeProgress(lsGet(LS_PROGRESS, null))
+    const after = addGameToProgress(before, { rounds: ordered, grade: grade.label })
+    const unlocked = getNewlyUnlocked(before, after)
+    lsSet(LS_PROGRESS, after)
+    setProgress(after)
+    setNewUnlocks(unlocked)
+
+    const newGamesPlayed = lsGet(LS_GAMES_PLAYED, 0) + 1
+    lsSet(LS_GAMES_PLAYED, newGamesPlayed)
+    setGamesPlayed(newGamesPlayed)
+
+    earnAchievements({
+      type: 'game',
+      hill,
+      mode: gameMode,
+      scoring,
+      total,
+      grade: grade.label,
+      isNewRecord: newRecord,
+      challengerScore,
+      season: placing && { place: placing.place, champion: placing.champion?.id === PLAYER_ID },
+      career: {
+        progress: after,
+        gamesPlayed: newGamesPlayed,
+        bestScores: loadBestScores(),
+        newUnlocks: unlocked,
+      },
     })
-  }, [])
+
+    setFinalScores(ordered)
+    setTotalScore(total)
+    setOfficialTotal(pointsTotal)
+    setFinalGrade(grade)
+    setIsNewRecord(newRecord)
+    setScores(ordered)
+    setScreen('RESULTS')
+  }, [gameSeed, gameMode, hill, playerName, scoring, challengerScore, seasonEventIndex, scores, players, teams, earnAchievements])
 
   // ---- Play again ----
   const handlePlayAgain = useCallback(() => {
@@ -858,10 +1576,59 @@ export default function AISkiJumpGame() {
     launchVelRef.current = null
     setFlightProgress(0)
     setLiveDistance(0)
-    setJumperPos({ x: RAMP_TOP.x, y: RAMP_TOP.y })
+    setJumperPos({ x: hill.rampTop.x, y: hill.rampTop.y })
     resetCameraInstant()
+    setScreen(gameMode === 'season' ? 'SEASON' : 'TITLE')
+    setGameMode('classic')
+  }, [hill, gameMode, resetCameraInstant])
+
+  // ---- Leaderboard ----
+  // Submitted once the results are up, outside the state updater, so a
+  // slow or offline server never holds up the game. A player with no name
+  // yet is asked for one there, so the entry waits for it — and goes
+  // unnamed only if they leave the results without giving one.
+  useEffect(() => {
+    if (!pendingEntryRef.current || (screen === 'RESULTS' && !playerName)) return
+    const entry = { ...pendingEntryRef.current, name: playerName }
+    pendingEntryRef.current = null
+    leaderboardClient.submit(entry)
+      .then(({ entry: stored, weekRank: rank }) => {
+        setMyEntries((prev) => {
+          const next = { ...prev, [stored.hillId]: stored.id }
+          lsSet(LS_MY_ENTRIES, next)
+          return next
+        })
+        setWeekRank(rank)
+      })
+      .catch(() => setWeekRank(null))
+  }, [screen, playerName])
+
+  // This week's best for the title screen
+  useEffect(() => {
+    if (screen !== 'TITLE') return
+    let cancelled = false
+    leaderboardClient.fetchWeekly(hill.id, { limit: 1 })
+      .then(([top]) => !cancelled && setWeekBest(top || null))
+      .catch(() => !cancelled && setWeekBest(null))
+    return () => { cancelled = true }
+  }, [screen, hill.id])
+
+  const handleOpenLeaderboard = useCallback(() => {
+    leaderboardReturnRef.current = screen
+    setScreen('LEADERBOARD')
+  }, [screen])
+
+  const handleCloseLeaderboard = useCallback(() => {
+    setScreen(leaderboardReturnRef.current)
+  }, [])
+
+  const handleOpenTrophies = useCallback(() => {
+    setScreen('TROPHIES')
+  }, [])
+
+  const handleCloseTrophies = useCallback(() => {
     setScreen('TITLE')
-  }, [resetCameraInstant])
+  }, [])
 
   // ---- Share / Challenge handlers ----
   const handleShare = useCallback((text) => {
@@ -874,8 +1641,15 @@ export default function AISkiJumpGame() {
     }
   }, [])
 
-  const handleChallenge = useCallback(() => {
-    const url = `${window.location.origin}${window.location.pathname}?challenge=true&name=Me&score=${totalScore}`
+  // ResultsScreen passes the name as typed, in case it hasn't been saved yet
+  const handleChallenge = useCallback((name = playerName) => {
+    const params = encodeChallenge({
+      seed: gameSeed,
+      hillId: hill.id,
+      name,
+      rounds: finalScores,
+    })
+    const url = `${window.location.origin}${window.location.pathname}?${params}`
     if (navigator.share) {
       navigator.share({ url, text: `Can you beat my ${totalScore}m ski jump?` }).catch(() => {
         navigator.clipboard?.writeText(url)
@@ -883,61 +1657,213 @@ export default function AISkiJumpGame() {
     } else {
       navigator.clipboard?.writeText(url)
     }
-  }, [totalScore])
+  }, [gameSeed, hill, finalScores, totalScore, playerName])
 
   // ===========================================================================
   // DERIVED VALUES
   // ===========================================================================
-  const jumper = JUMPERS[currentRound] || JUMPERS[0]
   const isGameplay =
     screen === 'APPROACH' ||
     screen === 'FLIGHT' ||
     screen === 'LANDING' ||
+    screen === 'REPLAY' ||
     screen === 'SCORE_DISPLAY' ||
     screen === 'ROUND_INTRO'
 
   const currentScore = scores.length > 0 ? scores[scores.length - 1] : null
 
-  const windText =
-    currentWind > 0
-      ? `${currentWind.toFixed(1)}m/s \u2192`
-      : currentWind < 0
-        ? `${Math.abs(currentWind).toFixed(1)}m/s \u2190`
-        : '0.0m/s'
+  // Games shared round one device: whose turn it is — key matches their
+  // standings row — and the standings shown between jumps
+  const isShared = isSharedGame(gameMode)
+  const turn = gameMode === 'hotseat'
+    ? { key: currentPlayer, name: players[currentPlayer], colour: PLAYER_COLOURS[currentPlayer] }
+    : gameMode === 'team'
+      ? {
+          key: teamOnTurn,
+          name: teams[teamOnTurn].members[teamTurn.group],
+          team: teams[teamOnTurn].name,
+          colour: teams[teamOnTurn].colour,
+        }
+      : null
+  const sharedStandings = gameMode === 'hotseat' ? getPlayerStandings(scores, players, hill, scoring)
+    : gameMode === 'team' ? getTeamStandings(scores, teams, scoring)
+      : null
+  const roundLabel = gameMode === 'team'
+    ? `Series ${teamTurn.series + 1} \u2022 Jump ${teamTurn.group + 1}/${TEAM_SIZE}`
+    : `Round ${currentRound + 1}/${ROUNDS_PER_GAME}`
+
+  // Title-screen line under the World Cup button
+  const seasonStatus = !season ? null
+    : getNextEventIndex(season) == null ? 'Season complete — see the champion'
+      : `Next: ${getSeasonEvent(getNextEventIndex(season)).venue} (${season.results.length + 1}/${SEASON_EVENTS.length})`
+  const gatePos = getGatePosition(roundGate, hill)
+
+  // Crash-ski scatter for this round — stable identity so LandingTimer's
+  // callbacks don't churn every frame
+  const crashRng = useMemo(
+    () => createRng(deriveSeed(gameSeed, 'crash', currentRound)),
+    [gameSeed, currentRound],
+  )
+
+  // Headwind feeds the skis more air (more lift, longer jumps); tailwind
+  // takes it away. The round's mean is what's announced; the gusts swing
+  // either side of it down the hill and over the flight.
+  const gustSwing = useMemo(() => {
+    if (!windField) return 0
+    let swing = 0
+    for (let m = 0; m <= hill.profile.hillSize; m += 5) {
+      for (let t = 0; t <= 5; t += 0.25) {
+        swing = Math.max(swing, Math.abs(windField.at(m, t) - windField.mean))
+      }
+    }
+    return swing
+  }, [windField, hill])
+  const windText = `${formatWind(currentWind)}, gusts \u00b1${gustSwing.toFixed(1)}`
 
   // ===========================================================================
   // RENDER
   // ===========================================================================
 
+  if (screen === 'LEADERBOARD') {
+    return (
+      <LeaderboardScreen
+        client={leaderboardClient}
+        hill={hill}
+        myEntries={myEntries}
+        onBack={handleCloseLeaderboard}
+      />
+    )
+  }
+
+  if (screen === 'PLAYERS') {
+    return (
+      <PlayersScreen
+        players={players}
+        onConfirm={handlePlayersConfirm}
+        onBack={handlePlayersBack}
+      />
+    )
+  }
+
+  if (screen === 'TEAMS') {
+    return (
+      <TeamsScreen
+        teams={teams}
+        onConfirm={handleTeamsConfirm}
+        onBack={handleTeamsBack}
+      />
+    )
+  }
+
+  if (screen === 'SEASON') {
+    return (
+      <SeasonScreen
+        season={season}
+        playerName={playerName}
+        onJump={handleSeasonJump}
+        onNewSeason={handleNewSeason}
+        onBack={handleCloseSeason}
+      />
+    )
+  }
+
+  if (screen === 'TROPHIES') {
+    return (
+      <TrophyCabinet
+        earned={achievements}
+        career={{ progress, gamesPlayed, bestScores }}
+        onBack={handleCloseTrophies}
+      />
+    )
+  }
+
+  if (screen === 'ROSTER') {
+    return (
+      <RosterScreen
+        lineup={lineup}
+        progress={progress}
+        onConfirm={handleRosterConfirm}
+        onBack={handleRosterBack}
+      />
+    )
+  }
+
   if (screen === 'TITLE') {
     return (
       <TitleScreen
         onStart={handleStart}
-        bestScore={bestScore}
+        onStartDaily={handleStartDaily}
+        dailyNumber={getDailyNumber()}
+        dailyToday={dailyToday}
+        hill={hill}
+        bestScores={bestScores}
+        onSelectHill={handleSelectHill}
+        scoring={scoring}
+        onSelectScoring={handleSelectScoring}
         gamesPlayed={gamesPlayed}
         challengerName={challengerName}
         challengerScore={challengerScore}
+        challengeHill={challenge ? getHill(challenge.hillId) : null}
+        challengeVerified={challenge ? challenge.verified : null}
+        challengeClaimedScore={challenge ? challenge.claimedTotal : null}
+        onDismissChallenge={handleDismissChallenge}
+        weekBest={weekBest}
+        onOpenLeaderboard={handleOpenLeaderboard}
+        onOpenSeason={handleOpenSeason}
+        onOpenHotseat={handleOpenHotseat}
+        onOpenTeams={handleOpenTeams}
+        seasonStatus={seasonStatus}
+        onOpenTrophies={handleOpenTrophies}
+        trophyCount={ACHIEVEMENTS.filter((a) => achievements[a.id] != null).length}
+        trophyTotal={ACHIEVEMENTS.length}
       />
     )
   }
 
-  if (screen === 'RESULTS') {
+  if (screen === 'RESULTS' && podium) {
     return (
-      <ResultsScreen
-        scores={finalScores}
-        totalScore={totalScore}
-        grade={finalGrade}
-        bestScore={bestScore}
-        isNewRecord={isNewRecord}
-        challengerName={challengerName}
-        challengerScore={challengerScore}
+      <PodiumScreen
+        standings={podium}
+        eventName={gameMode === 'team' ? 'Team Event' : 'Pass & Play'}
+        hill={hill}
+        scoring={scoring}
+        onRematch={handleRematch}
         onPlayAgain={handlePlayAgain}
         onShare={handleShare}
-        onChallenge={handleChallenge}
       />
     )
   }
 
+  if (screen === 'RESULTS') {
+    return (
+      <>
+        <AchievementToast queue={toastQueue} onDone={handleToastDone} />
+        <ResultsScreen
+          scores={finalScores}
+          totalScore={totalScore}
+          scoring={scoring}
+          officialTotal={officialTotal}
+          grade={finalGrade}
+          hill={hill}
+          dailyNumber={gameMode === 'daily' ? dailyToday?.number : null}
+          bestScore={bestScores[hill.id] ?? null}
+          isNewRecord={isNewRecord}
+          newUnlocks={newUnlocks}
+          seasonResult={seasonResult}
+          challengerName={challengerName}
+          challengerScore={challengerScore}
+          onPlayAgain={handlePlayAgain}
+          onShare={handleShare}
+          onChallenge={handleChallenge}
+          playerName={playerName}
+          onNameChange={handleNameChange}
+          weekRank={weekRank}
+          onOpenLeaderboard={handleOpenLeaderboard}
+        />
+      </>
+    )
+  }
+
   // ---- GAMEPLAY ----
   return (
     <div
@@ -952,6 +1878,8 @@ export default function AISkiJumpGame() {
         overflow: 'hidden',
       }}
     >
+      <AchievementToast queue={toastQueue} onDone={handleToastDone} />
+
       {/* ================================================================= */}
       {/* HUD BAR — fixed at top                                           */}
       {/* ================================================================= */}
@@ -973,9 +1901,14 @@ export default function AISkiJumpGame() {
         }}
       >
         <div style={{ fontSize: Math.round(13 * Math.max(scale, 0.65)), fontWeight: 700, color: BRAND.white, letterSpacing: '0.5px' }}>
-          Round {currentRound + 1}/{ROUNDS_PER_GAME}
+          {roundLabel}
         </div>
         <div style={{ fontSize: Math.round(13 * Math.max(scale, 0.65)), fontWeight: 600, color: BRAND.grayLight, display: 'flex', alignItems: 'center', gap: 6 }}>
+          {turn && (
+            <span style={{ fontWeight: 800, color: turn.colour }}>
+              {turn.name}'s turn &bull;
+            </span>
+          )}
           <span>{jumper.emoji}</span>
           <span>{jumper.name}</span>
         </div>
@@ -995,13 +1928,55 @@ export default function AISkiJumpGame() {
         </button>
       </div>
 
+      {/* ================================================================= */}
+      {/* STANDINGS STRIP — shared games, in place of the score badges      */}
+      {/* ================================================================= */}
+      {isShared && (
+        <div
+          style={{
+            display: 'flex',
+            gap: 6,
+            padding: '6px 12px',
+            flexWrap: 'wrap',
+            justifyContent: 'center',
+            maxWidth: GAME_W * scale,
+            zIndex: 100,
+            flexShrink: 0,
+          }}
+        >
+          {sharedStandings.map((row) => (
+            <div
+              key={row.name}
+              style={{
+                padding: `${Math.round(3 * Math.max(scale, 0.65))}px ${Math.round(10 * Math.max(scale, 0.65))}px`,
+                borderRadius: 12,
+                background: (row.player ?? row.team) === turn.key ? row.colour : 'rgba(255,255,255,0.1)',
+                border: `1px solid ${row.colour}`,
+                opacity: row.cut ? 0.45 : 1,
+                textDecoration: row.cut ? 'line-through' : 'none',
+                fontSize: Math.round(11 * Math.max(scale, 0.65)),
+                fontWeight: 700,
+                color: BRAND.white,
+                letterSpacing: '0.3px',
+              }}
+            >
+              {row.place}. {row.name} {scoring === 'official'
+                ? `${row.officialTotal.toFixed(1)} pts`
+                : `${row.total.toFixed(1)}m`}
+            </div>
+          ))}
+        </div>
+      )}
+
       {/* ================================================================= */}
       {/* SCORE BADGES — previous rounds                                    */}
       {/* ================================================================= */}
-      {scores.length > 0 && (() => {
-        const sortedDists = [...scores].map(s => s.distance).sort((a, b) => b - a)
-        const bestN = sortedDists.slice(0, BEST_N)
-        const runningTotal = Math.round(bestN.reduce((sum, d) => sum + d, 0) * 10) / 10
+      {!isShared && scores.length > 0 && (() => {
+        const runningTotal = calculateTotal(scores.map((s) => s.distance))
+        // Head-to-head: challenger's running total after the same number of rounds
+        const rivalTotal = gameMode === 'challenge'
+          ? calculateTotal(challenge.rounds.slice(0, scores.length).map((r) => r.distance))
+          : null
 
         return (
           <div
@@ -1048,6 +2023,18 @@ export default function AISkiJumpGame() {
                 Best {Math.min(scores.length, BEST_N)}: {runningTotal.toFixed(1)}m
               </div>
             )}
+            {rivalTotal != null && (
+              <div style={{
+                width: '100%',
+                textAlign: 'center',
+                fontSize: Math.round(11 * Math.max(scale, 0.65)),
+                fontWeight: 700,
+                color: runningTotal >= rivalTotal ? BRAND.green : BRAND.orange,
+                letterSpacing: '0.3px',
+              }}>
+                {challengerName} was at {rivalTotal.toFixed(1)}m after round {scores.length}
+              </div>
+            )}
           </div>
         )
       })()}
@@ -1055,7 +2042,12 @@ export default function AISkiJumpGame() {
       {/* ================================================================= */}
       {/* GAME CONTAINER — scaled game area with overflow hidden            */}
       {/* ================================================================= */}
-      <div ref={gameContainerRef} style={{ ...containerStyle, overflow: 'hidden' }} data-game-container>
+      <div
+        ref={gameContainerRef}
+        // Lean drags mustn't be taken over as scroll or zoom gestures
+        style={{ ...containerStyle, overflow: 'hidden', touchAction: screen === 'FLIGHT' ? 'none' : undefined }}
+        data-game-container
+      >
         <div ref={shakeWrapperRef} style={{ position: 'absolute', inset: 0 }}>
 
           {/* ============================================================= */}
@@ -1067,15 +2059,23 @@ export default function AISkiJumpGame() {
               position: 'absolute',
               left: 0,
               top: 0,
-              width: SCENE_W,
+              width: hill.sceneW,
               height: GAME_H,
             }}
           >
-            <SkiJumpScene>
+            <SkiJumpScene hill={hill} gate={roundGate}>
+              {/* ---- WIND FLAGS ---- */}
+              <WindFlags
+                hill={hill}
+                field={screen === 'APPROACH' || screen === 'FLIGHT' || screen === 'LANDING' ? windField : null}
+                flying={screen === 'FLIGHT'}
+                flightRef={flightStateRef}
+              />
+
               {/* ---- CANVAS FOR PARTICLES ---- */}
               <canvas
                 ref={canvasRef}
-                width={SCENE_W}
+                width={hill.sceneW}
                 height={GAME_H}
                 style={{
                   position: 'absolute',
@@ -1088,10 +2088,36 @@ export default function AISkiJumpGame() {
                 }}
               />
 
+              {/* ---- GHOST — moved by the flight loop ---- */}
+              {ghost && (screen === 'FLIGHT' || screen === 'LANDING') && (
+                <div
+                  ref={ghostRef}
+                  style={{
+                    position: 'absolute',
+                    left: 0,
+                    top: 0,
+                    width: 42,
+                    height: 42,
+                    zIndex: 4,
+                    transform: `translate(${ghost.path[0][0] - 21}px, ${ghost.path[0][1] - 21}px)`,
+                    transformOrigin: 'center center',
+                    fontSize: '42px',
+                    lineHeight: 1,
+                    textAlign: 'center',
+                    opacity: 0.4,
+                    filter: 'grayscale(1) brightness(1.6)',
+                    pointerEvents: 'none',
+                  }}
+                >
+                  {ghost.emoji}
+                </div>
+              )}
+
               {/* ---- JUMPER (SVG Skier) ---- */}
               {(screen === 'APPROACH' ||
                 screen === 'FLIGHT' ||
-                screen === 'LANDING') && (
+                screen === 'LANDING' ||
+                screen === 'REPLAY') && (
                 <div
                   ref={jumperRef}
                   style={{
@@ -1101,7 +2127,7 @@ export default function AISkiJumpGame() {
                     width: 42,
                     height: 42,
                     zIndex: 5,
-                    transform: `translate(${RAMP_TOP.x - 21}px, ${RAMP_TOP.y - 21}px)`,
+                    transform: `translate(${gatePos.x - 21}px, ${gatePos.y - 21}px)`,
                     transformOrigin: 'center center',
                     pointerEvents: 'none',
                   }}
@@ -1163,6 +2189,7 @@ export default function AISkiJumpGame() {
               <LaunchTimer
                 active={screen === 'APPROACH'}
                 onLaunch={handleLaunch}
+                lip={hill.rampLip}
                 gameScale={1}
                 inputLockedUntilRef={inputLockedUntilRef}
               />
@@ -1172,8 +2199,11 @@ export default function AISkiJumpGame() {
                 active={screen === 'FLIGHT'}
                 flightProgress={flightProgress}
                 onLand={handleLand}
-                onBoost={handleBoost}
                 jumperPos={jumperPos}
+                progressRef={flightProgressRef}
+                overRotatedRef={overRotatedRef}
+                jumper={jumper}
+                rng={crashRng}
                 gameScale={1}
                 inputLockedUntilRef={inputLockedUntilRef}
               />
@@ -1184,9 +2214,11 @@ export default function AISkiJumpGame() {
           {/* FIXED HUD LAYER                                              */}
           {/* ============================================================= */}
 
-          {/* Wind indicator */}
+          {/* Wind indicator — the forecast on the approach, then the wind
+              at the jumper, written by the flight loop */}
           {(screen === 'APPROACH' || screen === 'FLIGHT') && (
             <div
+              ref={windLabelRef}
               style={{
                 position: 'absolute',
                 top: 8,
@@ -1197,12 +2229,7 @@ export default function AISkiJumpGame() {
                 backdropFilter: 'blur(4px)',
                 fontSize: 11,
                 fontWeight: 600,
-                color:
-                  currentWind > 0
-                    ? BRAND.green
-                    : currentWind < 0
-                      ? BRAND.red
-                      : BRAND.grayLight,
+                color: windColour(currentWind),
                 zIndex: 20,
                 fontFamily: FONT,
                 letterSpacing: '0.3px',
@@ -1212,37 +2239,70 @@ export default function AISkiJumpGame() {
             </div>
           )}
 
-          {/* Boost meter dots */}
-          {screen === 'FLIGHT' && flightProgress < 0.5 && (
+          {/* Posture meter — pitch from full back (left) to full forward
+              (right); the tick is where lift peaks, past the ends the
+              jumper over-rotates */}
+          {screen === 'FLIGHT' && (
             <div
               style={{
                 position: 'absolute',
                 top: 8,
                 left: 8,
-                display: 'flex',
-                gap: 4,
                 zIndex: 20,
-                padding: '3px 8px',
+                padding: '4px 8px 6px',
                 borderRadius: 8,
                 background: 'rgba(0,0,0,0.5)',
                 backdropFilter: 'blur(4px)',
+                fontFamily: FONT,
               }}
             >
-              {Array.from({ length: MAX_BOOSTS }).map((_, i) => (
+              <div
+                ref={postureLabelRef}
+                style={{
+                  fontSize: 9,
+                  fontWeight: 700,
+                  letterSpacing: '1px',
+                  color: BRAND.grayLight,
+                  marginBottom: 4,
+                }}
+              >
+                LEAN
+              </div>
+              <div
+                style={{
+                  position: 'relative',
+                  width: 90,
+                  height: 6,
+                  borderRadius: 3,
+                  background: `linear-gradient(90deg, ${BRAND.red}, rgba(255,255,255,0.15) 20%, rgba(255,255,255,0.15) 80%, ${BRAND.red})`,
+                }}
+              >
                 <div
-                  key={i}
                   style={{
-                    width: 10,
+                    position: 'absolute',
+                    left: `${50 + Math.max(-1, Math.min(1, stallPitch / POSTURE.maxPitch)) * 50}%`,
+                    top: -2,
+                    width: 2,
                     height: 10,
-                    borderRadius: '50%',
-                    background: i < boostCount ? BRAND.gray : BRAND.orange,
-                    border: `1.5px solid ${i < boostCount ? BRAND.gray : BRAND.orange}`,
-                    opacity: i < boostCount ? 0.3 : 1,
-                    transition: 'all 0.15s ease',
-                    boxShadow: i < boostCount ? 'none' : `0 0 6px ${BRAND.orange}66`,
+                    marginLeft: -1,
+                    background: BRAND.green,
+                  }}
+                />
+                <div
+                  ref={postureNeedleRef}
+                  style={{
+                    position: 'absolute',
+                    left: '50%',
+                    top: -3,
+                    width: 6,
+                    height: 12,
+                    marginLeft: -3,
+                    borderRadius: 3,
+                    background: BRAND.white,
+                    boxShadow: '0 0 4px rgba(0,0,0,0.6)',
                   }}
                 />
-              ))}
+              </div>
             </div>
           )}
 
@@ -1268,6 +2328,29 @@ export default function AISkiJumpGame() {
               0.0m
             </div>
           )}
+          {screen === 'FLIGHT' && ghost && (
+            <div
+              ref={ghostGapRef}
+              style={{
+                position: 'absolute',
+                top: 48,
+                left: '50%',
+                transform: 'translateX(-50%)',
+                padding: '2px 8px',
+                borderRadius: 8,
+                background: 'rgba(0,0,0,0.5)',
+                fontSize: 12,
+                fontWeight: 700,
+                color: BRAND.white,
+                zIndex: 20,
+                fontFamily: FONT,
+                whiteSpace: 'nowrap',
+                pointerEvents: 'none',
+              }}
+            >
+              {'\uD83D\uDC7B'} vs {ghost.label}
+            </div>
+          )}
 
           {/* ============================================================= */}
           {/* LANDING FLASH                                                 */}
@@ -1321,8 +2404,31 @@ export default function AISkiJumpGame() {
                   fontFamily: FONT,
                 }}
               >
-                Round {currentRound + 1}/{ROUNDS_PER_GAME}
+                {gameMode === 'daily' && `Daily Jump #${dailyToday?.number} \u2022 `}
+                {gameMode === 'season' && `${getSeasonEvent(seasonEventIndex).venue} \u2022 `}
+                {roundLabel}
               </div>
+              {turn && (
+                <div
+                  style={{
+                    fontSize: 26,
+                    fontWeight: 800,
+                    color: turn.colour,
+                    fontFamily: DISPLAY_FONT,
+                    letterSpacing: '1px',
+                    textTransform: 'uppercase',
+                    marginBottom: 4,
+                    animation: 'fadeUp 0.4s ease-out',
+                  }}
+                >
+                  {turn.name}'s turn
+                  {turn.team && (
+                    <div style={{ fontSize: 13, fontWeight: 700, color: BRAND.grayLight, fontFamily: FONT, letterSpacing: '0.5px', textTransform: 'none' }}>
+                      for {turn.team}
+                    </div>
+                  )}
+                </div>
+              )}
               <div
                 style={{
                   fontSize: 32,
@@ -1339,7 +2445,7 @@ export default function AISkiJumpGame() {
                   fontWeight: 800,
                   color: BRAND.white,
                   letterSpacing: '0.5px',
-                  marginBottom: 12,
+                  marginBottom: 10,
                   animation: 'fadeUp 0.4s ease-out 0.15s both',
                   fontFamily: FONT,
                   textShadow: `0 0 16px ${jumper.color}66`,
@@ -1347,22 +2453,89 @@ export default function AISkiJumpGame() {
               >
                 {jumper.name}
               </div>
+              <div style={{ marginBottom: 12 }}>
+                <JumperStats jumper={jumper} delay={0.2} />
+              </div>
               <div
                 style={{
                   fontSize: 13,
                   fontWeight: 600,
-                  color:
-                    currentWind > 0
-                      ? BRAND.green
-                      : currentWind < 0
-                        ? BRAND.red
-                        : BRAND.grayLight,
+                  color: windColour(currentWind),
                   animation: 'fadeUp 0.4s ease-out 0.25s both',
                   fontFamily: FONT,
                 }}
               >
                 Wind: {windText}
               </div>
+
+              {/* Start gate — the jury's in strong wind, otherwise the
+                  player's to pick */}
+              <div
+                style={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: 12,
+                  marginTop: 16,
+                  animation: 'fadeUp 0.4s ease-out 0.35s both',
+                  fontFamily: FONT,
+                }}
+              >
+                {juryGate == null && (
+                  <button
+                    onClick={() => changeGate(-1)}
+                    disabled={roundGate <= 1}
+                    aria-label="Lower gate"
+                    style={gateButtonStyle(roundGate > 1)}
+                  >
+                    {'\u25BC'}
+                  </button>
+                )}
+                <div style={{ textAlign: 'center', minWidth: 96 }}>
+                  <div style={{ fontSize: 10, fontWeight: 700, letterSpacing: '1.5px', color: BRAND.grayLight }}>
+                    {juryGate == null ? 'START GATE' : 'JURY GATE'}
+                  </div>
+                  <div style={{ fontSize: 30, fontWeight: 800, color: BRAND.white, fontFamily: DISPLAY_FONT, lineHeight: 1.1 }}>
+                    {roundGate}
+                  </div>
+                  <div style={{ fontSize: 10, fontWeight: 600, color: gateHintColour(roundGate) }}>
+                    {gateHint(roundGate, juryGate != null)}
+                  </div>
+                </div>
+                {juryGate == null && (
+                  <button
+                    onClick={() => changeGate(1)}
+                    disabled={roundGate >= START_GATES.count}
+                    aria-label="Raise gate"
+                    style={gateButtonStyle(roundGate < START_GATES.count)}
+                  >
+                    {'\u25B2'}
+                  </button>
+                )}
+              </div>
+              {introHold ? (
+                <button
+                  onClick={startApproach}
+                  style={{
+                    marginTop: 14,
+                    padding: '8px 28px',
+                    borderRadius: 20,
+                    border: 'none',
+                    background: BRAND.blue,
+                    color: BRAND.white,
+                    fontSize: 14,
+                    fontWeight: 800,
+                    letterSpacing: '1px',
+                    fontFamily: FONT,
+                    cursor: 'pointer',
+                  }}
+                >
+                  GO {'\u25B8'}
+                </button>
+              ) : juryGate == null && (
+                <div style={{ marginTop: 10, fontSize: 11, color: BRAND.gray, fontFamily: FONT }}>
+                  {'\u2191\u2193'} or tap to change gate
+                </div>
+              )}
             </div>
           )}
 
@@ -1382,35 +2555,46 @@ export default function AISkiJumpGame() {
                 zIndex: 50,
               }}
             >
-              <div
-                style={{
-                  fontSize: 56,
-                  fontWeight: 800,
-                  color: BRAND.white,
-                  letterSpacing: '1px',
-                  animation: 'popIn 0.5s cubic-bezier(0.175,0.885,0.32,1.275)',
-                  fontFamily: DISPLAY_FONT,
-                  textShadow: '0 2px 16px rgba(0,0,0,0.5)',
-                  lineHeight: 1.1,
-                }}
-              >
-                {currentScore.distance.toFixed(1)}m
-              </div>
+              {scoring === 'official' ? (
+                <OfficialScoreboard
+                  jump={currentScore.official}
+                  jumper={currentScore.jumper}
+                  round={currentScore.round}
+                  label={gameMode === 'team' ? roundLabel.toUpperCase() : undefined}
+                />
+              ) : (
+                <>
+                  <div
+                    style={{
+                      fontSize: 56,
+                      fontWeight: 800,
+                      color: BRAND.white,
+                      letterSpacing: '1px',
+                      animation: 'popIn 0.5s cubic-bezier(0.175,0.885,0.32,1.275)',
+                      fontFamily: DISPLAY_FONT,
+                      textShadow: '0 2px 16px rgba(0,0,0,0.5)',
+                      lineHeight: 1.1,
+                    }}
+                  >
+                    {currentScore.distance.toFixed(1)}m
+                  </div>
 
-              {/* Raw distance x multiplier breakdown */}
-              <div
-                style={{
-                  fontSize: 14,
-                  fontWeight: 600,
-                  color: BRAND.grayLight,
-                  marginTop: 6,
-                  animation: 'fadeUp 0.3s ease-out 0.15s both',
-                  fontFamily: FONT,
-                  letterSpacing: '0.3px',
-                }}
-              >
-                {currentScore.rawDistance.toFixed(1)}m × {currentScore.multiplier}x
-              </div>
+                  {/* Raw distance x multiplier breakdown */}
+                  <div
+                    style={{
+                      fontSize: 14,
+                      fontWeight: 600,
+                      color: BRAND.grayLight,
+                      marginTop: 6,
+                      animation: 'fadeUp 0.3s ease-out 0.15s both',
+                      fontFamily: FONT,
+                      letterSpacing: '0.3px',
+                    }}
+                  >
+                    {currentScore.rawDistance.toFixed(1)}m × {currentScore.multiplier}x
+                  </div>
+                </>
+              )}
 
               <div
                 style={{
@@ -1426,6 +2610,24 @@ export default function AISkiJumpGame() {
                 {LANDING_LABEL[currentScore.landingGrade]}
               </div>
 
+              {/* Landed past HS — harder impact on the flattening transition */}
+              {(currentScore.hillZone === 'beyondHS' || currentScore.hillZone === 'outrun') && (
+                <div
+                  style={{
+                    fontSize: 12,
+                    fontWeight: 700,
+                    color: BRAND.orange,
+                    marginTop: 4,
+                    animation: 'fadeUp 0.4s ease-out 0.3s both',
+                    fontFamily: FONT,
+                    letterSpacing: '0.5px',
+                    textTransform: 'uppercase',
+                  }}
+                >
+                  Past HS{hill.profile.hillSize} — hard landing
+                </div>
+              )}
+
               <div
                 style={{
                   fontSize: 14,
@@ -1437,7 +2639,77 @@ export default function AISkiJumpGame() {
                   fontStyle: 'italic',
                 }}
               >
-                {getDistanceMessage(currentScore.distance)}
+                {currentScore.message}
+              </div>
+
+              {currentScore.path?.length > 1 && (
+                <button
+                  onClick={handleReplay}
+                  style={{
+                    marginTop: 16,
+                    padding: '6px 14px',
+                    borderRadius: 16,
+                    border: `1px solid ${BRAND.white}55`,
+                    background: 'rgba(255,255,255,0.1)',
+                    color: BRAND.white,
+                    fontSize: 12,
+                    fontWeight: 700,
+                    fontFamily: FONT,
+                    letterSpacing: '1px',
+                    cursor: 'pointer',
+                    animation: 'fadeUp 0.4s ease-out 0.5s both',
+                  }}
+                >
+                  {'\u25B6'} REPLAY
+                </button>
+              )}
+            </div>
+          )}
+
+          {/* Instant replay — letterboxed; a tap skips it */}
+          {screen === 'REPLAY' && (
+            <div
+              onClick={handleReplayEnd}
+              style={{
+                position: 'absolute',
+                inset: 0,
+                display: 'flex',
+                flexDirection: 'column',
+                justifyContent: 'space-between',
+                zIndex: 50,
+                cursor: 'pointer',
+                fontFamily: FONT,
+              }}
+            >
+              <div style={{
+                height: 56,
+                background: BRAND.dark,
+                display: 'flex',
+                alignItems: 'center',
+                padding: '0 14px',
+                gap: 8,
+                fontSize: 13,
+                fontWeight: 800,
+                letterSpacing: '2px',
+                color: BRAND.white,
+              }}>
+                <span style={{ color: BRAND.red }}>{'\u25CF'}</span> REPLAY
+                <span style={{ fontSize: 11, fontWeight: 600, letterSpacing: '0.5px', color: BRAND.gray }}>
+                  slow motion
+                </span>
+              </div>
+              <div style={{
+                height: 56,
+                background: BRAND.dark,
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'flex-end',
+                padding: '0 14px',
+                fontSize: 11,
+                fontWeight: 600,
+                color: BRAND.gray,
+              }}>
+                Tap to skip
               </div>
             </div>
           )}
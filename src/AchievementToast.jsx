@@ -0,0 +1,73 @@
+// =============================================================================
+// AI Ski Jump Championship — Achievement Toast
+// Slides in an achievement as it's earned, one at a time: the game queues
+// them and this shows the first for TOAST_DURATION, then hands it back.
+// =============================================================================
+
+import { useEffect } from 'react'
+import { BRAND } from './constants'
+
+const FONT = "'Open Sans','Segoe UI',system-ui,sans-serif"
+
+const TOAST_DURATION = 2600 // ms on screen, including the slide in and out
+
+/**
+ * queue   [{ key, achievement }] — the first is shown
+ * onDone  called with its key once it has been shown
+ */
+export default function AchievementToast({ queue, onDone }) {
+  const current = queue[0] || null
+
+  useEffect(() => {
+    if (!current) return undefined
+    const timer = setTimeout(() => onDone(current.key), TOAST_DURATION)
+    return () => clearTimeout(timer)
+  }, [current, onDone])
+
+  if (!current) return null
+  const { achievement } = current
+
+  return (
+    <div
+      key={current.key}
+      role="status"
+      style={{
+        position: 'fixed',
+        top: 12,
+        left: '50%',
+        zIndex: 200,
+        display: 'flex',
+        alignItems: 'center',
+        gap: 10,
+        minWidth: 240,
+        maxWidth: 340,
+        padding: '10px 16px 10px 12px',
+        borderRadius: 12,
+        background: 'linear-gradient(135deg, rgba(17,24,39,0.96), rgba(31,41,55,0.96))',
+        border: `1px solid ${BRAND.orange}`,
+        boxShadow: `0 8px 24px rgba(0,0,0,0.45), 0 0 16px ${BRAND.orange}44`,
+        fontFamily: FONT,
+        color: BRAND.white,
+        pointerEvents: 'none',
+        animation: `toastSlide ${TOAST_DURATION}ms ease-in-out both`,
+      }}
+    >
+      <style>{`
+        @keyframes toastSlide {
+          0% { transform: translate(-50%, -120%); opacity: 0; }
+          12% { transform: translate(-50%, 0); opacity: 1; }
+          88% { transform: translate(-50%, 0); opacity: 1; }
+          100% { transform: translate(-50%, -120%); opacity: 0; }
+        }
+      `}</style>
+      <div style={{ fontSize: 26, lineHeight: 1 }}>{achievement.emoji}</div>
+      <div style={{ minWidth: 0 }}>
+        <div style={{ fontSize: 9, fontWeight: 800, letterSpacing: '1.5px', color: BRAND.orange }}>
+          ACHIEVEMENT UNLOCKED
+        </div>
+        <div style={{ fontSize: 14, fontWeight: 800 }}>{achievement.name}</div>
+        <div style={{ fontSize: 11, fontWeight: 600, color: BRAND.grayLight }}>{achievement.desc}</div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,87 @@
+// =============================================================================
+// AI Ski Jump Championship — Share Video Button
+// Films the game's best jump (see jumpVideo.js) on the first tap and shares
+// or downloads it on the second — share sheets need a fresh tap, and
+// filming takes a few seconds. Renders nothing where the browser can't
+// record video.
+// =============================================================================
+
+import { useRef, useState } from 'react'
+import { BRAND } from './constants'
+import SkiJumpScene from './SkiJumpScene'
+import { getVideoFormat, pickVideoJump, recordJumpVideo, shareVideo } from './jumpVideo'
+
+const FONT = "'Open Sans','Segoe UI',system-ui,sans-serif"
+
+const LABEL = {
+  idle: '🎬 Make Jump Video',
+  recording: 'Filming your best jump…',
+  ready: '📤 Share Video',
+  error: 'Couldn’t make the video — try again',
+}
+
+/**
+ * scores  the game's round results — the longest jump is filmed
+ */
+export default function JumpVideoButton({ scores, hill }) {
+  const sceneRef = useRef(null)
+  const [status, setStatus] = useState('idle') // 'idle' | 'recording' | 'ready' | 'error'
+  const [video, setVideo] = useState(null)
+
+  const jump = pickVideoJump(scores)
+  const format = getVideoFormat()
+  if (!jump || !format) return null
+
+  async function handleClick() {
+    if (status === 'recording') return
+    if (status === 'ready') {
+      shareVideo(
+        video,
+        `skijump-${hill.id}-${jump.distance.toFixed(1)}m.${format.extension}`,
+        `${jump.distance.toFixed(1)}m on ${hill.name} — can you beat it? 🔗 skijump.brandedai.net`,
+      )
+      return
+    }
+    setStatus('recording')
+    try {
+      setVideo(await recordJumpVideo({ svg: sceneRef.current.querySelector('svg'), jump, hill }))
+      setStatus('ready')
+    } catch {
+      setStatus('error')
+    }
+  }
+
+  return (
+    <>
+      <button
+        onClick={handleClick}
+        disabled={status === 'recording'}
+        style={{
+          width: '100%',
+          background: status === 'ready' ? `linear-gradient(135deg, ${BRAND.purple}, ${BRAND.blue})` : 'transparent',
+          border: `2px solid ${BRAND.purple}`,
+          borderRadius: '12px',
+          padding: '14px 32px',
+          fontSize: '16px',
+          fontWeight: 600,
+          color: status === 'ready' ? BRAND.white : BRAND.purple,
+          cursor: status === 'recording' ? 'progress' : 'pointer',
+          opacity: status === 'recording' ? 0.7 : 1,
+          fontFamily: FONT,
+          letterSpacing: '0.5px',
+        }}
+      >
+        {LABEL[status]}
+      </button>
+
+      {/* The venue to film, drawn off-screen */}
+      <div
+        ref={sceneRef}
+        aria-hidden="true"
+        style={{ position: 'fixed', left: -10000, top: 0, pointerEvents: 'none' }}
+      >
+        <SkiJumpScene hill={hill} gate={jump.gate} />
+      </div>
+    </>
+  )
+}
@@ -0,0 +1,75 @@
+// =============================================================================
+// AI Ski Jump Championship — Jumper Stats
+// A jumper's four stats (see JUMPERS) as rows of pips, for the round intro
+// card and the tutorial. What each stat does to the jump is in
+// getJumperTraits() in physics.js.
+// =============================================================================
+
+import { BRAND, JUMPER_STATS } from './constants'
+
+const FONT = "'Open Sans','Segoe UI',system-ui,sans-serif"
+
+/** The stats in display order, with a short label each. */
+export const STAT_INFO = [
+  { key: 'speed', label: 'SPEED' },
+  { key: 'lift', label: 'LIFT' },
+  { key: 'stability', label: 'STABILITY' },
+  { key: 'lean', label: 'LEAN' },
+]
+
+// ---------------------------------------------------------------------------
+// Component
+// ---------------------------------------------------------------------------
+/**
+ * jumper  entry from JUMPERS — its colour fills the pips
+ * delay   seconds before the rows fade in
+ */
+export default function JumperStats({ jumper, delay = 0 }) {
+  const colour = jumper?.color || BRAND.blue
+
+  return (
+    <div
+      style={{
+        display: 'grid',
+        gridTemplateColumns: 'auto auto',
+        columnGap: 10,
+        rowGap: 4,
+        alignItems: 'center',
+        fontFamily: FONT,
+        animation: `fadeUp 0.4s ease-out ${delay}s both`,
+      }}
+    >
+      {STAT_INFO.map(({ key, label }) => {
+        const value = jumper?.stats?.[key] ?? JUMPER_STATS.neutral
+        return [
+          <div
+            key={`${key}-label`}
+            style={{
+              fontSize: 10,
+              fontWeight: 700,
+              letterSpacing: '1px',
+              color: BRAND.grayLight,
+              textAlign: 'right',
+            }}
+          >
+            {label}
+          </div>,
+          <div key={`${key}-pips`} style={{ display: 'flex', gap: 3 }} aria-label={`${label} ${value}/${JUMPER_STATS.max}`}>
+            {Array.from({ length: JUMPER_STATS.max }, (_, i) => (
+              <div
+                key={i}
+                style={{
+                  width: 14,
+                  height: 6,
+                  borderRadius: 2,
+                  background: i < value ? colour : 'rgba(255,255,255,0.15)',
+                  boxShadow: i < value ? `0 0 6px ${colour}66` : 'none',
+                }}
+              />
+            ))}
+          </div>,
+        ]
+      })}
+    </div>
+  )
+}
@@ -2,29 +2,21 @@
 // AI Ski Jump Championship — Landing Timer (T6)
 // Timing-based landing mechanic. During flight the player taps/clicks/presses
 // spacebar at the optimal moment to "prepare the landing" and earn a style
-// multiplier on their distance.
+// multiplier on their distance. Before the landing zone opens, taps are left
+// to the lean controls (see useLeanInput).
 // =============================================================================
 
 import { useState, useEffect, useRef, useCallback } from 'react'
-import { LANDING_MULT, BRAND } from './constants'
+import { LANDING_TIMING, BRAND } from './constants'
+import { gradeLanding } from './physics'
 
 // ---------------------------------------------------------------------------
 // Constants
 // ---------------------------------------------------------------------------
 
-/** flightProgress value at which the timing is optimal */
-const OPTIMAL_PROGRESS = 0.82
-
-/** Landing grades — error thresholds (achievable for casual players) */
-const GRADES = [
-  { maxError: 0.06, grade: 'telemark', multiplier: LANDING_MULT.telemark },
-  { maxError: 0.14, grade: 'clean',    multiplier: LANDING_MULT.clean },
-  { maxError: 0.24, grade: 'shaky',    multiplier: LANDING_MULT.shaky },
-]
-const CRASH_GRADE = { grade: 'crash', multiplier: LANDING_MULT.crash }
-
-/** Auto-land threshold — if no input by this progress, force crash */
-const AUTO_LAND_PROGRESS = 0.98
+// Optimal progress, grade windows and the auto-crash threshold live in
+// LANDING_TIMING (constants.js); grading is gradeLanding() in physics.js,
+// with the windows widened or narrowed by the jumper's stability.
 
 /** Shrinking ring sizes */
 const RING_START_RADIUS = 60
@@ -40,13 +32,6 @@ const CRASH_SKI_COUNT = 4
 // Helpers
 // ---------------------------------------------------------------------------
 
-function gradeFromError(error) {
-  for (const g of GRADES) {
-    if (error <= g.maxError) return g
-  }
-  return CRASH_GRADE
-}
-
 /** Compute ring colour from flightProgress */
 function getRingColour(fp) {
   if (fp > 0.95) return BRAND.red
@@ -56,17 +41,17 @@ function getRingColour(fp) {
 }
 
 /** Generate random crash ski trajectories (pre-computed per render) */
-function makeCrashSkis(count) {
+function makeCrashSkis(count, rng) {
   const skis = []
   for (let i = 0; i < count; i++) {
-    const angle = Math.random() * 360
-    const dist = 30 + Math.random() * 50
+    const angle = rng() * 360
+    const dist = 30 + rng() * 50
     const rad = (angle * Math.PI) / 180
     skis.push({
       id: i,
       tx: Math.cos(rad) * dist,
       ty: Math.sin(rad) * dist,
-      rotation: Math.random() * 360,
+      rotation: rng() * 360,
     })
   }
   return skis
@@ -109,8 +94,11 @@ export default function LandingTimer({
   active,
   flightProgress,
   onLand,
-  onBoost,
   jumperPos,
+  progressRef,
+  overRotatedRef,
+  jumper,
+  rng,
   gameScale,
   inputLockedUntilRef,
 }) {
@@ -126,8 +114,13 @@ export default function LandingTimer({
   const feedbackTimerRef = useRef(null)
   const flightProgressRef = useRef(0)
 
-  // Keep ref in sync
+  // Keep ref in sync. The game can also hand us its own ref, written every
+  // physics step, so a tap is graded against the exact frame it lands on.
   flightProgressRef.current = flightProgress
+  const readProgress = useCallback(
+    () => (progressRef ? progressRef.current : flightProgressRef.current),
+    [progressRef],
+  )
 
   // ---- Reset when flight ends or starts ----
   useEffect(() => {
@@ -157,24 +150,19 @@ export default function LandingTimer({
       landedRef.current = true
       setLanded(true)
 
-      const fp = flightProgressRef.current
-      let result
-      if (forceGrade) {
-        result =
-          forceGrade === 'crash'
-            ? CRASH_GRADE
-            : gradeFromError(0) // shouldn't happen, but fallback
-      } else {
-        // Shift optimal 0.02 earlier so slightly-early taps are rewarded
-        const error = Math.abs(fp - (OPTIMAL_PROGRESS - 0.02))
-        result = gradeFromError(error)
-      }
+      // Progress at the current physics step — the replay grades the
+      // recorded step with the same getFlightProgress()
+      // An over-rotated jumper can't save it, whatever the timing
+      const progress = readProgress()
+      const result = forceGrade === 'crash' || overRotatedRef?.current
+        ? gradeLanding(Math.max(progress, LANDING_TIMING.autoCrash), jumper)
+        : gradeLanding(progress, jumper)
 
       const { grade, multiplier } = result
 
       // Generate crash skis if needed
       if (grade === 'crash') {
-        setCrashSkis(makeCrashSkis(CRASH_SKI_COUNT))
+        setCrashSkis(makeCrashSkis(CRASH_SKI_COUNT, rng))
       }
 
       // Show feedback
@@ -184,15 +172,15 @@ export default function LandingTimer({
       }, FEEDBACK_DURATION)
 
       // Fire callback
-      onLand({ grade, multiplier })
+      onLand({ grade, multiplier, progress })
     },
-    [onLand],
+    [onLand, overRotatedRef, readProgress, jumper, rng],
   )
 
   // ---- Auto-land at 0.98 ----
   useEffect(() => {
     if (!active) return
-    if (flightProgress >= AUTO_LAND_PROGRESS && !landedRef.current) {
+    if (flightProgress >= LANDING_TIMING.autoCrash && !landedRef.current) {
       doLand('crash')
     }
   }, [active, flightProgress, doLand])
@@ -219,18 +207,16 @@ export default function LandingTimer({
       // Respect input lockout from state transitions
       if (inputLockedUntilRef && inputLockedUntilRef.current > performance.now()) return
 
-      const fp = flightProgressRef.current
+      const fp = readProgress()
 
-      // Phase 1: Boost Zone (fp < 0.5)
-      // Accept Arrow keys, Space, or Taps
-      if (fp < 0.5) {
-        if (onBoost) onBoost()
-        return
-      }
+      // Phase 1: still flying (fp < 0.5) — presses and drags are leaning
+      if (fp < LANDING_TIMING.landingZone) return
 
       // Phase 2: Landing Zone (fp >= 0.5)
-      // Allow Space and Taps. Ignore Arrow keys to prevent accidental landing if they are mashing.
-      if (isArrow) return 
+      // Allow Space and Taps. Arrow keys steer the lean, so they never land;
+      // a drag already held keeps leaning, but a new press lands (the
+      // tutorial tells touch players so).
+      if (isArrow) return
 
       if (!landedRef.current) {
         doLand()
@@ -244,7 +230,7 @@ export default function LandingTimer({
       window.removeEventListener('keydown', handleInput)
       window.removeEventListener('pointerdown', handleInput)
     }
-  }, [active, doLand, onBoost])
+  }, [active, doLand, readProgress])
 
   // ---- Don't render anything when not active and no feedback ----
   if (!active && !feedback) return null
@@ -266,7 +252,7 @@ export default function LandingTimer({
 
   // "TAP TO LAND" prompt
   const showPrompt = active && !landed && fp > 0.5
-  const showBoostPrompt = active && !landed && fp < 0.5
+  const showLeanPrompt = active && !landed && fp < 0.5
   // Urgency scaling: gets bigger/brighter as fp increases
   const urgency = Math.min((fp - 0.5) / 0.45, 1) // 0 at fp=0.5, 1 at fp=0.95
   const promptScale = 1 + urgency * 0.4
@@ -353,7 +339,7 @@ export default function LandingTimer({
         </div>
       )}
 
-      {showBoostPrompt && (
+      {showLeanPrompt && (
         <div
           style={{
             position: 'absolute',
@@ -372,7 +358,7 @@ export default function LandingTimer({
             whiteSpace: 'nowrap',
           }}
         >
-          TAP TO BOOST!
+          DRAG OR {'\u2191\u2193'} TO LEAN
         </div>
       )}
 
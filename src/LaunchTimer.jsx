@@ -6,31 +6,26 @@
 
 import { useState, useEffect, useRef, useCallback } from 'react'
 import {
-  TIMING,
   LAUNCH_ANGLES,
   SPEED_MULT,
   BRAND,
   APPROACH_DURATION,
   AUTO_LAUNCH_DELAY,
-  RAMP_LIP,
 } from './constants'
+import { gradeLaunch } from './physics'
 
 // ---------------------------------------------------------------------------
 // Helpers
 // ---------------------------------------------------------------------------
 
-/** Determine launch grade from timing error (ms from optimal moment). */
-function gradeFromError(error) {
-  if (error <= TIMING.perfect) return 'perfect'
-  if (error <= TIMING.good) return 'good'
-  if (error <= TIMING.ok) return 'ok'
-  return 'miss'
-}
-
-/** Build the launch payload for a given grade. */
-function buildLaunchPayload(grade) {
+/**
+ * Build the launch payload for a given grade. `elapsed` is the tap time in
+ * whole ms from the start of the approach (null for auto-launch), recorded
+ * so the jump can be replayed.
+ */
+function buildLaunchPayload(grade, elapsed) {
   const angle = LAUNCH_ANGLES[grade] ?? LAUNCH_ANGLES.miss
-  return { grade, angle, speedMult: SPEED_MULT[grade] }
+  return { grade, angle, speedMult: SPEED_MULT[grade], elapsed }
 }
 
 // ---------------------------------------------------------------------------
@@ -58,7 +53,7 @@ const TARGET_RADIUS = 32
 // ---------------------------------------------------------------------------
 // Component
 // ---------------------------------------------------------------------------
-export default function LaunchTimer({ active, onLaunch, gameScale, inputLockedUntilRef }) {
+export default function LaunchTimer({ active, onLaunch, lip, gameScale, inputLockedUntilRef }) {
   // ---- State ----
   const [progress, setProgress] = useState(0) // 0 → 1 over APPROACH_DURATION
   const [countdown, setCountdown] = useState(null) // 3, 2, 1, or null
@@ -142,15 +137,14 @@ export default function LaunchTimer({ active, onLaunch, gameScale, inputLockedUn
       if (autoLaunchTimerRef.current) clearTimeout(autoLaunchTimerRef.current)
 
       let grade = forceGrade
+      let elapsed = null
       if (!grade && startTimeRef.current) {
-        const elapsed = performance.now() - startTimeRef.current
-        // Shift optimal 25ms earlier so slightly-early taps are rewarded
-        const timingError = Math.abs(elapsed - (APPROACH_DURATION - 25))
-        grade = gradeFromError(timingError)
+        elapsed = Math.round(performance.now() - startTimeRef.current)
+        grade = gradeLaunch(elapsed)
       }
       if (!grade) grade = 'miss'
 
-      const payload = buildLaunchPayload(grade)
+      const payload = buildLaunchPayload(grade, elapsed)
 
       // Show visual feedback
       setFeedback({ grade, visible: true })
@@ -205,8 +199,8 @@ export default function LaunchTimer({ active, onLaunch, gameScale, inputLockedUn
 
   // ---- Derived values ----
   const scale = gameScale || 1
-  const centreX = RAMP_LIP.x * scale
-  const centreY = RAMP_LIP.y * scale
+  const centreX = lip.x * scale
+  const centreY = lip.y * scale
 
   // Expanding ring: starts at 6px radius, grows to TARGET_RADIUS * scale
   const targetR = TARGET_RADIUS * scale
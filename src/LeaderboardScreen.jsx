@@ -0,0 +1,314 @@
+// =============================================================================
+// AI Ski Jump Championship — Leaderboard Screen
+// This week's and all-time top 10 per hill, plus where your latest game
+// ranks. Boards are fetched through the leaderboard client, so the same
+// screen shows this device's games or a global board.
+// =============================================================================
+
+import { useEffect, useState } from 'react'
+import { BRAND, HILLS, getGrade, getHill } from './constants'
+import { BOARD_SIZE, getWeekKey } from './leaderboard'
+
+const FONT = "'Open Sans','Segoe UI',system-ui,sans-serif"
+const DISPLAY_FONT = "'Barlow Condensed','Open Sans',system-ui,sans-serif"
+
+const LANDING_COLOR = {
+  telemark: BRAND.green,
+  clean: BRAND.blueLight,
+  shaky: BRAND.orange,
+  crash: BRAND.red,
+}
+
+const TABS = [
+  { id: 'week', label: 'This Week' },
+  { id: 'all', label: 'All Time' },
+]
+
+function formatDate(dateKey) {
+  const [y, m, d] = dateKey.split('-').map(Number)
+  return new Date(y, m - 1, d).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })
+}
+
+// ---------------------------------------------------------------------------
+// One board row: rank, name, total, grade, date and the five rounds
+// ---------------------------------------------------------------------------
+function BoardRow({ entry, hill, highlight }) {
+  const { rank } = entry
+  const grade = getGrade(entry.total, hill)
+  return (
+    <div style={{
+      padding: '10px 12px',
+      borderRadius: '10px',
+      background: highlight ? `${BRAND.blue}26` : `${BRAND.darkMid}88`,
+      border: `1px solid ${highlight ? BRAND.blue : 'transparent'}`,
+      boxSizing: 'border-box',
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
+        <div style={{
+          minWidth: '28px',
+          fontSize: '18px',
+          fontWeight: 800,
+          fontFamily: DISPLAY_FONT,
+          color: rank <= 3 ? BRAND.orange : BRAND.grayLight,
+        }}>
+          #{rank}
+        </div>
+        <div style={{
+          flex: 1,
+          minWidth: 0,
+          fontSize: '14px',
+          fontWeight: 700,
+          whiteSpace: 'nowrap',
+          overflow: 'hidden',
+          textOverflow: 'ellipsis',
+        }}>
+          {entry.name || 'You'}
+          <span style={{ fontSize: '11px', fontWeight: 600, color: BRAND.gray, marginLeft: '8px' }}>
+            {formatDate(entry.date)}{entry.mode === 'daily' ? ' • Daily' : ''}
+          </span>
+        </div>
+        <div style={{ fontSize: '13px' }} title={grade.label}>{grade.emoji}</div>
+        <div style={{ fontSize: '16px', fontWeight: 800, whiteSpace: 'nowrap' }}>
+          {entry.total.toFixed(1)}m
+        </div>
+      </div>
+      <div style={{
+        display: 'flex',
+        gap: '8px',
+        marginTop: '4px',
+        paddingLeft: '38px',
+        fontSize: '11px',
+        fontWeight: 600,
+      }}>
+        {entry.rounds.map((r, i) => (
+          <span key={i} style={{
+            color: LANDING_COLOR[r.landingGrade] || BRAND.grayLight,
+            opacity: r.counted ? 1 : 0.45,
+          }}>
+            {r.distance.toFixed(1)}
+          </span>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+// ---------------------------------------------------------------------------
+// LeaderboardScreen component
+// ---------------------------------------------------------------------------
+export default function LeaderboardScreen({ client, hill: initialHill, myEntries, onBack }) {
+  const [hillId, setHillId] = useState(initialHill.id)
+  const [tab, setTab] = useState('week')
+  const [board, setBoard] = useState(null) // null while loading
+  const [around, setAround] = useState(null) // { rank, entries } for your latest entry
+  const [error, setError] = useState(false)
+  const hill = getHill(hillId)
+  const week = getWeekKey()
+  const myId = myEntries?.[hillId] ?? null
+
+  // Unlock body scroll so long boards can scroll on mobile
+  useEffect(() => {
+    document.body.style.overflow = 'auto'
+    document.body.style.position = 'static'
+    return () => {
+      document.body.style.overflow = 'hidden'
+      document.body.style.position = 'fixed'
+    }
+  }, [])
+
+  // Fetch the board and your place on it whenever the hill or tab changes
+  useEffect(() => {
+    let cancelled = false
+    const boardWeek = tab === 'week' ? week : null
+    setBoard(null)
+    setAround(null)
+    setError(false)
+    Promise.all([
+      tab === 'week'
+        ? client.fetchWeekly(hillId, { week, limit: BOARD_SIZE })
+        : client.fetchAllTime(hillId, { limit: BOARD_SIZE }),
+      myId ? client.fetchAroundMe(hillId, myId, { week: boardWeek, radius: 1 }) : null,
+    ])
+      .then(([top, mine]) => {
+        if (cancelled) return
+        setBoard(top)
+        setAround(mine)
+      })
+      .catch(() => {
+        if (cancelled) return
+        setBoard([])
+        setError(true)
+      })
+    return () => { cancelled = true }
+  }, [client, hillId, tab, week, myId])
+
+  // Your neighbourhood, if you're below the top 10
+  const aroundRows = around?.rank > BOARD_SIZE ? around.entries : []
+  const me = around?.entries.find((e) => e.id === myId)
+
+  return (
+    <div style={{
+      width: '100%',
+      minHeight: '100vh',
+      background: `linear-gradient(160deg, ${BRAND.dark} 0%, #0f1a2e 50%, ${BRAND.darkMid} 100%)`,
+      display: 'flex',
+      flexDirection: 'column',
+      alignItems: 'center',
+      fontFamily: FONT,
+      color: BRAND.white,
+      padding: '24px',
+      boxSizing: 'border-box',
+    }}>
+      <div style={{
+        maxWidth: '440px',
+        width: '100%',
+        display: 'flex',
+        flexDirection: 'column',
+        alignItems: 'center',
+        gap: '12px',
+      }}>
+        {/* ---- Header ---- */}
+        <h1 style={{
+          fontSize: '36px',
+          fontWeight: 800,
+          fontFamily: DISPLAY_FONT,
+          letterSpacing: '2px',
+          textTransform: 'uppercase',
+          margin: '8px 0 0',
+        }}>
+          🏆 Leaderboard
+        </h1>
+        <div style={{ fontSize: '12px', fontWeight: 600, color: BRAND.gray }}>
+          {client.kind === 'http' ? 'Global' : 'On this device'} &bull;{' '}
+          Week {Number(week.slice(-2))} &bull; resets Monday
+        </div>
+
+        {/* ---- Hill picker ---- */}
+        <div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap', justifyContent: 'center' }}>
+          {HILLS.map((h) => (
+            <button
+              key={h.id}
+              onClick={() => setHillId(h.id)}
+              style={{
+                background: h.id === hillId ? `${BRAND.blue}33` : 'rgba(255,255,255,0.05)',
+                border: `1px solid ${h.id === hillId ? BRAND.blue : 'rgba(255,255,255,0.12)'}`,
+                borderRadius: '10px',
+                padding: '6px 12px',
+                fontSize: '12px',
+                fontWeight: 700,
+                color: h.id === hillId ? BRAND.white : BRAND.grayLight,
+                cursor: 'pointer',
+                fontFamily: FONT,
+              }}
+            >
+              {h.emoji} {h.name}
+            </button>
+          ))}
+        </div>
+
+        {/* ---- Tabs ---- */}
+        <div style={{
+          display: 'flex',
+          width: '100%',
+          borderRadius: '10px',
+          overflow: 'hidden',
+          border: `1px solid ${BRAND.gray}55`,
+        }}>
+          {TABS.map((t) => (
+            <button
+              key={t.id}
+              onClick={() => setTab(t.id)}
+              style={{
+                flex: 1,
+                background: t.id === tab ? BRAND.blue : 'transparent',
+                border: 'none',
+                padding: '10px',
+                fontSize: '13px',
+                fontWeight: 800,
+                letterSpacing: '1px',
+                textTransform: 'uppercase',
+                color: t.id === tab ? BRAND.white : BRAND.grayLight,
+                cursor: 'pointer',
+                fontFamily: FONT,
+              }}
+            >
+              {t.label}
+            </button>
+          ))}
+        </div>
+
+        {/* ---- Your rank ---- */}
+        {around?.rank != null && (
+          <div style={{
+            width: '100%',
+            padding: '10px 14px',
+            borderRadius: '10px',
+            background: `${BRAND.purple}1a`,
+            border: `1px solid ${BRAND.purple}55`,
+            fontSize: '13px',
+            fontWeight: 600,
+            color: BRAND.purpleLight,
+            textAlign: 'center',
+            boxSizing: 'border-box',
+          }}>
+            Your last jump
+            {me ? `: ${me.total.toFixed(1)}m` : ''} &bull; #{around.rank}{' '}
+            {tab === 'week' ? 'this week' : 'all time'}
+          </div>
+        )}
+
+        {/* ---- Board ---- */}
+        <div style={{ width: '100%', display: 'flex', flexDirection: 'column', gap: '6px' }}>
+          {board == null || board.length === 0 ? (
+            <div style={{
+              padding: '28px 12px',
+              textAlign: 'center',
+              fontSize: '14px',
+              color: error ? BRAND.orange : BRAND.gray,
+            }}>
+              {board == null ? 'Loading\u2026'
+                : error ? 'Leaderboard unavailable \u2014 try again later.'
+                  : tab === 'week'
+                    ? `No jumps on the ${hill.name} this week yet.`
+                    : `No jumps on the ${hill.name} yet.`}
+            </div>
+          ) : (
+            board.map((e) => (
+              <BoardRow key={e.id} entry={e} hill={hill} highlight={e.id === myId} />
+            ))
+          )}
+          {aroundRows.length > 0 && (
+            <>
+              <div style={{ textAlign: 'center', color: BRAND.gray, lineHeight: 1 }}>
+                &hellip;
+              </div>
+              {aroundRows.map((e) => (
+                <BoardRow key={e.id} entry={e} hill={hill} highlight={e.id === myId} />
+              ))}
+            </>
+          )}
+        </div>
+
+        <button
+          onClick={onBack}
+          style={{
+            width: '100%',
+            marginTop: '8px',
+            background: `linear-gradient(135deg, ${BRAND.blue}, ${BRAND.blueDark})`,
+            border: 'none',
+            borderRadius: '12px',
+            padding: '14px 32px',
+            fontSize: '16px',
+            fontWeight: 700,
+            color: BRAND.white,
+            cursor: 'pointer',
+            fontFamily: FONT,
+            letterSpacing: '0.5px',
+          }}
+        >
+          Back
+        </button>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,240 @@
+// =============================================================================
+// AI Ski Jump Championship — Official Scoreboard
+// TV-style breakdowns for official scoring (see officialScoring.js): one
+// jump's distance, judges, wind and gate points as the graphic shown after
+// a landing, and the whole competition as a results table.
+// =============================================================================
+
+import { BRAND } from './constants'
+
+const FONT = "'Open Sans','Segoe UI',system-ui,sans-serif"
+const DISPLAY_FONT = "'Barlow Condensed','Open Sans',system-ui,sans-serif"
+
+const PANEL = {
+  background: 'linear-gradient(180deg, rgba(15,23,42,0.96), rgba(30,41,59,0.96))',
+  border: `1px solid ${BRAND.blue}66`,
+  borderRadius: 6,
+  boxShadow: '0 6px 24px rgba(0,0,0,0.5)',
+  fontFamily: FONT,
+  color: BRAND.white,
+  overflow: 'hidden',
+}
+
+/** Compensation points with their sign, e.g. "+4.2" / "−8.6" / "0.0". */
+function formatPoints(points) {
+  if (points > 0) return `+${points.toFixed(1)}`
+  if (points < 0) return `−${Math.abs(points).toFixed(1)}`
+  return '0.0'
+}
+
+function pointsColour(points) {
+  if (points > 0) return BRAND.green
+  if (points < 0) return BRAND.red
+  return BRAND.grayLight
+}
+
+function Row({ label, detail, value, colour = BRAND.white, delay }) {
+  return (
+    <div style={{
+      display: 'flex',
+      alignItems: 'baseline',
+      gap: 8,
+      padding: '5px 12px',
+      borderTop: '1px solid rgba(255,255,255,0.07)',
+      animation: `fadeUp 0.3s ease-out ${delay}s both`,
+    }}>
+      <div style={{
+        width: 64,
+        fontSize: 10,
+        fontWeight: 700,
+        letterSpacing: '1px',
+        textTransform: 'uppercase',
+        color: BRAND.grayLight,
+      }}>
+        {label}
+      </div>
+      <div style={{ flex: 1, fontSize: 12, fontWeight: 600, color: BRAND.gray }}>{detail}</div>
+      <div style={{
+        fontSize: 16,
+        fontWeight: 800,
+        fontFamily: DISPLAY_FONT,
+        color: colour,
+        minWidth: 44,
+        textAlign: 'right',
+      }}>
+        {value}
+      </div>
+    </div>
+  )
+}
+
+// ---------------------------------------------------------------------------
+// One jump — shown on SCORE_DISPLAY
+// ---------------------------------------------------------------------------
+/**
+ * jump: from scoreOfficialJump(). jumper: { name, emoji, color }.
+ * label: heading in place of "ROUND n" — e.g. the team event's series.
+ */
+export default function OfficialScoreboard({ jump, jumper, round, label }) {
+  const marks = jump.marks.map((m, i) => ({ m, dropped: jump.dropped.includes(i) }))
+
+  return (
+    <div style={{ ...PANEL, width: 300, animation: 'popIn 0.4s cubic-bezier(0.175,0.885,0.32,1.275)' }}>
+      {/* Header: jumper and total */}
+      <div style={{
+        display: 'flex',
+        alignItems: 'center',
+        gap: 8,
+        padding: '8px 12px',
+        background: `linear-gradient(90deg, ${jumper?.color || BRAND.blue}cc, ${BRAND.blueDark}cc)`,
+      }}>
+        <div style={{ fontSize: 20, lineHeight: 1 }}>{jumper?.emoji}</div>
+        <div style={{ flex: 1, minWidth: 0 }}>
+          <div style={{ fontSize: 9, fontWeight: 700, letterSpacing: '1px', opacity: 0.8 }}>
+            {label || `ROUND ${round + 1}`}
+          </div>
+          <div style={{
+            fontSize: 14,
+            fontWeight: 800,
+            whiteSpace: 'nowrap',
+            overflow: 'hidden',
+            textOverflow: 'ellipsis',
+          }}>
+            {jumper?.name}
+          </div>
+        </div>
+        <div style={{ fontSize: 30, fontWeight: 800, fontFamily: DISPLAY_FONT, lineHeight: 1 }}>
+          {jump.points.toFixed(1)}
+        </div>
+      </div>
+
+      <Row
+        label="Distance"
+        detail={`${jump.distance.toFixed(1)}m`}
+        value={jump.distancePoints.toFixed(1)}
+        delay={0.1}
+      />
+
+      {/* Judges: the high and low marks are struck out */}
+      <div style={{
+        display: 'flex',
+        alignItems: 'center',
+        gap: 8,
+        padding: '5px 12px',
+        borderTop: '1px solid rgba(255,255,255,0.07)',
+        animation: 'fadeUp 0.3s ease-out 0.2s both',
+      }}>
+        <div style={{
+          width: 64,
+          fontSize: 10,
+          fontWeight: 700,
+          letterSpacing: '1px',
+          color: BRAND.grayLight,
+        }}>
+          JUDGES
+        </div>
+        <div style={{ flex: 1, display: 'flex', gap: 4 }}>
+          {marks.map(({ m, dropped }, i) => (
+            <div
+              key={i}
+              style={{
+                flex: 1,
+                padding: '2px 0',
+                borderRadius: 3,
+                background: dropped ? 'transparent' : 'rgba(255,255,255,0.08)',
+                fontSize: 11,
+                fontWeight: 700,
+                textAlign: 'center',
+                color: dropped ? BRAND.gray : BRAND.white,
+                textDecoration: dropped ? 'line-through' : 'none',
+              }}
+            >
+              {m.toFixed(1)}
+            </div>
+          ))}
+        </div>
+        <div style={{
+          fontSize: 16,
+          fontWeight: 800,
+          fontFamily: DISPLAY_FONT,
+          minWidth: 44,
+          textAlign: 'right',
+        }}>
+          {jump.stylePoints.toFixed(1)}
+        </div>
+      </div>
+
+      <Row
+        label="Wind"
+        detail={`${Math.abs(jump.wind).toFixed(1)}m/s ${jump.wind < 0 ? 'head' : jump.wind > 0 ? 'tail' : ''}`}
+        value={formatPoints(jump.windPoints)}
+        colour={pointsColour(jump.windPoints)}
+        delay={0.3}
+      />
+      <Row
+        label="Gate"
+        detail={jump.gateDelta === 0
+          ? 'reference'
+          : `${Math.abs(jump.gateDelta)} ${jump.gateDelta > 0 ? 'lower' : 'higher'}`}
+        value={formatPoints(jump.gatePoints)}
+        colour={pointsColour(jump.gatePoints)}
+        delay={0.4}
+      />
+    </div>
+  )
+}
+
+// ---------------------------------------------------------------------------
+// Whole competition — shown on the results screen
+// ---------------------------------------------------------------------------
+/**
+ * rounds: score records with an `official` breakdown, in round order.
+ */
+export function OfficialResultsTable({ rounds, total, delay = 0 }) {
+  const cell = { textAlign: 'right', padding: '5px 6px', whiteSpace: 'nowrap' }
+  const head = { ...cell, fontSize: 9, fontWeight: 700, letterSpacing: '0.8px', color: BRAND.grayLight }
+
+  return (
+    <div style={{ ...PANEL, width: '100%', animation: `fadeUp 0.4s ease-out ${delay}s both` }}>
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 12 }}>
+        <thead>
+          <tr style={{ background: `${BRAND.blueDark}aa` }}>
+            <th style={{ ...head, textAlign: 'left', paddingLeft: 10 }}>JUMP</th>
+            <th style={head}>DIST</th>
+            <th style={head}>PTS</th>
+            <th style={head}>JUDGES</th>
+            <th style={head}>WIND</th>
+            <th style={head}>GATE</th>
+            <th style={{ ...head, paddingRight: 10 }}>TOTAL</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rounds.map((r, i) => {
+            const j = r.official
+            return (
+              <tr key={i} style={{ borderTop: '1px solid rgba(255,255,255,0.07)' }}>
+                <td style={{ ...cell, textAlign: 'left', paddingLeft: 10 }}>
+                  {r.jumper?.emoji} {i + 1}
+                </td>
+                <td style={cell}>{j.distance.toFixed(1)}m</td>
+                <td style={cell}>{j.distancePoints.toFixed(1)}</td>
+                <td style={cell}>{j.stylePoints.toFixed(1)}</td>
+                <td style={{ ...cell, color: pointsColour(j.windPoints) }}>{formatPoints(j.windPoints)}</td>
+                <td style={{ ...cell, color: pointsColour(j.gatePoints) }}>{formatPoints(j.gatePoints)}</td>
+                <td style={{ ...cell, paddingRight: 10, fontWeight: 800 }}>{j.points.toFixed(1)}</td>
+              </tr>
+            )
+          })}
+          <tr style={{ borderTop: `1px solid ${BRAND.blue}66`, background: 'rgba(255,255,255,0.04)' }}>
+            <td colSpan={6} style={{ ...cell, textAlign: 'left', paddingLeft: 10, fontWeight: 700, color: BRAND.grayLight }}>
+              TOTAL
+            </td>
+            <td style={{ ...cell, paddingRight: 10, fontSize: 16, fontWeight: 800, fontFamily: DISPLAY_FONT }}>
+              {total.toFixed(1)}
+            </td>
+          </tr>
+        </tbody>
+      </table>
+    </div>
+  )
+}
@@ -0,0 +1,179 @@
+// =============================================================================
+// AI Ski Jump Championship — Pass-and-Play Players
+// Who's playing: two to four names, in the order they'll jump each round.
+// =============================================================================
+
+import { useEffect, useState } from 'react'
+import { BRAND } from './constants'
+import { MAX_NAME_LENGTH } from './player'
+import { MAX_PLAYERS, MIN_PLAYERS, PLAYER_COLOURS, sanitizePlayers } from './hotseat'
+
+const FONT = "'Open Sans','Segoe UI',system-ui,sans-serif"
+const DISPLAY_FONT = "'Barlow Condensed','Open Sans',system-ui,sans-serif"
+
+const smallButtonStyle = {
+  background: 'transparent',
+  border: 'none',
+  padding: '6px 12px',
+  fontSize: '13px',
+  fontWeight: 700,
+  color: BRAND.blueLight,
+  cursor: 'pointer',
+  fontFamily: FONT,
+}
+
+// ---------------------------------------------------------------------------
+// PlayersScreen component
+// ---------------------------------------------------------------------------
+/**
+ * players    names from last time — the form starts from them
+ * onConfirm  called with the cleaned-up names (see sanitizePlayers)
+ */
+export default function PlayersScreen({ players, onConfirm, onBack }) {
+  const [names, setNames] = useState(() => {
+    const start = players.slice(0, MAX_PLAYERS)
+    while (start.length < MIN_PLAYERS) start.push('')
+    return start
+  })
+
+  // Unlock body scroll so the form can scroll on mobile
+  useEffect(() => {
+    document.body.style.overflow = 'auto'
+    document.body.style.position = 'static'
+    return () => {
+      document.body.style.overflow = 'hidden'
+      document.body.style.position = 'fixed'
+    }
+  }, [])
+
+  useEffect(() => {
+    const handler = (e) => {
+      if (e.code === 'Enter') onConfirm(sanitizePlayers(names))
+      if (e.code === 'Escape') onBack()
+    }
+    window.addEventListener('keydown', handler)
+    return () => window.removeEventListener('keydown', handler)
+  }, [names, onConfirm, onBack])
+
+  function setName(i, value) {
+    setNames((prev) => prev.map((n, j) => (j === i ? value : n)))
+  }
+
+  return (
+    <div style={{
+      width: '100%',
+      minHeight: '100vh',
+      background: `linear-gradient(160deg, ${BRAND.dark} 0%, #0f1a2e 50%, ${BRAND.darkMid} 100%)`,
+      display: 'flex',
+      flexDirection: 'column',
+      alignItems: 'center',
+      fontFamily: FONT,
+      color: BRAND.white,
+      padding: '24px',
+      boxSizing: 'border-box',
+    }}>
+      <div style={{
+        maxWidth: '440px',
+        width: '100%',
+        display: 'flex',
+        flexDirection: 'column',
+        alignItems: 'center',
+        gap: '12px',
+      }}>
+        {/* ---- Header ---- */}
+        <h1 style={{
+          fontSize: '36px',
+          fontWeight: 800,
+          fontFamily: DISPLAY_FONT,
+          letterSpacing: '2px',
+          textTransform: 'uppercase',
+          margin: '8px 0 0',
+        }}>
+          👥 Pass &amp; Play
+        </h1>
+        <div style={{ fontSize: '12px', fontWeight: 600, color: BRAND.gray, textAlign: 'center' }}>
+          {MIN_PLAYERS}–{MAX_PLAYERS} players &bull; everyone jumps each round in the same wind
+        </div>
+
+        {/* ---- Names, in jumping order ---- */}
+        {names.map((name, i) => (
+          <div key={i} style={{ display: 'flex', alignItems: 'center', gap: '8px', width: '100%' }}>
+            <div style={{
+              width: '28px',
+              height: '28px',
+              borderRadius: '50%',
+              background: PLAYER_COLOURS[i],
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'center',
+              fontSize: '13px',
+              fontWeight: 800,
+              flexShrink: 0,
+            }}>
+              {i + 1}
+            </div>
+            <input
+              value={name}
+              onChange={(e) => setName(i, e.target.value)}
+              maxLength={MAX_NAME_LENGTH * 2}
+              placeholder={`Player ${i + 1}`}
+              aria-label={`Player ${i + 1} name`}
+              autoFocus={i === 0}
+              style={{
+                flex: 1,
+                minWidth: 0,
+                padding: '10px 12px',
+                borderRadius: '10px',
+                border: `1px solid ${PLAYER_COLOURS[i]}88`,
+                background: 'rgba(255,255,255,0.06)',
+                color: BRAND.white,
+                fontSize: '15px',
+                fontWeight: 600,
+                fontFamily: FONT,
+                outline: 'none',
+              }}
+            />
+            {names.length > MIN_PLAYERS && (
+              <button
+                onClick={() => setNames((prev) => prev.filter((_, j) => j !== i))}
+                aria-label={`Remove player ${i + 1}`}
+                style={{ ...smallButtonStyle, color: BRAND.gray, padding: '6px 8px' }}
+              >
+                {'✕'}
+              </button>
+            )}
+          </div>
+        ))}
+        {names.length < MAX_PLAYERS && (
+          <button onClick={() => setNames((prev) => [...prev, ''])} style={smallButtonStyle}>
+            + Add player
+          </button>
+        )}
+
+        <button
+          onClick={() => onConfirm(sanitizePlayers(names))}
+          style={{
+            width: '100%',
+            marginTop: '8px',
+            background: `linear-gradient(135deg, ${BRAND.blue}, ${BRAND.purple})`,
+            border: 'none',
+            borderRadius: '12px',
+            padding: '14px 32px',
+            fontSize: '18px',
+            fontWeight: 900,
+            color: BRAND.white,
+            cursor: 'pointer',
+            fontFamily: FONT,
+            letterSpacing: '2px',
+            textTransform: 'uppercase',
+          }}
+        >
+          Pick Jumpers
+        </button>
+        <button onClick={onBack} style={smallButtonStyle}>
+          Back
+        </button>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,285 @@
+// =============================================================================
+// AI Ski Jump Championship — Pass-and-Play and Team Event Podium
+// The results of a game shared round one device: the top three on the
+// podium, then every player's rounds — or every team's members' jumps —
+// and totals, ranked by the game's scoring system.
+// =============================================================================
+
+import { useEffect } from 'react'
+import { BRAND, ROUNDS_PER_GAME } from './constants'
+
+const FONT = "'Open Sans','Segoe UI',system-ui,sans-serif"
+const DISPLAY_FONT = "'Barlow Condensed','Open Sans',system-ui,sans-serif"
+
+const MEDAL = ['🥇', '🥈', '🥉']
+
+// Podium steps left to right: 2nd, 1st, 3rd
+const PODIUM_ORDER = [1, 0, 2]
+const STEP_HEIGHT = [96, 70, 52]
+
+/** Total as shown and shared: points or metres, by scoring system. */
+function formatTotal(row, scoring) {
+  return scoring === 'official' ? `${row.officialTotal.toFixed(1)} pts` : `${row.total.toFixed(1)}m`
+}
+
+// ---------------------------------------------------------------------------
+// Share text
+// ---------------------------------------------------------------------------
+export function generatePodiumText(standings, hill, scoring, eventName) {
+  return [
+    `🎿 AI Ski Jump Championship — ${eventName}`,
+    `${hill.emoji} ${hill.name} (K${hill.profile.kPoint})`,
+    '',
+    ...standings.map((row) => `${MEDAL[row.place - 1] || `${row.place}.`} ${row.name} — ${formatTotal(row, scoring)}`),
+    '',
+    '🔗 skijump.brandedai.net',
+  ].join('\n')
+}
+
+// ---------------------------------------------------------------------------
+// A team's members, one line each with their jump per series
+// ---------------------------------------------------------------------------
+function MemberJumps({ row, scoring }) {
+  return (
+    <div style={{ marginTop: '4px', paddingLeft: '24px' }}>
+      {row.members.map((member) => (
+        <div key={member.name} style={{ display: 'flex', gap: '8px', fontSize: '11px', fontWeight: 600 }}>
+          <span style={{ flex: 1, minWidth: 0, color: BRAND.grayLight, overflow: 'hidden', textOverflow: 'ellipsis' }}>
+            {member.name}
+          </span>
+          {member.jumps.map((jump) => (
+            <span
+              key={jump.series}
+              style={{
+                width: '52px',
+                textAlign: 'right',
+                textDecoration: jump.landingGrade === 'crash' ? 'line-through' : 'none',
+              }}
+            >
+              {scoring === 'official' ? jump.official.points.toFixed(1) : `${jump.distance.toFixed(1)}m`}
+            </span>
+          ))}
+        </div>
+      ))}
+    </div>
+  )
+}
+
+// ---------------------------------------------------------------------------
+// PodiumScreen component
+// ---------------------------------------------------------------------------
+/**
+ * standings  leader first — players from getPlayerStandings (see
+ *            hotseat.js) or teams from getTeamStandings (see teamEvent.js)
+ * eventName  "Pass & Play" or "Team Event", for the header and share post
+ * onRematch  same line-up, new wind
+ */
+export default function PodiumScreen({ standings, eventName, hill, scoring, onRematch, onPlayAgain, onShare }) {
+  // Unlock body scroll so the results can scroll on mobile
+  useEffect(() => {
+    document.body.style.overflow = 'auto'
+    document.body.style.position = 'static'
+    return () => {
+      document.body.style.overflow = 'hidden'
+      document.body.style.position = 'fixed'
+    }
+  }, [])
+
+  const podium = PODIUM_ORDER.map((i) => standings[i]).filter(Boolean)
+
+  return (
+    <div style={{
+      width: '100%',
+      minHeight: '100vh',
+      background: `linear-gradient(160deg, ${BRAND.dark} 0%, #0f1a2e 50%, ${BRAND.darkMid} 100%)`,
+      display: 'flex',
+      flexDirection: 'column',
+      alignItems: 'center',
+      fontFamily: FONT,
+      color: BRAND.white,
+      padding: '24px',
+      boxSizing: 'border-box',
+    }}>
+      <div style={{
+        maxWidth: '440px',
+        width: '100%',
+        display: 'flex',
+        flexDirection: 'column',
+        alignItems: 'center',
+        gap: '12px',
+      }}>
+        {/* ---- 1. Header ---- */}
+        <h1 style={{
+          fontSize: '36px',
+          fontWeight: 800,
+          fontFamily: DISPLAY_FONT,
+          letterSpacing: '2px',
+          textTransform: 'uppercase',
+          margin: '8px 0 0',
+          animation: 'fadeUp 0.4s ease-out both',
+        }}>
+          {standings[0].name} wins!
+        </h1>
+        <div style={{ fontSize: '12px', fontWeight: 600, color: BRAND.gray }}>
+          {eventName} &bull; {hill.emoji} {hill.name} &bull; {scoring === 'official' ? 'Official scoring' : 'Arcade scoring'}
+        </div>
+
+        {/* ---- 2. Podium ---- */}
+        <div style={{
+          display: 'flex',
+          alignItems: 'flex-end',
+          justifyContent: 'center',
+          gap: '6px',
+          width: '100%',
+          marginTop: '12px',
+        }}>
+          {podium.map((row) => (
+            <div
+              key={row.name}
+              style={{
+                flex: 1,
+                maxWidth: '130px',
+                display: 'flex',
+                flexDirection: 'column',
+                alignItems: 'center',
+                animation: `fadeUp 0.5s ease-out ${0.2 + (2 - row.place) * 0.25}s both`,
+              }}
+            >
+              <div style={{ fontSize: '28px' }}>{MEDAL[row.place - 1]}</div>
+              <div style={{
+                fontSize: '14px',
+                fontWeight: 800,
+                color: row.colour,
+                maxWidth: '100%',
+                whiteSpace: 'nowrap',
+                overflow: 'hidden',
+                textOverflow: 'ellipsis',
+              }}>
+                {row.name}
+              </div>
+              <div style={{ fontSize: '12px', fontWeight: 700, color: BRAND.grayLight, marginBottom: '4px' }}>
+                {formatTotal(row, scoring)}
+              </div>
+              <div style={{
+                width: '100%',
+                height: STEP_HEIGHT[row.place - 1] ?? STEP_HEIGHT[2],
+                borderRadius: '8px 8px 0 0',
+                background: `linear-gradient(180deg, ${row.colour}, ${row.colour}55)`,
+                display: 'flex',
+                justifyContent: 'center',
+                paddingTop: '6px',
+                boxSizing: 'border-box',
+                fontSize: '24px',
+                fontWeight: 800,
+                fontFamily: DISPLAY_FONT,
+              }}>
+                {row.place}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {/* ---- 3. Everyone's rounds ---- */}
+        <div style={{ width: '100%', display: 'flex', flexDirection: 'column', gap: '6px', marginTop: '8px' }}>
+          {standings.map((row) => (
+            <div
+              key={row.name}
+              style={{
+                padding: '8px 12px',
+                borderRadius: '10px',
+                background: 'rgba(255,255,255,0.05)',
+                borderLeft: `4px solid ${row.colour}`,
+                opacity: row.cut ? 0.7 : 1,
+              }}
+            >
+              <div style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '14px', fontWeight: 700 }}>
+                <span style={{ color: BRAND.gray, width: '16px' }}>{row.place}</span>
+                <span style={{ flex: 1, minWidth: 0, overflow: 'hidden', textOverflow: 'ellipsis' }}>{row.name}</span>
+                <span>{formatTotal(row, scoring)}</span>
+              </div>
+              {row.members ? (
+                <MemberJumps row={row} scoring={scoring} />
+              ) : (
+                <div style={{ display: 'flex', gap: '4px', marginTop: '4px', paddingLeft: '24px' }}>
+                  {Array.from({ length: ROUNDS_PER_GAME }, (_, r) => {
+                    const round = row.rounds.find((s) => s.round === r)
+                    return (
+                      <div key={r} style={{
+                        flex: 1,
+                        textAlign: 'center',
+                        fontSize: '11px',
+                        fontWeight: 600,
+                        color: round?.counted || scoring === 'official' ? BRAND.white : BRAND.gray,
+                        textDecoration: round?.landingGrade === 'crash' ? 'line-through' : 'none',
+                      }}>
+                        {round ? `${round.distance.toFixed(1)}` : '–'}
+                      </div>
+                    )
+                  })}
+                </div>
+              )}
+              {(row.cut || row.grade) && (
+                <div style={{ fontSize: '11px', fontWeight: 600, color: BRAND.gray, paddingLeft: '24px', marginTop: '2px' }}>
+                  {row.cut ? 'Cut after series one' : `${row.grade.emoji} ${row.grade.label}`}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+
+        {/* ---- 4. Action Buttons ---- */}
+        <button
+          onClick={onRematch}
+          style={{
+            width: '100%',
+            marginTop: '8px',
+            background: `linear-gradient(135deg, ${BRAND.blue}, ${BRAND.blueDark})`,
+            border: 'none',
+            borderRadius: '12px',
+            padding: '14px 32px',
+            fontSize: '16px',
+            fontWeight: 700,
+            color: BRAND.white,
+            cursor: 'pointer',
+            fontFamily: FONT,
+            letterSpacing: '0.5px',
+          }}
+        >
+          Rematch
+        </button>
+        <button
+          onClick={() => onShare(generatePodiumText(standings, hill, scoring, eventName))}
+          style={{
+            width: '100%',
+            background: 'transparent',
+            border: `2px solid ${BRAND.purple}`,
+            borderRadius: '12px',
+            padding: '12px 32px',
+            fontSize: '15px',
+            fontWeight: 700,
+            color: BRAND.purpleLight,
+            cursor: 'pointer',
+            fontFamily: FONT,
+          }}
+        >
+          Share Results
+        </button>
+        <button
+          onClick={onPlayAgain}
+          style={{
+            background: 'transparent',
+            border: 'none',
+            padding: '6px 12px',
+            fontSize: '13px',
+            fontWeight: 700,
+            color: BRAND.blueLight,
+            cursor: 'pointer',
+            fontFamily: FONT,
+          }}
+        >
+          Back to Title
+        </button>
+      </div>
+    </div>
+  )
+}
@@ -1,5 +1,9 @@
 import { useEffect, useRef, useState } from 'react'
 import { BRAND, ROUNDS_PER_GAME } from './constants'
+import { MAX_NAME_LENGTH, sanitizeName } from './player'
+import { OfficialResultsTable } from './OfficialScoreboard'
+import { ordinal } from './season'
+import JumpVideoButton from './JumpVideoButton'
 
 const FONT = "'Open Sans','Segoe UI',system-ui,sans-serif"
 const DISPLAY_FONT = "'Barlow Condensed','Open Sans',system-ui,sans-serif"
@@ -14,10 +18,21 @@ const LANDING_DISPLAY = {
   crash:    { icon: "💥", label: "Crash!",    color: BRAND.red },
 }
 
+// One square per landing for the Daily Jump grid
+const LANDING_SQUARE = {
+  telemark: "🟩",
+  clean: "🟦",
+  shaky: "🟨",
+  crash: "🟥",
+}
+
 // ---------------------------------------------------------------------------
 // Generate shareable text summary
+// With a dailyNumber it becomes a Daily Jump post: numbered title plus a
+// spoiler-free grid of landing squares above the round breakdown.
+// The player's name, if set, signs the title line.
 // ---------------------------------------------------------------------------
-export function generateShareText(scores, totalScore, grade) {
+export function generateShareText(scores, totalScore, grade, hill, dailyNumber = null, playerName = '') {
   const lines = scores.map((s, i) => {
     const ld = LANDING_DISPLAY[s.landingGrade] || LANDING_DISPLAY.clean
     return `Round ${i + 1}: ${s.distance.toFixed(1)}m ${ld.icon} ${ld.label}`
@@ -26,8 +41,17 @@ export function generateShareText(scores, totalScore, grade) {
   const countedStars = scores.filter((s) => s.counted).length
   const starLine = "⭐".repeat(countedStars) + "☆".repeat(ROUNDS_PER_GAME - countedStars)
 
+  const byline = playerName ? ` — ${playerName}` : ""
+  const header = dailyNumber != null
+    ? [
+        `🎿 AI Ski Jump Daily #${dailyNumber}${byline}`,
+        scores.map((s) => LANDING_SQUARE[s.landingGrade] || "⬜").join(""),
+      ]
+    : [`🎿 AI Ski Jump Championship${byline}`]
+
   return [
-    "🎿 AI Ski Jump Championship",
+    ...header,
+    ...(hill ? [`${hill.emoji} ${hill.name} (K${hill.profile.kPoint})`] : []),
     "",
     ...lines,
     "",
@@ -52,17 +76,37 @@ function easeOutCubic(t) {
 export default function ResultsScreen({
   scores,
   totalScore,
+  scoring,
+  officialTotal,
   grade,
+  hill,
+  dailyNumber,
   bestScore,
   isNewRecord,
+  newUnlocks = [],
+  seasonResult = null,
   challengerName,
   challengerScore,
   onPlayAgain,
   onShare,
   onChallenge,
+  playerName,
+  onNameChange,
+  weekRank,
+  onOpenLeaderboard,
 }) {
   const counterRef = useRef(null)
   const [gradeVisible, setGradeVisible] = useState(false)
+  const [nameDraft, setNameDraft] = useState(playerName || '')
+
+  // Save the typed name and return the cleaned version, so Share and
+  // Challenge use it even if the field never lost focus
+  function commitName() {
+    const clean = sanitizeName(nameDraft)
+    setNameDraft(clean)
+    if (clean !== playerName) onNameChange(clean)
+    return clean
+  }
 
   // Unlock body scroll so results can scroll on mobile
   useEffect(() => {
@@ -74,7 +118,13 @@ export default function ResultsScreen({
     }
   }, [])
 
-  // Counter roll-up animation: 0 → totalScore over 1.5s with ease-out
+  // Official scoring leads with competition points; the distance total
+  // still decides grades, personal bests and the leaderboard
+  const official = scoring === 'official'
+  const headline = official ? officialTotal : totalScore
+  const unit = official ? ' pts' : 'm'
+
+  // Counter roll-up animation: 0 → headline total over 1.5s with ease-out
   useEffect(() => {
     const duration = 1500
     let startTime = null
@@ -85,10 +135,10 @@ export default function ResultsScreen({
       const elapsed = now - startTime
       const progress = Math.min(elapsed / duration, 1)
       const eased = easeOutCubic(progress)
-      const current = eased * totalScore
+      const current = eased * headline
 
       if (counterRef.current) {
-        counterRef.current.textContent = `${current.toFixed(1)}m`
+        counterRef.current.textContent = `${current.toFixed(1)}${unit}`
       }
 
       if (progress < 1) {
@@ -108,9 +158,8 @@ export default function ResultsScreen({
       clearTimeout(startDelay)
       if (raf) cancelAnimationFrame(raf)
     }
-  }, [totalScore, scores.length])
+  }, [headline, unit, scores.length])
 
-  const shareText = generateShareText(scores, totalScore, grade)
   const beatChallenger = challengerScore != null && totalScore > challengerScore
 
   // Calculate timing: rounds animate in first, then counter, then grade
@@ -155,86 +204,92 @@ export default function ResultsScreen({
       }}>
 
         {/* ---- 1. Round Breakdown (staggered reveal first) ---- */}
-        <div style={{
-          width: '100%',
-          marginTop: '8px',
-          marginBottom: '20px',
-          display: 'flex',
-          flexDirection: 'column',
-          gap: '8px',
-        }}>
-          {scores.map((s, i) => {
-            const ld = LANDING_DISPLAY[s.landingGrade] || LANDING_DISPLAY.clean
-            const counted = s.counted
-            const delay = 0.3 + i * 0.2
-
-            return (
-              <div
-                key={i}
-                style={{
-                  display: 'flex',
-                  alignItems: 'center',
-                  gap: '8px',
-                  padding: '10px 12px',
-                  borderRadius: '10px',
-                  background: counted
-                    ? `${BRAND.blue}18`
-                    : `${BRAND.darkMid}88`,
-                  border: counted
-                    ? `1px solid ${BRAND.blue}33`
-                    : '1px solid transparent',
-                  opacity: counted ? 1 : 0.5,
-                  animation: `slideIn 0.4s cubic-bezier(0.175,0.885,0.32,1.275) ${delay}s both`,
-                  boxSizing: 'border-box',
-                }}
-              >
-                {/* Jumper emoji */}
-                <div style={{
-                  fontSize: '20px',
-                  lineHeight: 1,
-                  minWidth: '24px',
-                  textAlign: 'center',
-                }}>
-                  {s.jumper?.emoji || "🏂"}
-                </div>
-
-                {/* Jumper name */}
-                <div style={{
-                  flex: 1,
-                  minWidth: 0,
-                  fontSize: '13px',
-                  fontWeight: 700,
-                  color: BRAND.white,
-                  whiteSpace: 'nowrap',
-                  overflow: 'hidden',
-                  textOverflow: 'ellipsis',
-                }}>
-                  {s.jumper?.name || `Round ${i + 1}`}
-                </div>
-
-                {/* Distance */}
-                <div style={{
-                  fontSize: '16px',
-                  fontWeight: 800,
-                  color: BRAND.white,
-                  whiteSpace: 'nowrap',
-                }}>
-                  {s.distance.toFixed(1)}m
-                </div>
-
-                {/* Landing grade */}
-                <div style={{
-                  fontSize: '12px',
-                  fontWeight: 700,
-                  color: ld.color,
-                  whiteSpace: 'nowrap',
-                }}>
-                  {ld.icon} {ld.label}
+        {official ? (
+          <div style={{ width: '100%', marginTop: '8px', marginBottom: '20px' }}>
+            <OfficialResultsTable rounds={scores} total={officialTotal} delay={0.3} />
+          </div>
+        ) : (
+          <div style={{
+            width: '100%',
+            marginTop: '8px',
+            marginBottom: '20px',
+            display: 'flex',
+            flexDirection: 'column',
+            gap: '8px',
+          }}>
+            {scores.map((s, i) => {
+              const ld = LANDING_DISPLAY[s.landingGrade] || LANDING_DISPLAY.clean
+              const counted = s.counted
+              const delay = 0.3 + i * 0.2
+
+              return (
+                <div
+                  key={i}
+                  style={{
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: '8px',
+                    padding: '10px 12px',
+                    borderRadius: '10px',
+                    background: counted
+                      ? `${BRAND.blue}18`
+                      : `${BRAND.darkMid}88`,
+                    border: counted
+                      ? `1px solid ${BRAND.blue}33`
+                      : '1px solid transparent',
+                    opacity: counted ? 1 : 0.5,
+                    animation: `slideIn 0.4s cubic-bezier(0.175,0.885,0.32,1.275) ${delay}s both`,
+                    boxSizing: 'border-box',
+                  }}
+                >
+                  {/* Jumper emoji */}
+                  <div style={{
+                    fontSize: '20px',
+                    lineHeight: 1,
+                    minWidth: '24px',
+                    textAlign: 'center',
+                  }}>
+                    {s.jumper?.emoji || "🏂"}
+                  </div>
+
+                  {/* Jumper name */}
+                  <div style={{
+                    flex: 1,
+                    minWidth: 0,
+                    fontSize: '13px',
+                    fontWeight: 700,
+                    color: BRAND.white,
+                    whiteSpace: 'nowrap',
+                    overflow: 'hidden',
+                    textOverflow: 'ellipsis',
+                  }}>
+                    {s.jumper?.name || `Round ${i + 1}`}
+                  </div>
+
+                  {/* Distance */}
+                  <div style={{
+                    fontSize: '16px',
+                    fontWeight: 800,
+                    color: BRAND.white,
+                    whiteSpace: 'nowrap',
+                  }}>
+                    {s.distance.toFixed(1)}m
+                  </div>
+
+                  {/* Landing grade */}
+                  <div style={{
+                    fontSize: '12px',
+                    fontWeight: 700,
+                    color: ld.color,
+                    whiteSpace: 'nowrap',
+                  }}>
+                    {ld.icon} {ld.label}
+                  </div>
                 </div>
-              </div>
-            )
-          })}
-        </div>
+              )
+            })}
+          </div>
+        )}
 
         {/* ---- 2. Total Score (counter roll-up) ---- */}
         <div style={{
@@ -254,7 +309,7 @@ export default function ResultsScreen({
               fontFamily: DISPLAY_FONT,
             }}
           >
-            0.0m
+            0.0{unit}
           </div>
           {/* Gold shimmer overlay for new record */}
           {isNewRecord && (
@@ -278,7 +333,9 @@ export default function ResultsScreen({
           margin: '4px 0 12px',
           animation: `fadeUp 0.4s ease-out ${counterStartDelay + 0.1}s both`,
         }}>
-          Best 3 of 5 jumps
+          {dailyNumber != null ? `Daily Jump #${dailyNumber} \u2022 ` : ''}
+          {hill ? `${hill.name} \u2022 ` : ''}
+          {official ? `All 5 jumps \u2022 ${totalScore.toFixed(1)}m best 3` : 'Best 3 of 5 jumps'}
         </div>
 
         {/* New Personal Best badge */}
@@ -321,6 +378,67 @@ export default function ResultsScreen({
           </div>
         )}
 
+        {/* Jumpers this game unlocked for the roster */}
+        {newUnlocks.length > 0 && (
+          <div style={{
+            animation: `fadeUp 0.4s ease-out ${gradeDelay - 0.1}s both`,
+            padding: '8px 16px',
+            borderRadius: '12px',
+            background: `${BRAND.purple}26`,
+            border: `1px solid ${BRAND.purple}`,
+            fontSize: '13px',
+            fontWeight: 700,
+            color: BRAND.purpleLight,
+            marginBottom: '8px',
+            textAlign: 'center',
+          }}>
+            {newUnlocks.map((j) => (
+              <div key={j.id}>
+                NEW JUMPER UNLOCKED: {j.emoji} {j.name}
+              </div>
+            ))}
+          </div>
+        )}
+
+        {/* World Cup event: place, points and where that leaves the season */}
+        {seasonResult && (
+          <div style={{
+            animation: `fadeUp 0.4s ease-out ${gradeDelay - 0.1}s both`,
+            padding: '8px 16px',
+            borderRadius: '12px',
+            background: `${BRAND.blue}26`,
+            border: `1px solid ${BRAND.blue}`,
+            fontSize: '13px',
+            fontWeight: 700,
+            color: BRAND.blueLight,
+            marginBottom: '8px',
+            textAlign: 'center',
+          }}>
+            <div>
+              {seasonResult.event.flag} {seasonResult.event.venue}: {ordinal(seasonResult.place)}
+              {' '}&bull; +{seasonResult.points} World Cup points
+            </div>
+            <div style={{ fontSize: '11px', fontWeight: 600, color: BRAND.grayLight }}>
+              {seasonResult.champion
+                ? `Season over — ${seasonResult.champion.name} is champion`
+                : `${ordinal(seasonResult.standingsPlace)} overall after ${seasonResult.eventsDone} of ${seasonResult.eventsTotal}`}
+            </div>
+          </div>
+        )}
+
+        {/* This week's leaderboard position */}
+        {weekRank != null && (
+          <div style={{
+            animation: `fadeUp 0.4s ease-out ${gradeDelay - 0.1}s both`,
+            fontSize: '13px',
+            fontWeight: 700,
+            color: BRAND.purpleLight,
+            marginBottom: '8px',
+          }}>
+            You're #{weekRank} this week
+          </div>
+        )}
+
         {/* ---- 3. Grade Header (delayed reveal with bounce) ---- */}
         <div style={{
           textAlign: 'center',
@@ -355,7 +473,7 @@ export default function ResultsScreen({
         </div>
 
         {/* ---- 4. Challenge Comparison ---- */}
-        {challengerName && (
+        {challengerName && challengerScore != null && (
           <div style={{
             animation: `fadeUp 0.4s ease-out ${gradeDelay + 0.2}s both`,
             width: '100%',
@@ -403,7 +521,55 @@ export default function ResultsScreen({
           </div>
         )}
 
-        {/* ---- 5. Action Buttons ---- */}
+        {/* ---- 5. Player Name ---- */}
+        <label style={{
+          width: '100%',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '10px',
+          marginBottom: '12px',
+          animation: `fadeUp 0.4s ease-out ${buttonsDelay}s both`,
+        }}>
+          <span style={{
+            fontSize: '12px',
+            fontWeight: 700,
+            color: BRAND.grayLight,
+            letterSpacing: '1px',
+            textTransform: 'uppercase',
+            whiteSpace: 'nowrap',
+          }}>
+            Your name
+          </span>
+          <input
+            type="text"
+            value={nameDraft}
+            onChange={(e) => setNameDraft(e.target.value)}
+            onBlur={commitName}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') e.currentTarget.blur()
+            }}
+            maxLength={MAX_NAME_LENGTH}
+            placeholder="Signs your challenges"
+            autoComplete="nickname"
+            enterKeyHint="done"
+            style={{
+              flex: 1,
+              minWidth: 0,
+              background: `${BRAND.darkMid}cc`,
+              border: `1px solid ${BRAND.gray}55`,
+              borderRadius: '10px',
+              padding: '10px 12px',
+              fontSize: '15px',
+              fontWeight: 600,
+              color: BRAND.white,
+              fontFamily: FONT,
+              outline: 'none',
+              boxSizing: 'border-box',
+            }}
+          />
+        </label>
+
+        {/* ---- 6. Action Buttons ---- */}
         <div style={{
           width: '100%',
           display: 'flex',
@@ -428,11 +594,14 @@ export default function ResultsScreen({
               letterSpacing: '0.5px',
             }}
           >
-            Jump Again
+            {seasonResult ? 'World Cup Standings' : 'Jump Again'}
           </button>
 
           <button
-            onClick={() => onShare(shareText)}
+            onClick={() => {
+              const name = commitName()
+              onShare(generateShareText(scores, totalScore, grade, hill, dailyNumber, name))
+            }}
             style={{
               width: '100%',
               background: 'transparent',
@@ -450,8 +619,10 @@ export default function ResultsScreen({
             Share Result
           </button>
 
+          <JumpVideoButton scores={scores} hill={hill} />
+
           <button
-            onClick={onChallenge}
+            onClick={() => onChallenge(commitName())}
             style={{
               width: '100%',
               background: 'transparent',
@@ -468,9 +639,27 @@ export default function ResultsScreen({
           >
             Challenge a Friend
           </button>
+
+          <button
+            onClick={onOpenLeaderboard}
+            style={{
+              width: '100%',
+              background: 'transparent',
+              border: 'none',
+              padding: '8px 32px',
+              fontSize: '14px',
+              fontWeight: 700,
+              color: BRAND.blueLight,
+              cursor: 'pointer',
+              fontFamily: FONT,
+              letterSpacing: '0.5px',
+            }}
+          >
+            {"\uD83C\uDFC6"} Leaderboard
+          </button>
         </div>
 
-        {/* ---- 6. CTA ---- */}
+        {/* ---- 7. CTA ---- */}
         <div style={{
           width: '100%',
           marginTop: '28px',
@@ -502,7 +691,7 @@ export default function ResultsScreen({
           </a>
         </div>
 
-        {/* ---- 7. Footer ---- */}
+        {/* ---- 8. Footer ---- */}
         <div style={{
           marginTop: '24px',
           textAlign: 'center',
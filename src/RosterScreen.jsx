@@ -0,0 +1,265 @@
+// =============================================================================
+// AI Ski Jump Championship — Roster Screen
+// Pick and order the jumpers for the game before it starts: one line-up
+// slot per round, filled from the roster. Locked jumpers show the career
+// milestone that unlocks them and how far along it is (see progress.js).
+// =============================================================================
+
+import { useEffect, useState } from 'react'
+import { BRAND, JUMPERS, getJumper } from './constants'
+import { getUnlockProgress, isJumperUnlocked } from './progress'
+import JumperStats from './JumperStats'
+
+const FONT = "'Open Sans','Segoe UI',system-ui,sans-serif"
+const DISPLAY_FONT = "'Barlow Condensed','Open Sans',system-ui,sans-serif"
+
+// ---------------------------------------------------------------------------
+// One roster card: a jumper to put in the selected slot, or a locked one
+// ---------------------------------------------------------------------------
+function RosterCard({ jumper, progress, slot, onPick }) {
+  const unlocked = isJumperUnlocked(jumper, progress)
+  const goal = unlocked ? null : getUnlockProgress(jumper, progress)
+  return (
+    <button
+      onClick={() => unlocked && onPick(jumper.id)}
+      disabled={!unlocked}
+      style={{
+        display: 'flex',
+        flexDirection: 'column',
+        alignItems: 'center',
+        gap: '6px',
+        padding: '10px 8px',
+        borderRadius: '10px',
+        background: slot != null ? `${jumper.color}22` : 'rgba(255,255,255,0.05)',
+        border: `1px solid ${slot != null ? jumper.color : 'rgba(255,255,255,0.12)'}`,
+        color: BRAND.white,
+        cursor: unlocked ? 'pointer' : 'not-allowed',
+        fontFamily: FONT,
+        boxSizing: 'border-box',
+      }}
+    >
+      <div style={{ display: 'flex', alignItems: 'center', gap: '6px', width: '100%' }}>
+        <div style={{ fontSize: '20px', opacity: unlocked ? 1 : 0.4 }}>
+          {unlocked ? jumper.emoji : '🔒'}
+        </div>
+        <div style={{
+          flex: 1,
+          minWidth: 0,
+          textAlign: 'left',
+          fontSize: '12px',
+          fontWeight: 700,
+          whiteSpace: 'nowrap',
+          overflow: 'hidden',
+          textOverflow: 'ellipsis',
+          color: unlocked ? BRAND.white : BRAND.grayLight,
+        }}>
+          {jumper.name}
+        </div>
+        {slot != null && (
+          <div style={{ fontSize: '10px', fontWeight: 800, color: jumper.color }}>R{slot + 1}</div>
+        )}
+      </div>
+      {unlocked ? (
+        <JumperStats jumper={jumper} />
+      ) : (
+        <div style={{ width: '100%', textAlign: 'left' }}>
+          <div style={{ fontSize: '10px', fontWeight: 600, color: BRAND.grayLight, marginBottom: '4px' }}>
+            {goal.text}
+          </div>
+          <div style={{ height: '4px', borderRadius: '2px', background: 'rgba(255,255,255,0.1)' }}>
+            <div style={{
+              width: `${(goal.current / goal.target) * 100}%`,
+              height: '100%',
+              borderRadius: '2px',
+              background: BRAND.purpleLight,
+            }} />
+          </div>
+          <div style={{ fontSize: '10px', fontWeight: 600, color: BRAND.gray, marginTop: '3px' }}>
+            {jumper.unlock.milestone === 'gradeRank'
+              ? 'Any hill'
+              : `${goal.current} / ${goal.target}`}
+          </div>
+        </div>
+      )}
+    </button>
+  )
+}
+
+// ---------------------------------------------------------------------------
+// RosterScreen component
+// ---------------------------------------------------------------------------
+/**
+ * lineup     jumper ids in round order (see sanitizeLineup)
+ * progress   career totals (see progress.js) — decide what's unlocked
+ * onConfirm  called with the line-up to play
+ */
+export default function RosterScreen({ lineup, progress, onConfirm, onBack }) {
+  const [order, setOrder] = useState(lineup)
+  const [selected, setSelected] = useState(0) // line-up slot the next pick goes into
+
+  // Unlock body scroll so the roster can scroll on mobile
+  useEffect(() => {
+    document.body.style.overflow = 'auto'
+    document.body.style.position = 'static'
+    return () => {
+      document.body.style.overflow = 'hidden'
+      document.body.style.position = 'fixed'
+    }
+  }, [])
+
+  useEffect(() => {
+    const handler = (e) => {
+      if (e.code === 'Enter') onConfirm(order)
+      if (e.code === 'Escape') onBack()
+    }
+    window.addEventListener('keydown', handler)
+    return () => window.removeEventListener('keydown', handler)
+  }, [order, onConfirm, onBack])
+
+  // A jumper already in the line-up swaps places with the selected slot;
+  // anyone else takes it over
+  function pick(id) {
+    setOrder((prev) => {
+      const next = [...prev]
+      const from = next.indexOf(id)
+      if (from >= 0) next[from] = next[selected]
+      next[selected] = id
+      return next
+    })
+    setSelected((s) => (s + 1) % order.length)
+  }
+
+  const selectedJumper = getJumper(order[selected])
+
+  return (
+    <div style={{
+      width: '100%',
+      minHeight: '100vh',
+      background: `linear-gradient(160deg, ${BRAND.dark} 0%, #0f1a2e 50%, ${BRAND.darkMid} 100%)`,
+      display: 'flex',
+      flexDirection: 'column',
+      alignItems: 'center',
+      fontFamily: FONT,
+      color: BRAND.white,
+      padding: '24px',
+      boxSizing: 'border-box',
+    }}>
+      <div style={{
+        maxWidth: '440px',
+        width: '100%',
+        display: 'flex',
+        flexDirection: 'column',
+        alignItems: 'center',
+        gap: '12px',
+      }}>
+        {/* ---- Header ---- */}
+        <h1 style={{
+          fontSize: '36px',
+          fontWeight: 800,
+          fontFamily: DISPLAY_FONT,
+          letterSpacing: '2px',
+          textTransform: 'uppercase',
+          margin: '8px 0 0',
+        }}>
+          Your Line-up
+        </h1>
+        <div style={{ fontSize: '12px', fontWeight: 600, color: BRAND.gray, textAlign: 'center' }}>
+          One jumper per round &bull; pick a round, then a jumper for it
+        </div>
+
+        {/* ---- Line-up slots ---- */}
+        <div style={{ display: 'flex', gap: '6px', width: '100%' }}>
+          {order.map((id, i) => {
+            const j = getJumper(id)
+            const active = i === selected
+            return (
+              <button
+                key={i}
+                onClick={() => setSelected(i)}
+                aria-pressed={active}
+                style={{
+                  flex: 1,
+                  padding: '8px 2px',
+                  borderRadius: '10px',
+                  background: active ? `${BRAND.blue}40` : 'rgba(255,255,255,0.05)',
+                  border: `1px solid ${active ? BRAND.blue : 'rgba(255,255,255,0.12)'}`,
+                  color: BRAND.white,
+                  cursor: 'pointer',
+                  fontFamily: FONT,
+                  lineHeight: 1.3,
+                }}
+              >
+                <div style={{ fontSize: '10px', fontWeight: 700, color: BRAND.grayLight }}>R{i + 1}</div>
+                <div style={{ fontSize: '22px' }}>{j.emoji}</div>
+              </button>
+            )
+          })}
+        </div>
+        <div style={{
+          fontSize: '14px',
+          fontWeight: 700,
+          color: selectedJumper.color,
+        }}>
+          Round {selected + 1}: {selectedJumper.name}
+        </div>
+
+        {/* ---- Roster ---- */}
+        <div style={{
+          display: 'grid',
+          gridTemplateColumns: '1fr 1fr',
+          gap: '8px',
+          width: '100%',
+        }}>
+          {JUMPERS.map((j) => {
+            const slot = order.indexOf(j.id)
+            return (
+              <RosterCard
+                key={j.id}
+                jumper={j}
+                progress={progress}
+                slot={slot >= 0 ? slot : null}
+                onPick={pick}
+              />
+            )
+          })}
+        </div>
+
+        <button
+          onClick={() => onConfirm(order)}
+          style={{
+            width: '100%',
+            marginTop: '8px',
+            background: `linear-gradient(135deg, ${BRAND.blue}, ${BRAND.purple})`,
+            border: 'none',
+            borderRadius: '12px',
+            padding: '14px 32px',
+            fontSize: '18px',
+            fontWeight: 900,
+            color: BRAND.white,
+            cursor: 'pointer',
+            fontFamily: FONT,
+            letterSpacing: '2px',
+            textTransform: 'uppercase',
+          }}
+        >
+          Start Jumping
+        </button>
+        <button
+          onClick={onBack}
+          style={{
+            background: 'transparent',
+            border: 'none',
+            padding: '6px 12px',
+            fontSize: '13px',
+            fontWeight: 700,
+            color: BRAND.blueLight,
+            cursor: 'pointer',
+            fontFamily: FONT,
+          }}
+        >
+          Back
+        </button>
+      </div>
+    </div>
+  )
+}
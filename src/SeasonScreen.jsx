@@ -0,0 +1,303 @@
+// =============================================================================
+// AI Ski Jump Championship — World Cup Season Screen
+// The season between events: the calendar with the player's place and
+// points at each finished event, the standings, and the next event to
+// jump — or, once the last event is done, the champion.
+// =============================================================================
+
+import { useEffect } from 'react'
+import { BRAND, getHill } from './constants'
+import {
+  PLAYER_ID,
+  SEASON_EVENTS,
+  getChampion,
+  getEventResult,
+  getNextEventIndex,
+  getStandings,
+  ordinal,
+} from './season'
+
+const FONT = "'Open Sans','Segoe UI',system-ui,sans-serif"
+const DISPLAY_FONT = "'Barlow Condensed','Open Sans',system-ui,sans-serif"
+
+// Standings rows shown above the player's own, when they're further down
+const STANDINGS_SHOWN = 10
+
+const PODIUM_COLOUR = ['#fbbf24', '#d1d5db', '#d97706']
+
+// ---------------------------------------------------------------------------
+// One calendar row
+// ---------------------------------------------------------------------------
+function CalendarRow({ event, index, result, next }) {
+  const hill = getHill(event.hillId)
+  return (
+    <div style={{
+      display: 'flex',
+      alignItems: 'center',
+      gap: '10px',
+      padding: '8px 12px',
+      borderRadius: '10px',
+      background: next ? `${BRAND.blue}33` : 'rgba(255,255,255,0.05)',
+      border: `1px solid ${next ? BRAND.blue : 'transparent'}`,
+      opacity: result || next ? 1 : 0.55,
+    }}>
+      <div style={{ fontSize: '11px', fontWeight: 800, color: BRAND.gray, width: '16px' }}>{index + 1}</div>
+      <div style={{ fontSize: '18px' }}>{event.flag}</div>
+      <div style={{ flex: 1, minWidth: 0 }}>
+        <div style={{ fontSize: '14px', fontWeight: 700 }}>{event.venue}</div>
+        <div style={{ fontSize: '11px', fontWeight: 600, color: BRAND.gray }}>
+          {hill.emoji} {hill.name} &bull; K{hill.profile.kPoint}
+        </div>
+      </div>
+      {result ? (
+        <div style={{ textAlign: 'right' }}>
+          <div style={{
+            fontSize: '14px',
+            fontWeight: 800,
+            color: PODIUM_COLOUR[result.place - 1] || BRAND.white,
+          }}>
+            {ordinal(result.place)}
+          </div>
+          <div style={{ fontSize: '11px', fontWeight: 600, color: BRAND.grayLight }}>
+            {result.total.toFixed(1)}m &bull; {result.points} pts
+          </div>
+        </div>
+      ) : next ? (
+        <div style={{ fontSize: '11px', fontWeight: 800, color: BRAND.blueLight, letterSpacing: '1px' }}>
+          NEXT
+        </div>
+      ) : null}
+    </div>
+  )
+}
+
+// ---------------------------------------------------------------------------
+// One standings row
+// ---------------------------------------------------------------------------
+function StandingsRow({ row }) {
+  const you = row.id === PLAYER_ID
+  return (
+    <div style={{
+      display: 'flex',
+      alignItems: 'center',
+      gap: '8px',
+      padding: '5px 10px',
+      borderRadius: '6px',
+      background: you ? `${BRAND.orange}26` : 'transparent',
+      fontSize: '13px',
+      fontWeight: you ? 800 : 600,
+      color: you ? BRAND.white : BRAND.grayLight,
+    }}>
+      <div style={{ width: '24px', color: PODIUM_COLOUR[row.place - 1] || BRAND.gray }}>{row.place}</div>
+      <div>{row.flag}</div>
+      <div style={{ flex: 1, minWidth: 0, whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>
+        {row.name}
+      </div>
+      <div style={{ fontVariantNumeric: 'tabular-nums' }}>{row.points}</div>
+    </div>
+  )
+}
+
+// ---------------------------------------------------------------------------
+// SeasonScreen component
+// ---------------------------------------------------------------------------
+/**
+ * season      the season record (see season.js), or null before the first
+ * onJump      start the next event
+ * onNewSeason start a new season, dropping the current one
+ */
+export default function SeasonScreen({ season, playerName, onJump, onNewSeason, onBack }) {
+  const nextIndex = season ? getNextEventIndex(season) : 0
+  const nextEvent = nextIndex != null ? SEASON_EVENTS[nextIndex] : null
+  const standings = season ? getStandings(season, playerName) : []
+  const champion = season ? getChampion(season, playerName) : null
+  const me = standings.find((r) => r.id === PLAYER_ID)
+  const shown = standings.slice(0, STANDINGS_SHOWN)
+
+  // Unlock body scroll so the season can scroll on mobile
+  useEffect(() => {
+    document.body.style.overflow = 'auto'
+    document.body.style.position = 'static'
+    return () => {
+      document.body.style.overflow = 'hidden'
+      document.body.style.position = 'fixed'
+    }
+  }, [])
+
+  useEffect(() => {
+    const handler = (e) => {
+      if (e.code === 'Enter' && nextEvent) onJump()
+      if (e.code === 'Escape') onBack()
+    }
+    window.addEventListener('keydown', handler)
+    return () => window.removeEventListener('keydown', handler)
+  }, [nextEvent, onJump, onBack])
+
+  return (
+    <div style={{
+      width: '100%',
+      minHeight: '100vh',
+      background: `linear-gradient(160deg, ${BRAND.dark} 0%, #0f1a2e 50%, ${BRAND.darkMid} 100%)`,
+      display: 'flex',
+      flexDirection: 'column',
+      alignItems: 'center',
+      fontFamily: FONT,
+      color: BRAND.white,
+      padding: '24px',
+      boxSizing: 'border-box',
+    }}>
+      <div style={{
+        maxWidth: '440px',
+        width: '100%',
+        display: 'flex',
+        flexDirection: 'column',
+        alignItems: 'center',
+        gap: '12px',
+      }}>
+        {/* ---- Header ---- */}
+        <h1 style={{
+          fontSize: '36px',
+          fontWeight: 800,
+          fontFamily: DISPLAY_FONT,
+          letterSpacing: '2px',
+          textTransform: 'uppercase',
+          margin: '8px 0 0',
+        }}>
+          🌍 World Cup
+        </h1>
+        <div style={{ fontSize: '12px', fontWeight: 600, color: BRAND.gray, textAlign: 'center' }}>
+          {SEASON_EVENTS.length} events &bull; World Cup points for the top 30 &bull; most points wins
+          <br />
+          Every hill on the calendar is open — ski flying too, unlocked or not
+        </div>
+
+        {/* ---- Champion ---- */}
+        {champion && (
+          <div style={{
+            width: '100%',
+            padding: '14px',
+            borderRadius: '12px',
+            textAlign: 'center',
+            background: champion.id === PLAYER_ID
+              ? `linear-gradient(135deg, ${BRAND.orange}, ${BRAND.purple})`
+              : 'rgba(255,255,255,0.06)',
+            boxSizing: 'border-box',
+          }}>
+            <div style={{ fontSize: '11px', fontWeight: 800, letterSpacing: '1.5px' }}>
+              SEASON CHAMPION
+            </div>
+            <div style={{ fontSize: '24px', fontWeight: 800, fontFamily: DISPLAY_FONT }}>
+              🏆 {champion.flag} {champion.name}
+            </div>
+            <div style={{ fontSize: '12px', fontWeight: 600, color: BRAND.grayLight }}>
+              {champion.points} points
+              {champion.id !== PLAYER_ID && me && ` • you finished ${ordinal(me.place)} with ${me.points}`}
+            </div>
+          </div>
+        )}
+
+        {/* ---- Calendar ---- */}
+        <div style={{ width: '100%', display: 'flex', flexDirection: 'column', gap: '6px' }}>
+          {SEASON_EVENTS.map((event, i) => (
+            <CalendarRow
+              key={event.id}
+              event={event}
+              index={i}
+              result={season ? getEventResult(season, i) : null}
+              next={i === nextIndex}
+            />
+          ))}
+        </div>
+
+        {/* ---- Standings ---- */}
+        {season && season.results.length > 0 && (
+          <div style={{
+            width: '100%',
+            padding: '10px 4px',
+            borderRadius: '12px',
+            background: 'rgba(255,255,255,0.04)',
+            boxSizing: 'border-box',
+          }}>
+            <div style={{
+              fontSize: '11px',
+              fontWeight: 800,
+              letterSpacing: '1.5px',
+              color: BRAND.grayLight,
+              padding: '0 10px 6px',
+            }}>
+              STANDINGS AFTER {season.results.length} OF {SEASON_EVENTS.length}
+            </div>
+            {shown.map((row) => <StandingsRow key={row.id} row={row} />)}
+            {me && me.place > STANDINGS_SHOWN && (
+              <>
+                <div style={{ textAlign: 'center', fontSize: '11px', color: BRAND.gray }}>&middot;&middot;&middot;</div>
+                <StandingsRow row={me} />
+              </>
+            )}
+          </div>
+        )}
+
+        {nextEvent ? (
+          <button
+            onClick={onJump}
+            style={{
+              width: '100%',
+              marginTop: '8px',
+              background: `linear-gradient(135deg, ${BRAND.blue}, ${BRAND.purple})`,
+              border: 'none',
+              borderRadius: '12px',
+              padding: '14px 32px',
+              fontSize: '18px',
+              fontWeight: 900,
+              color: BRAND.white,
+              cursor: 'pointer',
+              fontFamily: FONT,
+              letterSpacing: '2px',
+              textTransform: 'uppercase',
+            }}
+          >
+            {season ? `Jump at ${nextEvent.venue}` : 'Start the Season'}
+          </button>
+        ) : null}
+        {season && (
+          <button
+            onClick={() => {
+              if (champion || window.confirm('Restart the season? Your results so far will be lost.')) onNewSeason()
+            }}
+            style={{
+              width: '100%',
+              background: champion ? `linear-gradient(135deg, ${BRAND.blue}, ${BRAND.purple})` : 'transparent',
+              border: champion ? 'none' : `1px solid ${BRAND.gray}`,
+              borderRadius: '12px',
+              padding: champion ? '14px 32px' : '10px 32px',
+              fontSize: champion ? '18px' : '13px',
+              fontWeight: champion ? 900 : 700,
+              color: champion ? BRAND.white : BRAND.grayLight,
+              cursor: 'pointer',
+              fontFamily: FONT,
+              letterSpacing: champion ? '2px' : '0.5px',
+              textTransform: champion ? 'uppercase' : 'none',
+            }}
+          >
+            {champion ? 'New Season' : 'Restart season'}
+          </button>
+        )}
+        <button
+          onClick={onBack}
+          style={{
+            background: 'transparent',
+            border: 'none',
+            padding: '6px 12px',
+            fontSize: '13px',
+            fontWeight: 700,
+            color: BRAND.blueLight,
+            cursor: 'pointer',
+            fontFamily: FONT,
+          }}
+        >
+          Back
+        </button>
+      </div>
+    </div>
+  )
+}
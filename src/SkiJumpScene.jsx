@@ -1,37 +1,28 @@
 // =============================================================================
 // AI Ski Jump Championship — Ski Jump Scene (T2)
 // Pure SVG rendering of the ski jump venue at night.
-// Extended to SCENE_W for camera tracking during flight.
+// Drawn per hill (see HILLS) and extended to the hill's sceneW for camera
+// tracking during flight.
 // Static visuals only — animations handled by game layer via {children}.
+// Pass `gate` to light the round's start gate on the in-run.
 // =============================================================================
 
-import { GAME_W, GAME_H, SCENE_W, RAMP_TOP, RAMP_LIP, LANDING_HILL_SLOPE, BRAND } from './constants'
-import { PIXELS_PER_METRE } from './physics'
+import { GAME_H, BRAND, DEFAULT_HILL, START_GATES } from './constants'
+import { getGatePosition, getHillProfile } from './physics'
 
-// ---------------------------------------------------------------------------
-// Derived geometry
-// ---------------------------------------------------------------------------
-
-// Hill surface: from the lip downward-right across the extended scene
-const HILL_END_X = SCENE_W - 50
-const HILL_END_Y = RAMP_LIP.y + (HILL_END_X - RAMP_LIP.x) * LANDING_HILL_SLOPE
-
-// Outrun flat area — begins where the hill meets the bottom region
-const OUTRUN_Y = Math.min(HILL_END_Y, GAME_H - 55)
-
-// Distance markers along the hill (in metres)
-const DISTANCE_MARKERS = [40, 60, 80, 100, 120, 140, 160, 180, 200]
-const K_POINT_DISTANCE = 120
+// Width the hand-placed scenery (ridges, trees, lights) was drawn for.
+// Wider hills mirror it; narrower hills simply crop it.
+const BASE_SCENE_W = 800
 
 // ---------------------------------------------------------------------------
 // Stars (pre-computed for consistency)
 // ---------------------------------------------------------------------------
-function makeStars(count, seed) {
+function makeStars(count, seed, sceneW) {
   const stars = []
   let s = seed
   for (let i = 0; i < count; i++) {
     s = (s * 16807 + 7) % 2147483647
-    const x = (s % SCENE_W)
+    const x = (s % sceneW)
     s = (s * 16807 + 7) % 2147483647
     const y = (s % 220)
     s = (s * 16807 + 7) % 2147483647
@@ -42,19 +33,18 @@ function makeStars(count, seed) {
   }
   return stars
 }
-const STARS = makeStars(50, 42)
 
 // ---------------------------------------------------------------------------
 // Snow specks (static dots on ground surfaces)
 // ---------------------------------------------------------------------------
-function makeSnowSpecks(count, seed) {
+function makeSnowSpecks(count, seed, sceneW, outrunY) {
   const specks = []
   let s = seed
   for (let i = 0; i < count; i++) {
     s = (s * 16807 + 13) % 2147483647
-    const x = (s % SCENE_W)
+    const x = (s % sceneW)
     s = (s * 16807 + 13) % 2147483647
-    const y = OUTRUN_Y + (s % (GAME_H - OUTRUN_Y))
+    const y = outrunY + (s % (GAME_H - outrunY))
     s = (s * 16807 + 13) % 2147483647
     const r = 0.5 + (s % 100) / 100 * 1.0
     s = (s * 16807 + 13) % 2147483647
@@ -63,7 +53,6 @@ function makeSnowSpecks(count, seed) {
   }
   return specks
 }
-const SNOW_SPECKS = makeSnowSpecks(60, 99)
 
 // ---------------------------------------------------------------------------
 // Trees (simple triangles along the sides)
@@ -95,13 +84,13 @@ const TREES = [
 // ---------------------------------------------------------------------------
 // Spectator dots (crowd near outrun)
 // ---------------------------------------------------------------------------
-function makeSpectators(count, seed) {
+function makeSpectators(count, seed, sceneW) {
   const people = []
   let s = seed
   const colours = ['#EF4444', '#F59E0B', '#10B981', '#3B82F6', '#8B5CF6', '#EC4899', '#F97316', '#14B8A6']
   for (let i = 0; i < count; i++) {
     s = (s * 16807 + 31) % 2147483647
-    const x = 120 + (s % (SCENE_W - 200))
+    const x = 120 + (s % (sceneW - 200))
     s = (s * 16807 + 31) % 2147483647
     const y = GAME_H - 28 + (s % 18)
     s = (s * 16807 + 31) % 2147483647
@@ -112,30 +101,94 @@ function makeSpectators(count, seed) {
   }
   return people
 }
-const SPECTATORS = makeSpectators(55, 77)
 
 // ---------------------------------------------------------------------------
-// Helper: position along the hill at a given metre distance
+// Mountain ridges (drawn for BASE_SCENE_W; mirrored to fill wider scenes)
 // ---------------------------------------------------------------------------
-function hillPosAtDistance(metres) {
-  const dx = metres * PIXELS_PER_METRE
-  const x = RAMP_LIP.x + dx
-  const y = RAMP_LIP.y + dx * LANDING_HILL_SLOPE
-  return { x, y }
+const FAR_RIDGE = [[0, 260], [30, 200], [70, 230], [110, 180], [150, 210], [190, 170], [230, 200], [270, 160], [310, 195], [350, 175], [390, 210], [430, 185], [470, 215], [510, 175], [550, 200], [590, 180], [630, 210], [670, 190], [710, 205], [750, 185], [800, 210]]
+const NEAR_RIDGE = [[0, 300], [40, 250], [80, 275], [120, 240], [160, 270], [200, 230], [240, 260], [280, 235], [320, 265], [360, 245], [400, 270], [440, 250], [480, 275], [520, 245], [560, 270], [600, 255], [640, 275], [680, 260], [720, 280], [760, 265], [800, 280]]
+
+function ridgePath(points, baseY, sceneW) {
+  const pts = [...points]
+  // Continue past the drawn width by walking the ridge back on itself
+  for (let i = points.length - 2; i >= 0 && pts[pts.length - 1][0] < sceneW; i--) {
+    pts.push([2 * BASE_SCENE_W - points[i][0], points[i][1]])
+  }
+  const line = pts.map(([x, y]) => `L${x},${y}`).join(' ').replace(/^L/, 'M')
+  return `${line} L${sceneW},${pts[pts.length - 1][1]} L${sceneW},${baseY} L0,${baseY} Z`
+}
+
+// ---------------------------------------------------------------------------
+// Venue — everything the scene derives from a hill, built once per hill
+// ---------------------------------------------------------------------------
+const venueCache = new WeakMap()
+
+function getVenue(hill) {
+  let venue = venueCache.get(hill)
+  if (venue) return venue
+
+  const sceneW = hill.sceneW
+  const profile = getHillProfile(hill)
+
+  // Hill surface: from the lip downward-right across the extended scene,
+  // following the same curved profile the physics lands on
+  const hillEndX = sceneW - 50
+  const hillEndY = profile.yAt(hillEndX)
+
+  // Outrun flat area — begins where the hill meets the bottom region
+  const outrunY = Math.min(hillEndY, GAME_H - 55)
+
+  // Right-side trees are mirrored past the drawn width
+  const trees = [
+    ...TREES,
+    ...TREES.filter((t) => t.x > 500).map((t) => ({ ...t, x: 2 * BASE_SCENE_W - t.x })),
+  ].filter((t) => t.x < sceneW - 10)
+
+  const floodlights = [
+    { x: 130, baseY: GAME_H - 55, h: 160 },
+    { x: 330, baseY: GAME_H - 55, h: 140 },
+    { x: 560, baseY: GAME_H - 55, h: 130 },
+    { x: 820, baseY: GAME_H - 55, h: 120 },
+  ].filter((l) => l.x < sceneW - 60)
+
+  const banners = []
+  for (let bx = 140; bx <= sceneW - 150; bx += bx < 240 ? 100 : 120) banners.push(bx)
+
+  venue = {
+    sceneW,
+    profile,
+    hillEndX,
+    hillEndY,
+    outrunY,
+    stars: makeStars(Math.round(50 * sceneW / BASE_SCENE_W), 42, sceneW),
+    snowSpecks: makeSnowSpecks(Math.round(60 * sceneW / BASE_SCENE_W), 99, sceneW, outrunY),
+    spectators: makeSpectators(Math.round(55 * sceneW / BASE_SCENE_W), 77, sceneW),
+    farRidge: ridgePath(FAR_RIDGE, 300, sceneW),
+    nearRidge: ridgePath(NEAR_RIDGE, 340, sceneW),
+    trees,
+    floodlights,
+    banners,
+  }
+  venueCache.set(hill, venue)
+  return venue
 }
 
 // ---------------------------------------------------------------------------
 // Component
 // ---------------------------------------------------------------------------
-export default function SkiJumpScene({ children }) {
+export default function SkiJumpScene({ hill = DEFAULT_HILL, gate = null, children }) {
+  const venue = getVenue(hill)
+  const { sceneW, profile } = venue
+  const { rampTop, rampLip } = hill
+
   return (
     <div style={{
       position: 'relative',
-      width: SCENE_W,
+      width: sceneW,
       height: GAME_H,
     }}>
       <svg
-        viewBox={`0 0 ${SCENE_W} ${GAME_H}`}
+        viewBox={`0 0 ${sceneW} ${GAME_H}`}
         style={{ position: 'absolute', inset: 0, width: '100%', height: '100%' }}
         xmlns="http://www.w3.org/2000/svg"
       >
@@ -206,27 +259,27 @@ export default function SkiJumpScene({ children }) {
         {/* ============================================================= */}
         {/* SKY                                                           */}
         {/* ============================================================= */}
-        <rect x="0" y="0" width={SCENE_W} height={GAME_H} fill="url(#skyGrad)" />
+        <rect x="0" y="0" width={sceneW} height={GAME_H} fill="url(#skyGrad)" />
 
         {/* ============================================================= */}
         {/* STARS                                                         */}
         {/* ============================================================= */}
-        {STARS.map((s, i) => (
+        {venue.stars.map((s, i) => (
           <circle key={`star-${i}`} cx={s.x} cy={s.y} r={s.r} fill={BRAND.white} opacity={s.opacity} />
         ))}
 
         {/* ============================================================= */}
-        {/* MOUNTAIN SILHOUETTES (background) — extended to SCENE_W       */}
+        {/* MOUNTAIN SILHOUETTES (background) — extended to sceneW       */}
         {/* ============================================================= */}
         {/* Far mountain range */}
         <path
-          d="M0,260 L30,200 L70,230 L110,180 L150,210 L190,170 L230,200 L270,160 L310,195 L350,175 L390,210 L430,185 L470,215 L510,175 L550,200 L590,180 L630,210 L670,190 L710,205 L750,185 L800,210 L800,300 L0,300 Z"
+          d={venue.farRidge}
           fill="#0F172A"
           opacity="0.6"
         />
         {/* Closer mountain range */}
         <path
-          d="M0,300 L40,250 L80,275 L120,240 L160,270 L200,230 L240,260 L280,235 L320,265 L360,245 L400,270 L440,250 L480,275 L520,245 L560,270 L600,255 L640,275 L680,260 L720,280 L760,265 L800,280 L800,340 L0,340 Z"
+          d={venue.nearRidge}
           fill="#1E293B"
           opacity="0.5"
         />
@@ -234,7 +287,7 @@ export default function SkiJumpScene({ children }) {
         {/* ============================================================= */}
         {/* TREES                                                         */}
         {/* ============================================================= */}
-        {TREES.map((t, i) => (
+        {venue.trees.map((t, i) => (
           <g key={`tree-${i}`}>
             {/* Trunk */}
             <rect x={t.x - 1.5} y={t.y} width={3} height={t.h * 0.3} fill="#4A3728" />
@@ -256,10 +309,10 @@ export default function SkiJumpScene({ children }) {
         {/* RAMP — 3D-ish with side face and surface                      */}
         {/* ============================================================= */}
         {(() => {
-          const topX = RAMP_TOP.x
-          const topY = RAMP_TOP.y
-          const lipX = RAMP_LIP.x
-          const lipY = RAMP_LIP.y
+          const topX = rampTop.x
+          const topY = rampTop.y
+          const lipX = rampLip.x
+          const lipY = rampLip.y
           const rampWidth = 22
 
           const cp1x = topX + 20
@@ -313,22 +366,50 @@ export default function SkiJumpScene({ children }) {
         })()}
 
         {/* ============================================================= */}
-        {/* LANDING HILL — extended to SCENE_W with curved surface        */}
+        {/* START GATES — bars across the in-run, the round's one lit     */}
+        {/* ============================================================= */}
+        {Array.from({ length: START_GATES.count }, (_, i) => i + 1).map((g) => {
+          const p = getGatePosition(g, hill)
+          const lit = g === gate
+          return (
+            <g key={`gate-${g}`}>
+              <line
+                x1={p.x} y1={p.y}
+                x2={p.x + 22} y2={p.y + 3}
+                stroke={lit ? BRAND.orange : '#94A3B8'}
+                strokeWidth={lit ? 2 : 0.75}
+                opacity={lit ? 1 : 0.45}
+              />
+              {lit && (
+                <text
+                  x={p.x - 4} y={p.y + 3}
+                  fill={BRAND.orange}
+                  fontSize="8"
+                  fontFamily="'Open Sans', sans-serif"
+                  fontWeight="700"
+                  textAnchor="end"
+                >
+                  {g}
+                </text>
+              )}
+            </g>
+          )
+        })}
+
+        {/* ============================================================= */}
+        {/* LANDING HILL — extended to sceneW with curved surface        */}
         {/* ============================================================= */}
         {(() => {
-          const lipX = RAMP_LIP.x
-          const lipY = RAMP_LIP.y
-          const endX = HILL_END_X
-          const endY = RAMP_LIP.y + (endX - lipX) * LANDING_HILL_SLOPE
+          const lipX = rampLip.x
+          const lipY = rampLip.y
+          const endX = venue.hillEndX
+          const endY = venue.hillEndY
 
-          // Helper: y on the physics slope at a given x
-          const slopeY = (x) => lipY + (x - lipX) * LANDING_HILL_SLOPE
+          // Helper: y on the physics hill surface at a given x
+          const slopeY = (x) => profile.yAt(x)
 
-          // --- Curved surface line (visual) ---
-          // Gentle convex curve: steeper near lip, flattening toward outrun
-          const cpx = lipX + (endX - lipX) * 0.4
-          const cpy = lipY + (cpx - lipX) * LANDING_HILL_SLOPE - 15
-          const surfaceCurve = `M ${lipX},${lipY} Q ${cpx},${cpy} ${endX},${endY}`
+          // --- Curved surface line (sampled from the hill profile) ---
+          const surfaceCurve = profile.surfacePath(lipX, endX)
 
           // --- Hill body ---
           const bulgeDepth = 65
@@ -343,8 +424,7 @@ export default function SkiJumpScene({ children }) {
           const ucp2y = endY + bulgeDepth + 10
 
           const hillBodyPath = `
-            M ${lipX},${lipY}
-            Q ${cpx},${cpy} ${endX},${endY}
+            ${surfaceCurve}
             L ${underEndX},${underEndY}
             C ${ucp2x},${ucp2y} ${ucp1x},${ucp1y} ${underLipX},${underLipY}
             Q ${lipX - 8},${lipY + 8} ${lipX},${lipY}
@@ -391,7 +471,7 @@ export default function SkiJumpScene({ children }) {
 
               {/* Depth shadow below surface */}
               <path
-                d={`M ${lipX + 2},${lipY + 4} Q ${cpx},${cpy + 4} ${endX - 15},${slopeY(endX - 15) + 4}`}
+                d={profile.surfacePath(lipX + 2, endX - 15, 4, 4)}
                 fill="none" stroke="#8B9EB0" strokeWidth="1.5" opacity="0.35"
               />
 
@@ -399,7 +479,7 @@ export default function SkiJumpScene({ children }) {
               {[12, 24, 38].map((offset, i) => (
                 <path
                   key={`tex-${i}`}
-                  d={`M ${lipX + 20},${slopeY(lipX + 20) + offset} L ${endX - 40 - offset * 6},${slopeY(endX - 40 - offset * 6) + offset}`}
+                  d={profile.surfacePath(lipX + 20, endX - 40 - offset * 6, 8, offset)}
                   fill="none" stroke="#D6DEE8" strokeWidth="0.5"
                   opacity={0.35 - i * 0.08} strokeDasharray="6,4"
                 />
@@ -422,14 +502,18 @@ export default function SkiJumpScene({ children }) {
         {/* ============================================================= */}
         {/* DISTANCE MARKERS along the hill                               */}
         {/* ============================================================= */}
-        {DISTANCE_MARKERS.map((m) => {
-          const pos = hillPosAtDistance(m)
-          if (pos.x > SCENE_W - 20 || pos.y > GAME_H - 30) return null
-          const isKPoint = m === K_POINT_DISTANCE
+        {hill.distanceMarkers.map((m) => {
+          const pos = profile.posAtDistance(m)
+          if (pos.x > sceneW - 20 || pos.y > GAME_H - 30) return null
+          const isKPoint = m === profile.kPoint
+          const isHS = m === profile.hillSize
+          const isKey = isKPoint || isHS
+          const colour = isKPoint ? '#EF4444' : isHS ? '#F59E0B' : null
 
-          const slopeAngle = Math.atan(LANDING_HILL_SLOPE)
+          // Tick stands perpendicular to the local hill gradient
+          const slopeAngle = Math.atan(profile.gradientAt(pos.x))
           const perpAngle = slopeAngle - Math.PI / 2
-          const tickLen = isKPoint ? 14 : 8
+          const tickLen = isKey ? 14 : 8
           const tx = Math.cos(perpAngle) * tickLen
           const ty = Math.sin(perpAngle) * tickLen
 
@@ -438,26 +522,26 @@ export default function SkiJumpScene({ children }) {
               <line
                 x1={pos.x} y1={pos.y}
                 x2={pos.x + tx} y2={pos.y + ty}
-                stroke={isKPoint ? '#EF4444' : '#64748B'}
-                strokeWidth={isKPoint ? 2 : 1}
-                opacity={isKPoint ? 1 : 0.7}
+                stroke={colour || '#64748B'}
+                strokeWidth={isKey ? 2 : 1}
+                opacity={isKey ? 1 : 0.7}
               />
-              {isKPoint && (
+              {isKey && (
                 <line x1={pos.x - 6} y1={pos.y} x2={pos.x + 6} y2={pos.y}
-                  stroke="#EF4444" strokeWidth="2" opacity="0.8"
+                  stroke={colour} strokeWidth="2" opacity="0.8"
                 />
               )}
               <text
                 x={pos.x + tx + (tx > 0 ? 2 : -2)}
                 y={pos.y + ty - 2}
-                fill={isKPoint ? '#EF4444' : '#94A3B8'}
-                fontSize={isKPoint ? 8 : 6}
+                fill={colour || '#94A3B8'}
+                fontSize={isKey ? 8 : 6}
                 fontFamily="'Open Sans', sans-serif"
-                fontWeight={isKPoint ? 700 : 400}
+                fontWeight={isKey ? 700 : 400}
                 textAnchor="middle"
-                opacity={isKPoint ? 1 : 0.7}
+                opacity={isKey ? 1 : 0.7}
               >
-                {isKPoint ? `K${m}m` : `${m}m`}
+                {isKPoint ? `K${m}m` : isHS ? `HS${m}` : `${m}m`}
               </text>
             </g>
           )
@@ -466,17 +550,17 @@ export default function SkiJumpScene({ children }) {
         {/* ============================================================= */}
         {/* OUTRUN (flat area at bottom) — extended                       */}
         {/* ============================================================= */}
-        <rect x={0} y={GAME_H - 55} width={SCENE_W} height={55}
+        <rect x={0} y={GAME_H - 55} width={sceneW} height={55}
           fill="url(#outrunGrad)" opacity="0.6"
         />
-        <line x1={0} y1={GAME_H - 55} x2={SCENE_W} y2={GAME_H - 55}
+        <line x1={0} y1={GAME_H - 55} x2={sceneW} y2={GAME_H - 55}
           stroke="#CBD5E1" strokeWidth="0.5" opacity="0.3"
         />
 
         {/* ============================================================= */}
         {/* SNOW SPECKS on ground                                         */}
         {/* ============================================================= */}
-        {SNOW_SPECKS.map((s, i) => (
+        {venue.snowSpecks.map((s, i) => (
           <circle key={`snow-${i}`} cx={s.x} cy={s.y} r={s.r}
             fill={BRAND.white} opacity={s.opacity}
           />
@@ -512,13 +596,9 @@ export default function SkiJumpScene({ children }) {
         })()}
 
         {/* ============================================================= */}
-        {/* FLOODLIGHTS — 3 poles with dramatic beams                     */}
+        {/* FLOODLIGHTS — poles with dramatic beams                       */}
         {/* ============================================================= */}
-        {[
-          { x: 130, baseY: GAME_H - 55, h: 160 },
-          { x: 330, baseY: GAME_H - 55, h: 140 },
-          { x: 560, baseY: GAME_H - 55, h: 130 },
-        ].map((light, i) => (
+        {venue.floodlights.map((light, i) => (
           <g key={`flood-${i}`}>
             {/* Pole */}
             <rect x={light.x - 1.5} y={light.baseY - light.h} width={3} height={light.h} fill="#4B5563" />
@@ -546,7 +626,7 @@ export default function SkiJumpScene({ children }) {
         {/* ============================================================= */}
         {/* SPECTATORS (crowd dots near outrun) — extended                */}
         {/* ============================================================= */}
-        {SPECTATORS.map((p, i) => (
+        {venue.spectators.map((p, i) => (
           <circle key={`spec-${i}`} cx={p.x} cy={p.y} r={p.r}
             fill={p.colour} opacity="0.7"
           />
@@ -555,14 +635,14 @@ export default function SkiJumpScene({ children }) {
         {/* ============================================================= */}
         {/* CROWD BARRIER line — extended                                 */}
         {/* ============================================================= */}
-        <line x1={100} y1={GAME_H - 30} x2={SCENE_W - 60} y2={GAME_H - 30}
+        <line x1={100} y1={GAME_H - 30} x2={sceneW - 60} y2={GAME_H - 30}
           stroke="#475569" strokeWidth="1" opacity="0.5"
         />
 
         {/* ============================================================= */}
         {/* BANNERS (BrandedAI Sponsors)                                  */}
         {/* ============================================================= */}
-        {[140, 240, 360, 480, 600].map((bx, i) => (
+        {venue.banners.map((bx, i) => (
           <g key={`banner-${i}`}>
             <rect x={bx} y={GAME_H - 35} width={46} height={10} fill={BRAND.blueDark} rx={1} opacity="0.9" />
             <text x={bx + 23} y={GAME_H - 28} fill={BRAND.white} fontSize="5" fontFamily="'Open Sans', sans-serif" fontWeight="800" textAnchor="middle" letterSpacing="0.5px">
@@ -574,12 +654,12 @@ export default function SkiJumpScene({ children }) {
         {/* ============================================================= */}
         {/* RAMP TOP PLATFORM (starting gate area)                        */}
         {/* ============================================================= */}
-        <rect x={RAMP_TOP.x - 8} y={RAMP_TOP.y - 8} width={40} height={10} rx={2}
+        <rect x={rampTop.x - 8} y={rampTop.y - 8} width={40} height={10} rx={2}
           fill="#475569" stroke="#64748B" strokeWidth="0.5"
         />
-        <rect x={RAMP_TOP.x - 10} y={RAMP_TOP.y - 14} width={3} height={16} fill="#64748B" />
-        <rect x={RAMP_TOP.x + 30} y={RAMP_TOP.y - 12} width={3} height={14} fill="#64748B" />
-        <line x1={RAMP_TOP.x - 10} y1={RAMP_TOP.y - 14} x2={RAMP_TOP.x + 33} y2={RAMP_TOP.y - 12}
+        <rect x={rampTop.x - 10} y={rampTop.y - 14} width={3} height={16} fill="#64748B" />
+        <rect x={rampTop.x + 30} y={rampTop.y - 12} width={3} height={14} fill="#64748B" />
+        <line x1={rampTop.x - 10} y1={rampTop.y - 14} x2={rampTop.x + 33} y2={rampTop.y - 12}
           stroke="#64748B" strokeWidth="1.5"
         />
       </svg>
@@ -0,0 +1,246 @@
+// =============================================================================
+// AI Ski Jump Championship — Team Event Set-up
+// Two to four teams: a name, a colour and four members each, in the order
+// the members jump.
+// =============================================================================
+
+import { useEffect, useState } from 'react'
+import { BRAND } from './constants'
+import { MAX_NAME_LENGTH } from './player'
+import {
+  MAX_TEAMS,
+  MIN_TEAMS,
+  TEAM_COLOURS,
+  TEAM_SIZE,
+  createTeam,
+  getFinalistCount,
+  sanitizeTeams,
+} from './teamEvent'
+
+const FONT = "'Open Sans','Segoe UI',system-ui,sans-serif"
+const DISPLAY_FONT = "'Barlow Condensed','Open Sans',system-ui,sans-serif"
+
+const smallButtonStyle = {
+  background: 'transparent',
+  border: 'none',
+  padding: '6px 12px',
+  fontSize: '13px',
+  fontWeight: 700,
+  color: BRAND.blueLight,
+  cursor: 'pointer',
+  fontFamily: FONT,
+}
+
+function inputStyle(colour) {
+  return {
+    width: '100%',
+    minWidth: 0,
+    padding: '8px 10px',
+    borderRadius: '8px',
+    border: `1px solid ${colour}88`,
+    background: 'rgba(255,255,255,0.06)',
+    color: BRAND.white,
+    fontSize: '14px',
+    fontWeight: 600,
+    fontFamily: FONT,
+    outline: 'none',
+    boxSizing: 'border-box',
+  }
+}
+
+// ---------------------------------------------------------------------------
+// One team's card
+// ---------------------------------------------------------------------------
+function TeamCard({ team, index, onChange, onRemove }) {
+  const set = (patch) => onChange({ ...team, ...patch })
+  return (
+    <div style={{
+      width: '100%',
+      padding: '12px',
+      borderRadius: '12px',
+      background: 'rgba(255,255,255,0.04)',
+      borderLeft: `4px solid ${team.colour}`,
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '8px',
+      boxSizing: 'border-box',
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+        <input
+          value={team.name}
+          onChange={(e) => set({ name: e.target.value })}
+          maxLength={MAX_NAME_LENGTH * 2}
+          placeholder={`Team ${index + 1}`}
+          aria-label={`Team ${index + 1} name`}
+          style={{ ...inputStyle(team.colour), fontSize: '16px', fontWeight: 800 }}
+        />
+        {onRemove && (
+          <button
+            onClick={onRemove}
+            aria-label={`Remove team ${index + 1}`}
+            style={{ ...smallButtonStyle, color: BRAND.gray, padding: '6px 8px' }}
+          >
+            {'✕'}
+          </button>
+        )}
+      </div>
+
+      {/* Colour swatches */}
+      <div style={{ display: 'flex', gap: '6px' }}>
+        {TEAM_COLOURS.map((colour) => (
+          <button
+            key={colour}
+            onClick={() => set({ colour })}
+            aria-label={`Colour ${colour}`}
+            aria-pressed={team.colour === colour}
+            style={{
+              width: '22px',
+              height: '22px',
+              borderRadius: '50%',
+              background: colour,
+              border: team.colour === colour ? `2px solid ${BRAND.white}` : '2px solid transparent',
+              cursor: 'pointer',
+              padding: 0,
+            }}
+          />
+        ))}
+      </div>
+
+      {/* Members, in jumping order */}
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '6px' }}>
+        {team.members.map((member, m) => (
+          <input
+            key={m}
+            value={member}
+            onChange={(e) => set({ members: team.members.map((v, j) => (j === m ? e.target.value : v)) })}
+            maxLength={MAX_NAME_LENGTH * 2}
+            placeholder={`Jumper ${m + 1}`}
+            aria-label={`Team ${index + 1} jumper ${m + 1}`}
+            style={inputStyle(team.colour)}
+          />
+        ))}
+      </div>
+    </div>
+  )
+}
+
+// ---------------------------------------------------------------------------
+// TeamsScreen component
+// ---------------------------------------------------------------------------
+/**
+ * teams      teams from last time — the form starts from them
+ * onConfirm  called with the cleaned-up teams (see sanitizeTeams)
+ */
+export default function TeamsScreen({ teams, onConfirm, onBack }) {
+  const [draft, setDraft] = useState(() => {
+    const start = teams.slice(0, MAX_TEAMS)
+    while (start.length < MIN_TEAMS) start.push(createTeam(start.length))
+    return start
+  })
+  const cutCount = draft.length - getFinalistCount(draft.length)
+
+  // Unlock body scroll so the form can scroll on mobile
+  useEffect(() => {
+    document.body.style.overflow = 'auto'
+    document.body.style.position = 'static'
+    return () => {
+      document.body.style.overflow = 'hidden'
+      document.body.style.position = 'fixed'
+    }
+  }, [])
+
+  useEffect(() => {
+    const handler = (e) => {
+      if (e.code === 'Escape') onBack()
+    }
+    window.addEventListener('keydown', handler)
+    return () => window.removeEventListener('keydown', handler)
+  }, [onBack])
+
+  return (
+    <div style={{
+      width: '100%',
+      minHeight: '100vh',
+      background: `linear-gradient(160deg, ${BRAND.dark} 0%, #0f1a2e 50%, ${BRAND.darkMid} 100%)`,
+      display: 'flex',
+      flexDirection: 'column',
+      alignItems: 'center',
+      fontFamily: FONT,
+      color: BRAND.white,
+      padding: '24px',
+      boxSizing: 'border-box',
+    }}>
+      <div style={{
+        maxWidth: '440px',
+        width: '100%',
+        display: 'flex',
+        flexDirection: 'column',
+        alignItems: 'center',
+        gap: '12px',
+      }}>
+        {/* ---- Header ---- */}
+        <h1 style={{
+          fontSize: '36px',
+          fontWeight: 800,
+          fontFamily: DISPLAY_FONT,
+          letterSpacing: '2px',
+          textTransform: 'uppercase',
+          margin: '8px 0 0',
+        }}>
+          🚩 Team Event
+        </h1>
+        <div style={{ fontSize: '12px', fontWeight: 600, color: BRAND.gray, textAlign: 'center' }}>
+          {MIN_TEAMS}–{MAX_TEAMS} teams of {TEAM_SIZE} &bull; two series &bull; {cutCount === 0
+            ? `no cut with ${draft.length} teams`
+            : `the bottom ${cutCount === 1 ? 'team is' : `${cutCount} teams are`} cut after series one`}
+        </div>
+
+        {draft.map((team, i) => (
+          <TeamCard
+            key={i}
+            team={team}
+            index={i}
+            onChange={(next) => setDraft((prev) => prev.map((t, j) => (j === i ? next : t)))}
+            onRemove={draft.length > MIN_TEAMS ? () => setDraft((prev) => prev.filter((_, j) => j !== i)) : null}
+          />
+        ))}
+        {draft.length < MAX_TEAMS && (
+          <button
+            onClick={() => setDraft((prev) => {
+              // First colour no other team has
+              const colour = TEAM_COLOURS.find((c) => !prev.some((t) => t.colour === c)) || TEAM_COLOURS[0]
+              return [...prev, { ...createTeam(prev.length), colour }]
+            })}
+            style={smallButtonStyle}
+          >
+            + Add team
+          </button>
+        )}
+
+        <button
+          onClick={() => onConfirm(sanitizeTeams(draft))}
+          style={{
+            width: '100%',
+            marginTop: '8px',
+            background: `linear-gradient(135deg, ${BRAND.blue}, ${BRAND.purple})`,
+            border: 'none',
+            borderRadius: '12px',
+            padding: '14px 32px',
+            fontSize: '18px',
+            fontWeight: 900,
+            color: BRAND.white,
+            cursor: 'pointer',
+            fontFamily: FONT,
+            letterSpacing: '2px',
+            textTransform: 'uppercase',
+          }}
+        >
+          Pick Jumpers
+        </button>
+        <button onClick={onBack} style={smallButtonStyle}>
+          Back
+        </button>
+      </div>
+    </div>
+  )
+}
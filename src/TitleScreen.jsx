@@ -1,21 +1,60 @@
 import { useEffect, useState } from 'react'
-import { BRAND, GAME_W, GAME_H, GRADE_TIERS } from './constants'
+import { BRAND, GAME_W, GAME_H, HILLS, SCORING_SYSTEMS, getHill, isHillUnlocked } from './constants'
 import SkiJumpScene from './SkiJumpScene'
+import { createRng } from './rng'
 
 const FONT = "'Open Sans','Segoe UI',system-ui,sans-serif"
 const DISPLAY_FONT = "'Barlow Condensed','Open Sans',system-ui,sans-serif"
 
-// Generate snowflakes once (static array)
+const SCORING_LABEL = {
+  arcade: { name: 'Arcade', hint: 'Distance × landing, best 3' },
+  official: { name: 'Official', hint: 'Points, judges & wind, all 5' },
+}
+
+// Leaderboard and trophy links under the play buttons
+const linkButtonStyle = {
+  background: 'transparent',
+  border: 'none',
+  padding: '6px 12px',
+  fontSize: '13px',
+  fontWeight: 700,
+  color: BRAND.blueLight,
+  cursor: 'pointer',
+  letterSpacing: '1px',
+  fontFamily: FONT,
+}
+
+// World Cup, pass-and-play and the team event, side by side under the
+// Daily Jump — wrapping two to a row on narrow screens
+const modeButtonStyle = {
+  flex: '1 1 140px',
+  background: `${BRAND.blue}26`,
+  border: `1px solid ${BRAND.blue}`,
+  borderRadius: '12px',
+  padding: '10px 16px',
+  fontSize: '14px',
+  fontWeight: 800,
+  color: BRAND.blueLight,
+  cursor: 'pointer',
+  letterSpacing: '1px',
+  fontFamily: FONT,
+  lineHeight: 1.4,
+}
+
+// Generate snowflakes once (static array, fixed seed)
+const snowRng = createRng(2026)
 const SNOWFLAKES = Array.from({ length: 28 }, (_, i) => ({
   id: i,
-  left: `${Math.random() * 100}%`,
-  size: 2 + Math.random() * 4,
-  duration: 6 + Math.random() * 8,
-  delay: Math.random() * 12,
-  opacity: 0.15 + Math.random() * 0.55,
+  left: `${snowRng() * 100}%`,
+  size: 2 + snowRng() * 4,
+  duration: 6 + snowRng() * 8,
+  delay: snowRng() * 12,
+  opacity: 0.15 + snowRng() * 0.55,
 }))
 
-export default function TitleScreen({ onStart, bestScore, gamesPlayed, challengerName, challengerScore }) {
+export default function TitleScreen({ onStart, onStartDaily, dailyNumber, dailyToday, hill, bestScores, onSelectHill, scoring, onSelectScoring, gamesPlayed, challengerName, challengerScore, challengeHill, challengeVerified, challengeClaimedScore, onDismissChallenge, weekBest, onOpenLeaderboard, onOpenSeason, seasonStatus, onOpenHotseat, onOpenTeams, onOpenTrophies, trophyCount = 0, trophyTotal = 0 }) {
+  const bestScore = bestScores?.[hill.id] ?? null
+
   const [isDesktop, setIsDesktop] = useState(false)
 
   useEffect(() => {
@@ -72,7 +111,7 @@ export default function TitleScreen({ onStart, bestScore, gamesPlayed, challenge
           transformOrigin: 'center center',
           filter: 'blur(1.5px)',
         }}>
-          <SkiJumpScene>{null}</SkiJumpScene>
+          <SkiJumpScene hill={hill}>{null}</SkiJumpScene>
         </div>
       </div>
 
@@ -227,7 +266,46 @@ export default function TitleScreen({ onStart, bestScore, gamesPlayed, challenge
             maxWidth: '360px',
             boxSizing: 'border-box',
           }}>
-            {challengerName} jumped {challengerScore}m. Can you beat it?
+            {challengerScore != null
+              ? `${challengerName} jumped ${challengerScore}m. Can you beat it?`
+              : `Challenge from ${challengerName}`}
+            {challengeVerified === true && (
+              <div style={{ fontSize: '11px', fontWeight: 600, marginTop: '4px', color: BRAND.green }}>
+                {'\u2714'} Verified by replay
+              </div>
+            )}
+            {challengeVerified === false && (
+              <div style={{ fontSize: '11px', fontWeight: 600, marginTop: '4px', color: BRAND.red }}>
+                {'\u26A0'} Link claimed {challengeClaimedScore}m — the replay doesn't match
+              </div>
+            )}
+            {challengeVerified == null && (
+              <div style={{ fontSize: '11px', fontWeight: 600, marginTop: '4px', color: BRAND.grayLight }}>
+                Old link — no score to beat
+              </div>
+            )}
+            {challengeHill && (
+              <div style={{ fontSize: '11px', fontWeight: 600, marginTop: '4px', color: BRAND.grayLight }}>
+                {challengeHill.emoji} {challengeHill.name} &bull; same wind, round for round
+                {' '}&bull;{' '}
+                <button
+                  onClick={onDismissChallenge}
+                  style={{
+                    background: 'none',
+                    border: 'none',
+                    padding: 0,
+                    color: BRAND.grayLight,
+                    fontSize: '11px',
+                    fontWeight: 600,
+                    textDecoration: 'underline',
+                    cursor: 'pointer',
+                    fontFamily: FONT,
+                  }}
+                >
+                  play solo
+                </button>
+              </div>
+            )}
           </div>
         )}
 
@@ -240,12 +318,103 @@ export default function TitleScreen({ onStart, bestScore, gamesPlayed, challenge
           marginBottom: '16px',
           lineHeight: 1.6,
         }}>
-          5 jumps &bull; Best 3 count &bull; Launch, boost mid-air, land
+          5 jumps &bull; Best 3 count &bull; Launch, lean mid-air, land
+        </div>
+
+        {/* Hill picker */}
+        <div style={{
+          animation: 'fadeUp 0.6s ease-out 0.42s both',
+          display: 'flex',
+          gap: '8px',
+          width: '100%',
+          maxWidth: '360px',
+          marginBottom: '16px',
+        }}>
+          {HILLS.map((h) => {
+            const selected = h.id === hill.id
+            const unlocked = isHillUnlocked(h, bestScores)
+            const pb = bestScores?.[h.id]
+            return (
+              <button
+                key={h.id}
+                onClick={() => unlocked && onSelectHill(h.id)}
+                disabled={!unlocked}
+                aria-pressed={selected}
+                style={{
+                  flex: 1,
+                  padding: '8px 4px',
+                  borderRadius: '10px',
+                  background: selected ? `${BRAND.blue}40` : 'rgba(255,255,255,0.05)',
+                  border: `1px solid ${selected ? BRAND.blue : 'rgba(255,255,255,0.12)'}`,
+                  color: BRAND.white,
+                  cursor: unlocked ? 'pointer' : 'not-allowed',
+                  opacity: unlocked ? 1 : 0.45,
+                  fontFamily: FONT,
+                  lineHeight: 1.3,
+                }}
+              >
+                <div style={{ fontSize: '20px' }}>{unlocked ? h.emoji : '\uD83D\uDD12'}</div>
+                <div style={{ fontSize: '12px', fontWeight: 700 }}>{h.name}</div>
+                <div style={{ fontSize: '10px', color: BRAND.grayLight }}>
+                  K{h.profile.kPoint} &bull; HS{h.profile.hillSize}
+                </div>
+                <div style={{ fontSize: '10px', fontWeight: 600, color: unlocked ? BRAND.blueLight : BRAND.gray }}>
+                  {unlocked
+                    ? (pb ? `PB ${pb}m` : '\u00A0')
+                    : `${h.unlock.minScore}m on ${getHill(h.unlock.hillId).name}`}
+                </div>
+              </button>
+            )
+          })}
+        </div>
+
+        {/* Scoring system */}
+        <div
+          role="radiogroup"
+          aria-label="Scoring"
+          style={{
+            animation: 'fadeUp 0.6s ease-out 0.44s both',
+            display: 'flex',
+            width: '100%',
+            maxWidth: '360px',
+            marginBottom: '16px',
+            padding: '3px',
+            borderRadius: '10px',
+            background: 'rgba(255,255,255,0.05)',
+            border: '1px solid rgba(255,255,255,0.12)',
+            boxSizing: 'border-box',
+          }}
+        >
+          {SCORING_SYSTEMS.map((id) => {
+            const selected = id === scoring
+            return (
+              <button
+                key={id}
+                role="radio"
+                aria-checked={selected}
+                onClick={() => onSelectScoring(id)}
+                style={{
+                  flex: 1,
+                  padding: '6px 4px',
+                  borderRadius: '8px',
+                  background: selected ? `${BRAND.blue}40` : 'transparent',
+                  border: 'none',
+                  color: selected ? BRAND.white : BRAND.grayLight,
+                  cursor: 'pointer',
+                  fontFamily: FONT,
+                  lineHeight: 1.3,
+                }}
+              >
+                <div style={{ fontSize: '12px', fontWeight: 700 }}>{SCORING_LABEL[id].name}</div>
+                <div style={{ fontSize: '10px', color: BRAND.grayLight }}>{SCORING_LABEL[id].hint}</div>
+              </button>
+            )
+          })}
         </div>
 
         {/* Best score */}
         {bestScore != null && bestScore > 0 ? (() => {
-          const nextTier = [...GRADE_TIERS].reverse().find(t => t.min > bestScore)
+          const nextTier = [...hill.gradeTiers].reverse().find(t => t.min > bestScore)
           return (
             <div style={{
               animation: 'fadeUp 0.6s ease-out 0.45s both',
@@ -259,8 +428,18 @@ export default function TitleScreen({ onStart, bestScore, gamesPlayed, challenge
                 letterSpacing: '0.5px',
                 marginBottom: '4px',
               }}>
-                Personal Best: {bestScore}m
+                {hill.name} Best: {bestScore}m
               </div>
+              {weekBest != null && (
+                <div style={{
+                  fontSize: '12px',
+                  fontWeight: 600,
+                  color: BRAND.grayLight,
+                  marginBottom: '2px',
+                }}>
+                  This week's best: {weekBest.total}m{weekBest.name ? ` by ${weekBest.name}` : ''}
+                </div>
+              )}
               {nextTier && (
                 <div style={{
                   fontSize: '12px',
@@ -299,6 +478,83 @@ export default function TitleScreen({ onStart, bestScore, gamesPlayed, challenge
           START JUMPING
         </button>
 
+        {/* Daily Jump — same wind for everyone today, one attempt */}
+        <button
+          onClick={onStartDaily}
+          disabled={!!dailyToday}
+          style={{
+            animation: 'fadeUp 0.6s ease-out 0.6s both',
+            background: dailyToday ? 'rgba(255,255,255,0.05)' : `${BRAND.orange}26`,
+            border: `1px solid ${dailyToday ? 'rgba(255,255,255,0.12)' : BRAND.orange}`,
+            borderRadius: '12px',
+            padding: '10px 24px',
+            fontSize: '14px',
+            fontWeight: 800,
+            color: dailyToday ? BRAND.grayLight : BRAND.orange,
+            cursor: dailyToday ? 'default' : 'pointer',
+            letterSpacing: '1px',
+            fontFamily: FONT,
+            marginBottom: '12px',
+            lineHeight: 1.4,
+          }}
+        >
+          {dailyToday ? (
+            <>
+              Daily Jump #{dailyToday.number} &bull;{' '}
+              {dailyToday.total != null ? `${dailyToday.total}m` : 'did not finish'}
+              <div style={{ fontSize: '11px', fontWeight: 600, color: BRAND.gray, letterSpacing: '0.5px' }}>
+                Come back tomorrow
+              </div>
+            </>
+          ) : (
+            <>{'\uD83D\uDCC5'} DAILY JUMP #{dailyNumber}</>
+          )}
+        </button>
+
+        {/* World Cup season; pass-and-play and teams for a crowd round one device */}
+        <div style={{
+          animation: 'fadeUp 0.6s ease-out 0.61s both',
+          display: 'flex',
+          flexWrap: 'wrap',
+          gap: '8px',
+          marginBottom: '12px',
+        }}>
+          <button onClick={onOpenSeason} style={modeButtonStyle}>
+            {'\uD83C\uDF0D'} WORLD CUP
+            {seasonStatus && (
+              <div style={{ fontSize: '11px', fontWeight: 600, color: BRAND.gray, letterSpacing: '0.5px' }}>
+                {seasonStatus}
+              </div>
+            )}
+          </button>
+          <button onClick={onOpenHotseat} style={modeButtonStyle}>
+            {'\uD83D\uDC65'} PASS &amp; PLAY
+            <div style={{ fontSize: '11px', fontWeight: 600, color: BRAND.gray, letterSpacing: '0.5px' }}>
+              2–4 players
+            </div>
+          </button>
+          <button onClick={onOpenTeams} style={modeButtonStyle}>
+            {'\uD83D\uDEA9'} TEAM EVENT
+            <div style={{ fontSize: '11px', fontWeight: 600, color: BRAND.gray, letterSpacing: '0.5px' }}>
+              2–4 teams of 4
+            </div>
+          </button>
+        </div>
+
+        <div style={{
+          animation: 'fadeUp 0.6s ease-out 0.62s both',
+          display: 'flex',
+          gap: '4px',
+          marginBottom: '8px',
+        }}>
+          <button onClick={onOpenLeaderboard} style={linkButtonStyle}>
+            {'\uD83C\uDFC6'} LEADERBOARD
+          </button>
+          <button onClick={onOpenTrophies} style={linkButtonStyle}>
+            {'\uD83C\uDFC5'} TROPHIES{trophyCount > 0 ? ` ${trophyCount}/${trophyTotal}` : ''}
+          </button>
+        </div>
+
         {isDesktop && (
           <div style={{
             animation: 'fadeUp 0.6s ease-out 0.65s both',
@@ -0,0 +1,190 @@
+// =============================================================================
+// AI Ski Jump Championship — Trophy Cabinet
+// Every achievement by category: the earned ones lit with the day they
+// were earned, the rest greyed out with what it takes — and, for the
+// career ones, how far along they are.
+// =============================================================================
+
+import { useEffect } from 'react'
+import { BRAND } from './constants'
+import { ACHIEVEMENTS, ACHIEVEMENT_CATEGORIES } from './achievements'
+
+const FONT = "'Open Sans','Segoe UI',system-ui,sans-serif"
+const DISPLAY_FONT = "'Barlow Condensed','Open Sans',system-ui,sans-serif"
+
+function formatEarned(iso) {
+  const date = new Date(iso)
+  if (Number.isNaN(date.getTime())) return ''
+  return date.toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' })
+}
+
+// ---------------------------------------------------------------------------
+// One trophy
+// ---------------------------------------------------------------------------
+function Trophy({ achievement, earnedAt, career }) {
+  const earned = earnedAt != null
+  const goal = !earned && achievement.goal ? achievement.goal(career) : null
+  return (
+    <div style={{
+      display: 'flex',
+      alignItems: 'center',
+      gap: '10px',
+      padding: '10px 12px',
+      borderRadius: '10px',
+      background: earned ? `${BRAND.orange}1a` : `${BRAND.darkMid}88`,
+      border: `1px solid ${earned ? `${BRAND.orange}88` : 'transparent'}`,
+      boxSizing: 'border-box',
+    }}>
+      <div style={{
+        fontSize: '24px',
+        lineHeight: 1,
+        filter: earned ? 'none' : 'grayscale(1)',
+        opacity: earned ? 1 : 0.4,
+      }}>
+        {achievement.emoji}
+      </div>
+      <div style={{ flex: 1, minWidth: 0 }}>
+        <div style={{ fontSize: '13px', fontWeight: 700, color: earned ? BRAND.white : BRAND.grayLight }}>
+          {achievement.name}
+        </div>
+        <div style={{ fontSize: '11px', fontWeight: 600, color: BRAND.gray }}>{achievement.desc}</div>
+        {goal && (
+          <div style={{ display: 'flex', alignItems: 'center', gap: '6px', marginTop: '4px' }}>
+            <div style={{ flex: 1, height: '4px', borderRadius: '2px', background: 'rgba(255,255,255,0.1)' }}>
+              <div style={{
+                width: `${Math.min(1, goal.current / goal.target) * 100}%`,
+                height: '100%',
+                borderRadius: '2px',
+                background: BRAND.purpleLight,
+              }} />
+            </div>
+            <div style={{ fontSize: '10px', fontWeight: 600, color: BRAND.gray, whiteSpace: 'nowrap' }}>
+              {goal.current.toLocaleString()} / {goal.target.toLocaleString()}
+            </div>
+          </div>
+        )}
+      </div>
+      {earned && (
+        <div style={{ fontSize: '10px', fontWeight: 600, color: BRAND.orange, whiteSpace: 'nowrap' }}>
+          {formatEarned(earnedAt)}
+        </div>
+      )}
+    </div>
+  )
+}
+
+// ---------------------------------------------------------------------------
+// TrophyCabinet component
+// ---------------------------------------------------------------------------
+/**
+ * earned  { [achievement id]: ISO time earned }
+ * career  { progress, gamesPlayed, bestScores } — for the progress bars
+ */
+export default function TrophyCabinet({ earned, career, onBack }) {
+  const count = ACHIEVEMENTS.filter((a) => earned[a.id] != null).length
+
+  // Unlock body scroll so the cabinet can scroll on mobile
+  useEffect(() => {
+    document.body.style.overflow = 'auto'
+    document.body.style.position = 'static'
+    return () => {
+      document.body.style.overflow = 'hidden'
+      document.body.style.position = 'fixed'
+    }
+  }, [])
+
+  return (
+    <div style={{
+      width: '100%',
+      minHeight: '100vh',
+      background: `linear-gradient(160deg, ${BRAND.dark} 0%, #0f1a2e 50%, ${BRAND.darkMid} 100%)`,
+      display: 'flex',
+      flexDirection: 'column',
+      alignItems: 'center',
+      fontFamily: FONT,
+      color: BRAND.white,
+      padding: '24px',
+      boxSizing: 'border-box',
+    }}>
+      <div style={{
+        maxWidth: '440px',
+        width: '100%',
+        display: 'flex',
+        flexDirection: 'column',
+        alignItems: 'center',
+        gap: '12px',
+      }}>
+        {/* ---- Header ---- */}
+        <h1 style={{
+          fontSize: '36px',
+          fontWeight: 800,
+          fontFamily: DISPLAY_FONT,
+          letterSpacing: '2px',
+          textTransform: 'uppercase',
+          margin: '8px 0 0',
+        }}>
+          🏅 Trophy Cabinet
+        </h1>
+        <div style={{ fontSize: '12px', fontWeight: 600, color: BRAND.gray }}>
+          {count} of {ACHIEVEMENTS.length} earned
+        </div>
+        <div style={{ width: '100%', height: '6px', borderRadius: '3px', background: 'rgba(255,255,255,0.08)' }}>
+          <div style={{
+            width: `${(count / ACHIEVEMENTS.length) * 100}%`,
+            height: '100%',
+            borderRadius: '3px',
+            background: `linear-gradient(90deg, ${BRAND.orange}, ${BRAND.purple})`,
+          }} />
+        </div>
+
+        {/* ---- Categories ---- */}
+        {ACHIEVEMENT_CATEGORIES.map((cat) => {
+          const list = ACHIEVEMENTS.filter((a) => a.category === cat.id)
+          const got = list.filter((a) => earned[a.id] != null).length
+          return (
+            <div key={cat.id} style={{ width: '100%', display: 'flex', flexDirection: 'column', gap: '6px' }}>
+              <div style={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                fontSize: '11px',
+                fontWeight: 800,
+                letterSpacing: '1.5px',
+                textTransform: 'uppercase',
+                color: BRAND.grayLight,
+                marginTop: '8px',
+              }}>
+                <span>{cat.label}</span>
+                <span style={{ color: got === list.length ? BRAND.orange : BRAND.gray }}>
+                  {got}/{list.length}
+                </span>
+              </div>
+              {list.map((a) => (
+                <Trophy key={a.id} achievement={a} earnedAt={earned[a.id]} career={career} />
+              ))}
+            </div>
+          )
+        })}
+
+        <button
+          onClick={onBack}
+          style={{
+            width: '100%',
+            marginTop: '8px',
+            background: `linear-gradient(135deg, ${BRAND.blue}, ${BRAND.blueDark})`,
+            border: 'none',
+            borderRadius: '12px',
+            padding: '14px 32px',
+            fontSize: '16px',
+            fontWeight: 700,
+            color: BRAND.white,
+            cursor: 'pointer',
+            fontFamily: FONT,
+            letterSpacing: '0.5px',
+          }}
+        >
+          Back
+        </button>
+      </div>
+    </div>
+  )
+}
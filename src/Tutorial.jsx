@@ -1,10 +1,12 @@
 // =============================================================================
 // AI Ski Jump Championship — Tutorial Screen
-// Overlay explaining the two-tap mechanics before the first game.
+// Overlay explaining the launch, lean and landing controls, and what the
+// jumpers' stats do, before the first game.
 // =============================================================================
 
 import { useState, useEffect } from 'react'
-import { BRAND, GAME_W, GAME_H } from './constants'
+import { BRAND, GAME_W, GAME_H, JUMPERS } from './constants'
+import JumperStats from './JumperStats'
 
 const FONT = "'Open Sans','Segoe UI',system-ui,sans-serif"
 const DISPLAY_FONT = "'Barlow Condensed','Open Sans',system-ui,sans-serif"
@@ -25,7 +27,7 @@ export default function Tutorial({ onDismiss, gameScale }) {
       if (e.type === 'keydown' && e.code !== 'Space') return
       e.preventDefault() // prevent space from scrolling
       
-      if (step === 2) { // 3 steps total
+      if (step === 3) { // 4 steps total
         onDismiss()
       } else {
         setStep(s => s + 1)
@@ -69,13 +71,16 @@ export default function Tutorial({ onDismiss, gameScale }) {
       )
     },
     {
-      title: "2. MID-AIR BOOST",
-      desc: isDesktop ? "Press any Arrow key or Space to boost distance mid-air (max 3 times)!" : "Tap the screen mid-air to boost your distance (max 3 times)!",
+      title: "2. LEAN IN THE AIR",
+      desc: isDesktop
+        ? "Hold the Arrow keys to lean back or forward. Leaning back gives more lift up to the stall, but hold it too long and you'll over-rotate!"
+        : "Hold and drag up or down (or tilt your phone) to lean back or forward. Leaning back gives more lift up to the stall, but hold it too long and you'll over-rotate! Once the landing ring shows, a new touch lands you — start your drag before it, or tilt.",
       visual: (
         <div style={{ position: 'relative', width: 100, height: 100, margin: '0 auto', display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+          {/* Skis rocking between back and forward lean */}
           <div style={{
-            width: 40, height: 40, borderRadius: '50%', background: BRAND.orange,
-            animation: 'pulse 0.5s ease-in-out infinite alternate',
+            width: 70, height: 8, borderRadius: 4, background: BRAND.orange,
+            animation: 'leanRock 2s ease-in-out infinite alternate',
             boxShadow: `0 0 15px ${BRAND.orange}`
           }} />
         </div>
@@ -99,6 +104,16 @@ export default function Tutorial({ onDismiss, gameScale }) {
           }} />
         </div>
       )
+    },
+    {
+      title: "4. KNOW YOUR JUMPERS",
+      desc: "You line up five AI jumpers, one per round. Speed adds in-run speed, Lift carries you further, Stability widens the landing windows and Lean makes the body answer quicker — and over-rotate sooner. Put your best where you'll push hardest, and unlock more as your career grows.",
+      visual: (
+        <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', gap: 14, height: 100 }}>
+          <div style={{ fontSize: 36 }}>{JUMPERS[1].emoji}</div>
+          <JumperStats jumper={JUMPERS[1]} />
+        </div>
+      )
     }
   ]
 
@@ -125,6 +140,10 @@ export default function Tutorial({ onDismiss, gameScale }) {
           80% { transform: scale(0.35); opacity: 1; }
           100% { transform: scale(0.35); opacity: 0; }
         }
+        @keyframes leanRock {
+          0% { transform: rotate(-25deg); }
+          100% { transform: rotate(20deg); }
+        }
         @keyframes dropLand {
           0% { transform: translateY(0); opacity: 0; }
           20% { opacity: 1; }
@@ -0,0 +1,136 @@
+// =============================================================================
+// AI Ski Jump Championship — Wind Flags
+// A flag at each distance marker down the landing hill, showing the wind
+// field the jumper flies through: the cloth streams the way the wind blows
+// there, longer the stronger it is — green for headwind, red for tailwind.
+// Before take-off the flags show the gusts waiting at the moment of launch;
+// in flight they follow the jumper's clock, so what you see is what the
+// physics is using. Drawn into the scrolling scene as a child of
+// SkiJumpScene; animated by its own rAF loop with direct DOM writes.
+// =============================================================================
+
+import { useEffect, useMemo, useRef } from 'react'
+import { BRAND, GAME_H } from './constants'
+import { getHillProfile } from './physics'
+
+const POLE_H = 18
+const CLOTH_H = 6
+const CLOTH_MIN = 4 // px of cloth in still air
+const CLOTH_PER_MS = 3.2 // px of extra cloth per m/s
+
+// ---------------------------------------------------------------------------
+// Wind labels (shared with the HUD)
+// ---------------------------------------------------------------------------
+
+/** Colour for a wind speed in m/s (negative = headwind). */
+export function windColour(wind) {
+  if (wind <= -0.05) return BRAND.green
+  if (wind >= 0.05) return BRAND.red
+  return BRAND.grayLight
+}
+
+/** A wind speed as "2.3m/s ← headwind" / "1.1m/s → tailwind". */
+export function formatWind(wind) {
+  const speed = Math.abs(wind).toFixed(1)
+  if (speed === '0.0') return '0.0m/s'
+  return wind > 0 ? `${speed}m/s → tailwind` : `${speed}m/s ← headwind`
+}
+
+// ---------------------------------------------------------------------------
+// Component
+// ---------------------------------------------------------------------------
+/**
+ * field      the round's wind field (see createWindField), or null to hide
+ * flying     true while the jumper is in the air
+ * flightRef  ref to the live flight state — its flightTime is the clock
+ */
+export default function WindFlags({ hill, field, flying, flightRef }) {
+  const clothRefs = useRef([])
+  const speedRefs = useRef([])
+
+  // Flags stand at the hill's distance markers, in the physics' metres
+  // (horizontal from the lip) so each one reads the wind the jumper meets
+  // above it
+  const flags = useMemo(() => {
+    const profile = getHillProfile(hill)
+    return hill.distanceMarkers
+      .map((m) => {
+        const x = hill.rampLip.x + m * hill.pixelsPerMetre
+        return { m, x, y: profile.yAt(x) }
+      })
+      .filter((f) => f.x < hill.sceneW - 20 && f.y < GAME_H - 30)
+  }, [hill])
+
+  useEffect(() => {
+    if (!field) return undefined
+    let frame = null
+
+    function tick(now) {
+      const seconds = flying ? flightRef.current?.flightTime ?? 0 : 0
+      flags.forEach((f, i) => {
+        const cloth = clothRefs.current[i]
+        if (!cloth) return
+        const wind = field.at(f.m, seconds)
+        const strength = Math.min(Math.abs(wind), 6)
+        const len = (CLOTH_MIN + strength * CLOTH_PER_MS) * (wind < 0 ? -1 : 1)
+        // Cosmetic flutter — quicker and wider the harder it blows
+        const flap = Math.sin(now / (150 - strength * 15) + i * 1.7) * (1 + strength * 0.4)
+        const top = f.y - POLE_H
+        cloth.setAttribute(
+          'points',
+          `${f.x},${top} ${f.x + len},${top + CLOTH_H / 2 + flap} ${f.x},${top + CLOTH_H}`,
+        )
+        cloth.setAttribute('fill', windColour(wind))
+        const speed = speedRefs.current[i]
+        if (speed) speed.textContent = Math.abs(wind).toFixed(1)
+      })
+      frame = requestAnimationFrame(tick)
+    }
+
+    frame = requestAnimationFrame(tick)
+    return () => cancelAnimationFrame(frame)
+  }, [field, flying, flightRef, flags])
+
+  if (!field) return null
+
+  return (
+    <svg
+      viewBox={`0 0 ${hill.sceneW} ${GAME_H}`}
+      style={{
+        position: 'absolute',
+        inset: 0,
+        width: '100%',
+        height: '100%',
+        pointerEvents: 'none',
+        zIndex: 2,
+      }}
+    >
+      {flags.map((f, i) => (
+        <g key={`flag-${f.m}`}>
+          <line
+            x1={f.x} y1={f.y}
+            x2={f.x} y2={f.y - POLE_H}
+            stroke="#CBD5E1" strokeWidth="1" opacity="0.8"
+          />
+          <polygon
+            ref={(el) => { clothRefs.current[i] = el }}
+            points={`${f.x},${f.y - POLE_H} ${f.x},${f.y - POLE_H + CLOTH_H}`}
+            fill={BRAND.grayLight}
+            opacity="0.9"
+          />
+          <text
+            ref={(el) => { speedRefs.current[i] = el }}
+            x={f.x}
+            y={f.y - POLE_H - 3}
+            fill={BRAND.white}
+            fontSize="6"
+            fontFamily="'Open Sans', sans-serif"
+            fontWeight="600"
+            textAnchor="middle"
+            opacity="0.75"
+          />
+        </g>
+      ))}
+    </svg>
+  )
+}
@@ -0,0 +1,355 @@
+// =============================================================================
+// AI Ski Jump Championship — Achievements
+// Pure JavaScript — no React, no DOM, no side effects.
+// The achievement catalogue and the tracker that earns them. The game
+// emits an event at each step — a game starting, each take-off, each
+// landed round and the finished game — and the tracker checks the
+// achievements listening for that event against it and the game so far.
+// Saving what's been earned, and showing it, is up to the caller.
+// =============================================================================
+
+import { HILLS, JUMPERS, ROUNDS_PER_GAME, START_GATES, getGradeRank } from './constants.js'
+import { isJumperUnlocked } from './progress.js'
+import { WORLD_CUP_POINTS } from './season.js'
+
+// ---------------------------------------------------------------------------
+// Events
+// ---------------------------------------------------------------------------
+//   start   { type }                       — a new game; clears the tallies
+//   launch  { type, grade }                — launch grade
+//   round   { type, hill, round, landingGrade, hillZone, distance,
+//             rawDistance, wind, gate, jury, leanChanges, overRotated,
+//             official }                   — one landed round (wind is the
+//             round's mean m/s, negative = headwind; official is from
+//             scoreOfficialJump)
+//   game    { type, hill, mode, scoring, total, grade, isNewRecord,
+//             challengerScore, season, career } — the finished game;
+//             season is { place, champion } for a World Cup event, else
+//             null; career is { progress, gamesPlayed, bestScores,
+//             newUnlocks }
+//
+// Lean corrections stand in for the old mid-air boosts: "without leaning"
+// is the no-boost run.
+
+const TELEMARK = 'telemark'
+const CRASH = 'crash'
+
+function kPoint(hill) {
+  return hill.profile.kPoint
+}
+
+function telemarks(rounds) {
+  return rounds.filter((r) => r.landingGrade === TELEMARK).length
+}
+
+function unlockedJumpers(progress) {
+  return JUMPERS.filter((j) => isJumperUnlocked(j, progress))
+}
+
+// ---------------------------------------------------------------------------
+// Catalogue
+// ---------------------------------------------------------------------------
+// Each achievement: { id, category, emoji, name, desc, on, test, goal? }
+//   on     the event type it listens for
+//   test   (event, game) → earned? — game is { launches, rounds } so far
+//   goal   (career) → { current, target } for the trophy cabinet's
+//          progress bar, on achievements that build up over many games
+export const ACHIEVEMENT_CATEGORIES = [
+  { id: 'launch', label: 'Take-off' },
+  { id: 'landing', label: 'Landing' },
+  { id: 'distance', label: 'Distance' },
+  { id: 'conditions', label: 'Wind & Gates' },
+  { id: 'control', label: 'Flight Control' },
+  { id: 'game', label: 'Competition' },
+  { id: 'career', label: 'Career' },
+]
+
+export const ACHIEVEMENTS = [
+  // ---- Take-off ----
+  {
+    id: 'perfect_launch', category: 'launch', emoji: '🚀',
+    name: 'Clean Take-off', desc: 'Hit a perfect launch',
+    on: 'launch', test: (e) => e.grade === 'perfect',
+  },
+  {
+    id: 'perfect_launch_3', category: 'launch', emoji: '🎯',
+    name: 'In the Groove', desc: 'Three perfect launches in a row',
+    on: 'launch',
+    test: (e, g) => g.launches.length >= 3 && g.launches.slice(-3).every((l) => l === 'perfect'),
+  },
+  {
+    id: 'perfect_launch_all', category: 'launch', emoji: '⏱️',
+    name: 'Metronome', desc: `Perfect launches in all ${ROUNDS_PER_GAME} rounds of a game`,
+    on: 'game',
+    test: (e, g) => g.launches.length === ROUNDS_PER_GAME && g.launches.every((l) => l === 'perfect'),
+  },
+  {
+    id: 'auto_launch', category: 'launch', emoji: '😴',
+    name: 'Asleep at the Lip', desc: 'Let the jumper launch without you',
+    on: 'launch', test: (e) => e.grade === 'miss',
+  },
+
+  // ---- Landing ----
+  {
+    id: 'telemark', category: 'landing', emoji: '🦵',
+    name: 'Telemark!', desc: 'Land a telemark',
+    on: 'round', test: (e) => e.landingGrade === TELEMARK,
+  },
+  {
+    id: 'telemark_3', category: 'landing', emoji: '🎩',
+    name: 'Hat-trick', desc: 'Three telemarks in one game',
+    on: 'round', test: (e, g) => telemarks(g.rounds) >= 3,
+  },
+  {
+    id: 'telemark_5', category: 'landing', emoji: '🖐️',
+    name: 'Telemark ×5', desc: `Telemark all ${ROUNDS_PER_GAME} rounds of a game`,
+    on: 'round', test: (e, g) => telemarks(g.rounds) >= ROUNDS_PER_GAME,
+  },
+  {
+    id: 'no_crash', category: 'landing', emoji: '🧼',
+    name: 'Clean Sheet', desc: 'Finish a game without a crash',
+    on: 'game', test: (e, g) => g.rounds.length > 0 && g.rounds.every((r) => r.landingGrade !== CRASH),
+  },
+  {
+    id: 'all_crash', category: 'landing', emoji: '🧺',
+    name: 'Yard Sale', desc: 'Crash every round of a game',
+    on: 'game', test: (e, g) => g.rounds.length > 0 && g.rounds.every((r) => r.landingGrade === CRASH),
+  },
+  {
+    id: 'beyond_hs', category: 'landing', emoji: '🧗',
+    name: 'Over the Line', desc: 'Land past HS without crashing',
+    on: 'round', test: (e) => e.hillZone === 'beyondHS' && e.landingGrade !== CRASH,
+  },
+
+  // ---- Distance ----
+  {
+    id: 'k_point', category: 'distance', emoji: '🔴',
+    name: 'K-Point', desc: "Fly to any hill's K-point",
+    on: 'round', test: (e) => e.rawDistance >= kPoint(e.hill),
+  },
+  {
+    id: 'hill_size', category: 'distance', emoji: '📏',
+    name: 'Hill Size', desc: "Fly to any hill's HS",
+    on: 'round', test: (e) => e.rawDistance >= e.hill.profile.hillSize,
+  },
+  {
+    id: 'metres_100', category: 'distance', emoji: '💯',
+    name: 'Century', desc: 'Fly 100m',
+    on: 'round', test: (e) => e.rawDistance >= 100,
+  },
+  {
+    id: 'metres_150', category: 'distance', emoji: '🦅',
+    name: 'Big Air', desc: 'Fly 150m',
+    on: 'round', test: (e) => e.rawDistance >= 150,
+  },
+  {
+    id: 'metres_200', category: 'distance', emoji: '✈️',
+    name: 'Double Century', desc: 'Fly 200m',
+    on: 'round', test: (e) => e.rawDistance >= 200,
+  },
+  {
+    id: 'metres_240', category: 'distance', emoji: '🛰️',
+    name: 'Ski Flyer', desc: 'Fly 240m',
+    on: 'round', test: (e) => e.rawDistance >= 240,
+  },
+
+  // ---- Wind & gates ----
+  {
+    id: 'headwind_200', category: 'conditions', emoji: '🌬️',
+    name: 'Riding the Wind', desc: '200m in a headwind',
+    on: 'round', test: (e) => e.rawDistance >= 200 && e.wind < 0,
+  },
+  {
+    id: 'tailwind_k', category: 'conditions', emoji: '🍃',
+    name: 'Against the Odds', desc: 'Reach K with 1.5m/s or more of tailwind',
+    on: 'round', test: (e) => e.rawDistance >= kPoint(e.hill) && e.wind >= 1.5,
+  },
+  {
+    id: 'storm', category: 'conditions', emoji: '⛈️',
+    name: 'Storm Chaser', desc: 'Land without crashing in 3.5m/s of wind or more',
+    on: 'round', test: (e) => Math.abs(e.wind) >= 3.5 && e.landingGrade !== CRASH,
+  },
+  {
+    id: 'jury_gate', category: 'conditions', emoji: '🧑‍⚖️',
+    name: "Jury's Call", desc: 'Jump from a gate the jury set',
+    on: 'round', test: (e) => e.jury,
+  },
+  {
+    id: 'low_gate_k', category: 'conditions', emoji: '🪜',
+    name: 'Less Is More', desc: 'Reach K from three gates below the reference',
+    on: 'round',
+    test: (e) => e.gate <= START_GATES.reference - 3 && e.rawDistance >= kPoint(e.hill),
+  },
+  {
+    id: 'top_gate', category: 'conditions', emoji: '🔝',
+    name: 'Full Send', desc: 'Land from the top gate without crashing',
+    on: 'round', test: (e) => e.gate === START_GATES.count && e.landingGrade !== CRASH,
+  },
+
+  // ---- Flight control ----
+  {
+    id: 'no_lean_k', category: 'control', emoji: '🧘',
+    name: 'Autopilot', desc: 'Reach K without leaning',
+    on: 'round', test: (e) => e.leanChanges === 0 && e.rawDistance >= kPoint(e.hill),
+  },
+  {
+    id: 'no_lean_game', category: 'control', emoji: '🙌',
+    name: 'Hands Off', desc: 'Finish Pro Jumper or better without leaning all game',
+    on: 'game',
+    test: (e, g) => getGradeRank(e.grade) >= 3 && g.rounds.every((r) => r.leanChanges === 0),
+  },
+  {
+    id: 'busy_flight', category: 'control', emoji: '🎮',
+    name: 'Fine Control', desc: 'Make 30 lean corrections in one flight and land clean',
+    on: 'round',
+    test: (e) => e.leanChanges >= 30 && (e.landingGrade === TELEMARK || e.landingGrade === 'clean'),
+  },
+  {
+    id: 'over_rotated', category: 'control', emoji: '🌀',
+    name: 'Spin Cycle', desc: 'Over-rotate in the air',
+    on: 'round', test: (e) => e.overRotated,
+  },
+  {
+    id: 'judges_favourite', category: 'control', emoji: '📋',
+    name: "Judges' Favourite", desc: 'Earn 57 or more style points on one jump',
+    on: 'round', test: (e) => (e.official?.stylePoints ?? 0) >= 57,
+  },
+
+  // ---- Competition ----
+  {
+    id: 'grade_pro', category: 'game', emoji: '🎿',
+    name: 'Going Pro', desc: 'Finish a game as a Pro Jumper or better',
+    on: 'game', test: (e) => getGradeRank(e.grade) >= 3,
+  },
+  {
+    id: 'grade_world', category: 'game', emoji: '🏆',
+    name: 'World Class', desc: 'Finish a game World Class or better',
+    on: 'game', test: (e) => getGradeRank(e.grade) >= 4,
+  },
+  {
+    id: 'grade_olympic', category: 'game', emoji: '🥇',
+    name: 'Olympic Champion', desc: 'Finish a game as Olympic Champion',
+    on: 'game', test: (e) => getGradeRank(e.grade) >= 5,
+  },
+  {
+    id: 'personal_best', category: 'game', emoji: '📈',
+    name: 'Personal Best', desc: 'Set a new best on any hill',
+    on: 'game', test: (e) => e.isNewRecord,
+  },
+  {
+    id: 'beat_challenger', category: 'game', emoji: '⚔️',
+    name: 'Beat a Challenger', desc: "Top a friend's challenge link",
+    on: 'game',
+    test: (e) => e.mode === 'challenge' && e.challengerScore != null && e.total > e.challengerScore,
+  },
+  {
+    id: 'daily', category: 'game', emoji: '📅',
+    name: 'Daily Habit', desc: 'Finish a Daily Jump',
+    on: 'game', test: (e) => e.mode === 'daily',
+  },
+  {
+    id: 'official', category: 'game', emoji: '🧮',
+    name: 'By the Book', desc: 'Finish a game with official scoring',
+    on: 'game', test: (e) => e.scoring === 'official',
+  },
+  {
+    id: 'flying_hill', category: 'game', emoji: '🏔️',
+    name: 'Take Flight', desc: 'Finish a game on the Ski-Flying Hill',
+    on: 'game', test: (e) => e.hill.id === 'flying',
+  },
+
+  {
+    id: 'wc_points', category: 'game', emoji: '🎫',
+    name: 'On the Board', desc: 'Score World Cup points',
+    on: 'game', test: (e) => e.season != null && e.season.place <= WORLD_CUP_POINTS.length,
+  },
+  {
+    id: 'wc_podium', category: 'game', emoji: '🥉',
+    name: 'Podium', desc: 'Finish top 3 at a World Cup event',
+    on: 'game', test: (e) => e.season != null && e.season.place <= 3,
+  },
+  {
+    id: 'wc_win', category: 'game', emoji: '🏁',
+    name: 'Event Winner', desc: 'Win a World Cup event',
+    on: 'game', test: (e) => e.season?.place === 1,
+  },
+
+  // ---- Career ----
+  {
+    id: 'wc_champion', category: 'career', emoji: '🌍',
+    name: 'World Cup Champion', desc: 'Win a World Cup season',
+    on: 'game', test: (e) => e.season?.champion === true,
+  },
+  {
+    id: 'grand_tour', category: 'career', emoji: '🗺️',
+    name: 'Grand Tour', desc: 'Set a best on every hill',
+    on: 'game',
+    test: (e) => HILLS.every((h) => (e.career.bestScores?.[h.id] ?? 0) > 0),
+    goal: (c) => ({
+      current: HILLS.filter((h) => (c.bestScores?.[h.id] ?? 0) > 0).length,
+      target: HILLS.length,
+    }),
+  },
+  {
+    id: 'new_recruit', category: 'career', emoji: '🤝',
+    name: 'New Recruit', desc: 'Unlock a jumper',
+    on: 'game', test: (e) => e.career.newUnlocks.length > 0,
+  },
+  {
+    id: 'full_roster', category: 'career', emoji: '👥',
+    name: 'Full Roster', desc: 'Unlock every jumper',
+    on: 'game',
+    test: (e) => unlockedJumpers(e.career.progress).length === JUMPERS.length,
+    goal: (c) => ({ current: unlockedJumpers(c.progress).length, target: JUMPERS.length }),
+  },
+  {
+    id: 'games_10', category: 'career', emoji: '🎟️',
+    name: 'Regular', desc: 'Play 10 games',
+    on: 'game', test: (e) => e.career.gamesPlayed >= 10,
+    goal: (c) => ({ current: Math.min(c.gamesPlayed, 10), target: 10 }),
+  },
+  {
+    id: 'career_10k', category: 'career', emoji: '🛣️',
+    name: '10,000m Club', desc: 'Fly 10,000m in total',
+    on: 'game', test: (e) => e.career.progress.distance >= 10000,
+    goal: (c) => ({ current: Math.min(Math.floor(c.progress.distance), 10000), target: 10000 }),
+  },
+  {
+    id: 'career_telemarks', category: 'career', emoji: '🎓',
+    name: 'Telemark Professor', desc: 'Land 50 telemarks',
+    on: 'game', test: (e) => e.career.progress.telemarks >= 50,
+    goal: (c) => ({ current: Math.min(c.progress.telemarks, 50), target: 50 }),
+  },
+]
+
+// ---------------------------------------------------------------------------
+// Tracker
+// ---------------------------------------------------------------------------
+/**
+ * Earns achievements from game events (see above).
+ *
+ * earned: ids already earned — they aren't earned again.
+ * Returns { emit(event), has(id) } — emit() returns the achievements the
+ *   event just earned, in catalogue order.
+ */
+export function createAchievementTracker(earned = []) {
+  const have = new Set(earned)
+  let game = { launches: [], rounds: [] }
+
+  return {
+    emit(event) {
+      if (event.type === 'start') game = { launches: [], rounds: [] }
+      else if (event.type === 'launch') game.launches.push(event.grade)
+      else if (event.type === 'round') game.rounds.push(event)
+
+      const fresh = ACHIEVEMENTS.filter(
+        (a) => a.on === event.type && !have.has(a.id) && a.test(event, game),
+      )
+      fresh.forEach((a) => have.add(a.id))
+      return fresh
+    },
+    has(id) {
+      return have.has(id)
+    },
+  }
+}
@@ -0,0 +1,157 @@
+// =============================================================================
+// AI Ski Jump Championship — Challenge Links
+// Pure JavaScript — no React, no DOM, no side effects.
+// Packs a finished game into a short query string so a friend can jump the
+// exact same wind and compare round by round.
+// =============================================================================
+
+import { POSTURE, ROUNDS_PER_GAME, getHill, getJumper } from './constants.js'
+import { calculateTotal, clampGate } from './physics.js'
+import { verifyGame } from './replay.js'
+import { sanitizeName } from './player.js'
+
+// ---------------------------------------------------------------------------
+// Format
+// ---------------------------------------------------------------------------
+// ?c=<version>.<seed>.<hillId>.<rounds>.<inputs>&n=<name>
+//
+//   version  "9" — links from before it (?challenge=true&name=…) carry no
+//            seed; the game reads just the name from them
+//   seed     game seed, base 36
+//   hillId   id from HILLS
+//   rounds   one token per round, joined by "-": distance in tenths of a
+//            metre (base 36) followed by a landing letter
+//   inputs   one token per round, joined by "-": fields joined by "_",
+//            all base 36 —
+//              start gate
+//              jumper id
+//              launch tap ms (empty = auto-launch)
+//              landing step
+//              lean changes (zero or more): the step, then one digit
+//              for the level shifted up by POSTURE.levels (8 = neutral)
+//
+// e.g. ?c=9.1fyf8el.large.ulc-vjt-2wx-ypc-gnx.8_6_156_j6_k5_2n8_4ga-a_2_16i_gy-1_3__eg_140_1y8-c_8_14k_kp_28d_463_6e8-7_5_18q_hs_3c6&n=Ada
+//
+// The receiver replays the inputs (see replay.js) and flags any round
+// whose claimed result doesn't come out of its own physics.
+
+const VERSION = '9'
+
+const GRADE_LETTER = { telemark: 't', clean: 'c', shaky: 's', crash: 'x' }
+const LETTER_GRADE = Object.fromEntries(
+  Object.entries(GRADE_LETTER).map(([grade, letter]) => [letter, grade]),
+)
+
+function encodeInputs({ gate, jumper, launchMs, landStep, lean = [] }) {
+  return [
+    clampGate(gate).toString(36),
+    jumper.toString(36),
+    launchMs == null ? '' : Math.round(launchMs).toString(36),
+    landStep.toString(36),
+    ...lean.map(([step, level]) => step.toString(36) + (level + POSTURE.levels).toString(36)),
+  ].join('_')
+}
+
+function decodeInputs(token) {
+  const fields = token.split('_')
+  if (fields.length < 4 || !/^[0-9a-z]$/.test(fields[0])) return null
+  const [gate36, jumper36, launch36, ...steps] = fields
+  if (![jumper36, ...steps].every((f) => /^[0-9a-z]+$/.test(f))) return null
+  if (launch36 && !/^[0-9a-z]+$/.test(launch36)) return null
+  const gate = parseInt(gate36, 36)
+  if (clampGate(gate) !== gate) return null
+  const jumper = parseInt(jumper36, 36)
+  if (!getJumper(jumper)) return null
+  const lean = steps.slice(1).map((f) => [
+    parseInt(f.slice(0, -1), 36),
+    parseInt(f.slice(-1), 36) - POSTURE.levels,
+  ])
+  if (lean.some(([step, level]) => !(step >= 0) || Math.abs(level) > POSTURE.levels)) return null
+  return {
+    gate,
+    jumper,
+    launchMs: launch36 ? parseInt(launch36, 36) : null,
+    landStep: parseInt(steps[0], 36),
+    lean,
+  }
+}
+
+/**
+ * Encode a game as challenge query parameters.
+ *
+ * game: { seed, hillId, name, rounds: [{ distance, landingGrade, inputs }] }
+ * Returns a URLSearchParams ready to append to the game URL.
+ */
+export function encodeChallenge({ seed, hillId, name, rounds }) {
+  const results = rounds.map((r) =>
+    Math.round(r.distance * 10).toString(36) + (GRADE_LETTER[r.landingGrade] || 'x'),
+  )
+  const inputs = rounds.map((r) => encodeInputs(r.inputs))
+  const params = new URLSearchParams()
+  params.set('c', [
+    VERSION,
+    (seed >>> 0).toString(36),
+    hillId,
+    results.join('-'),
+    inputs.join('-'),
+  ].join('.'))
+  const cleanName = sanitizeName(name)
+  if (cleanName) params.set('n', cleanName)
+  return params
+}
+
+/**
+ * Decode challenge query parameters and check them against a replay.
+ *
+ * Returns null when the link is missing or malformed, otherwise
+ * { name, seed, hillId, rounds, total, claimedTotal, verified, inputs }:
+ *   verified  true — every round reproduces from the recorded inputs
+ *             false — it doesn't; rounds/total are the replayed results
+ *   inputs    each round's recorded inputs, which replay into the ghost
+ *             the receiver races (see ghost.js)
+ */
+export function decodeChallenge(params) {
+  const raw = params.get('c')
+  if (!raw) return null
+
+  const [version, seed36, hillId, roundStr, inputStr] = raw.split('.')
+  if (version !== VERSION || !seed36 || !hillId || !roundStr) return null
+
+  const seed = parseInt(seed36, 36)
+  if (!Number.isFinite(seed) || seed < 0 || seed > 0xffffffff) return null
+  if (getHill(hillId).id !== hillId) return null
+
+  const claimed = []
+  for (const token of roundStr.split('-')) {
+    const match = /^([0-9a-z]+)([tcsx])$/.exec(token)
+    if (!match) return null
+    claimed.push({
+      distance: parseInt(match[1], 36) / 10,
+      landingGrade: LETTER_GRADE[match[2]],
+    })
+  }
+  // A full game, as the server insists on — checked before any replaying
+  if (claimed.length !== ROUNDS_PER_GAME) return null
+
+  const inputs = (inputStr || '').split('-').map(decodeInputs)
+  if (inputs.length !== claimed.length || inputs.some((i) => !i)) return null
+
+  const claimedTotal = calculateTotal(claimed.map((r) => r.distance))
+  const name = sanitizeName(params.get('n')) || 'A friend'
+
+  const { verified, replay } = verifyGame({ seed, hillId, inputs, claimed })
+  const rounds = verified
+    ? claimed
+    : replay.rounds.map((r) => ({ distance: r.distance, landingGrade: r.landingGrade }))
+
+  return {
+    name,
+    seed,
+    hillId,
+    rounds,
+    total: verified ? claimedTotal : replay.total,
+    claimedTotal,
+    verified,
+    inputs,
+  }
+}
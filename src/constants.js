@@ -28,33 +28,138 @@ export const BRAND = {
 // ---------------------------------------------------------------------------
 export const GAME_W = 400
 export const GAME_H = 700
-export const SCENE_W = 800 // Full scene width (wider than viewport for camera tracking)
 
 // ---------------------------------------------------------------------------
-// Ramp geometry
-// The ramp goes from top-left down to the lip near center.
+// Grade tier labels (mins are per hill — see HILLS below)
+// Ordered highest-first so the first match wins.
 // ---------------------------------------------------------------------------
-export const RAMP_ANGLE = 38 // degrees from horizontal
-export const RAMP_TOP = { x: 60, y: 120 } // top of ramp (where jumper starts)
-export const RAMP_LIP = { x: 175, y: 380 } // lip of ramp (launch point)
+const GRADE_LABELS = [
+  { label: "Olympic Champion", emoji: "🥇" },
+  { label: "World Class", emoji: "🏆" },
+  { label: "Pro Jumper", emoji: "🎿" },
+  { label: "Ski Enthusiast", emoji: "⛷️" },
+  { label: "Snow Bunny", emoji: "🐰" },
+  { label: "Après-Ski Only", emoji: "🍺" },
+]
+
+function gradeTiers(mins) {
+  return GRADE_LABELS.map((tier, i) => ({ min: mins[i], ...tier }))
+}
 
 // ---------------------------------------------------------------------------
-// Landing hill
-// Hill equation: y(x) = RAMP_LIP.y + (x - RAMP_LIP.x) * LANDING_HILL_SLOPE
-// ---------------------------------------------------------------------------
-export const LANDING_HILL_START = { x: 175, y: 380 } // same as lip
-export const LANDING_HILL_SLOPE = 0.38 // rise/run — hill slopes downward to the right
+// Hill catalogue
+// Each hill is a complete venue: scene width, ramp geometry, in-run height,
+// metres-per-pixel scale, landing-hill profile, markers and grade tiers.
+//
+// sceneW:         full scene width (wider than viewport for camera tracking)
+// rampTop/Lip:    top of ramp (where jumper starts) / lip (launch point)
+// rampAngle:      degrees from horizontal (used for in-run effects)
+// rampHeight:     vertical in-run drop in game units — drives launch speed
+// pixelsPerMetre: maps horizontal pixel distance from the lip to metres
+// profile:        landing hill (see hillProfile.js). Distances are
+//                 horizontal metres from the lip; gradients are drop/run.
+// unlock:         null, or { hillId, minScore } — best total needed on
+//                 another hill before this one can be picked
+// ---------------------------------------------------------------------------
+export const HILLS = [
+  {
+    id: "normal",
+    name: "Normal Hill",
+    emoji: "🌲",
+    sceneW: 720,
+    rampAngle: 36,
+    rampTop: { x: 60, y: 150 },
+    rampLip: { x: 170, y: 390 },
+    rampHeight: 244,
+    pixelsPerMetre: 3.4,
+    maxDistance: 150,
+    profile: {
+      knollGradient: 0.1,
+      pPoint: 55,
+      landingGradient: 0.55,
+      kPoint: 90,
+      hillSize: 106,
+      hsGradient: 0.34,
+      outrunStart: 140,
+    },
+    distanceMarkers: [30, 45, 60, 75, 90, 106, 120, 135],
+    gradeTiers: gradeTiers([300, 225, 150, 90, 40, 0]),
+    unlock: null,
+  },
+  {
+    id: "large",
+    name: "Large Hill",
+    emoji: "🏔️",
+    sceneW: 800,
+    rampAngle: 38,
+    rampTop: { x: 60, y: 120 },
+    rampLip: { x: 175, y: 380 },
+    rampHeight: 260,
+    pixelsPerMetre: 2.875, // hill run ~575px (750 - 175) spanning ~200m
+    maxDistance: 200,
+    profile: {
+      knollGradient: 0.12, // gentle knoll just below the lip
+      pPoint: 70, // start of the landing zone (steepest from here)
+      landingGradient: 0.58, // ~30° — steepest section, P to K
+      kPoint: 120, // K-point (construction point, red line)
+      hillSize: 140, // HS — end of the safe landing zone
+      hsGradient: 0.36, // already flattening at HS
+      outrunStart: 185, // transition complete — flat outrun
+    },
+    distanceMarkers: [40, 60, 80, 100, 120, 140, 160, 180, 200],
+    gradeTiers: gradeTiers([400, 300, 200, 120, 50, 0]),
+    unlock: null,
+  },
+  {
+    id: "flying",
+    name: "Ski-Flying Hill",
+    emoji: "🦅",
+    sceneW: 1000,
+    rampAngle: 40,
+    rampTop: { x: 60, y: 80 },
+    rampLip: { x: 180, y: 340 },
+    rampHeight: 290,
+    pixelsPerMetre: 2.0,
+    maxDistance: 320,
+    profile: {
+      knollGradient: 0.12,
+      pPoint: 120,
+      landingGradient: 0.6,
+      kPoint: 200,
+      hillSize: 240,
+      hsGradient: 0.38,
+      outrunStart: 300,
+    },
+    distanceMarkers: [80, 120, 160, 200, 240, 280],
+    gradeTiers: gradeTiers([680, 510, 340, 200, 85, 0]),
+    unlock: { hillId: "large", minScore: 300 },
+  },
+]
+
+export const DEFAULT_HILL_ID = "large"
+
+/** Look up a hill by id, falling back to the default hill. */
+export function getHill(id) {
+  return HILLS.find((h) => h.id === id) || HILLS.find((h) => h.id === DEFAULT_HILL_ID)
+}
+
+export const DEFAULT_HILL = getHill(DEFAULT_HILL_ID)
+
+/** Whether a hill can be picked, given personal bests keyed by hill id. */
+export function isHillUnlocked(hill, bestScores) {
+  if (!hill.unlock) return true
+  return (bestScores?.[hill.unlock.hillId] ?? 0) >= hill.unlock.minScore
+}
 
 // ---------------------------------------------------------------------------
 // Physics
 // ---------------------------------------------------------------------------
 export const GRAVITY = 9.81
-export const AIR_RESISTANCE = 0.015
-export const RAMP_HEIGHT = 260 // vertical drop of ramp in game units (RAMP_TOP.y to RAMP_LIP.y)
-export const MAX_DISTANCE = 200 // theoretical max in metres
-export const MAX_BOOSTS = 3 // Number of mid-air boosts allowed
-export const BOOST_VX = 14 // Horizontal speed added per boost
-export const BOOST_VY = 3.0 // Vertical lift (reduction in downward speed) per boost
+
+// Flight is stepped at a fixed rate whatever the display does, so the same
+// inputs give the same distance on every device (and in replays)
+export const PHYSICS_HZ = 240
+export const PHYSICS_DT = 1 / PHYSICS_HZ
 
 // ---------------------------------------------------------------------------
 // Timing windows (milliseconds from optimal moment)
@@ -64,6 +169,34 @@ export const TIMING = {
   good: 220, // +/-220ms — attentive players land here
   ok: 400, // +/-400ms — casual players get this
 }
+export const LAUNCH_EARLY_BIAS = 25 // ms — optimal moment shifted earlier so slightly-early taps are rewarded
+
+// ---------------------------------------------------------------------------
+// Landing timing (flight progress = physics steps flown / estimated total, 0 → 1)
+// ---------------------------------------------------------------------------
+export const LANDING_TIMING = {
+  optimal: 0.82, // progress at which the landing ring closes
+  earlyBias: 0.02, // optimal shifted earlier so slightly-early taps are rewarded
+  windows: { telemark: 0.06, clean: 0.14, shaky: 0.24 }, // max error per grade
+  autoCrash: 0.98, // no landing input by here → forced crash
+  landingZone: 0.5, // taps before this progress don't land — the jumper is still leaning
+}
+
+// ---------------------------------------------------------------------------
+// Start gates
+// Numbered from the bottom of the in-run; a higher gate means a longer
+// run and more speed at the lip. Each hill's rampHeight is its reference
+// gate. When the round's wind is strong the jury sets the gate instead —
+// down the in-run in a headwind, up it in a tailwind.
+// ---------------------------------------------------------------------------
+export const START_GATES = {
+  count: 12,
+  reference: 8,
+  spacing: 0.03, // share of the in-run between neighbouring gates
+  heightStep: 0.028, // rampHeight gained (or lost) per gate, as a share of it
+  juryWind: 2.5, // m/s either way — from here the jury picks the gate
+  juryGatesPerMs: 1, // gates the jury moves per m/s of wind
+}
 
 // ---------------------------------------------------------------------------
 // Launch angle results based on timing quality (degrees)
@@ -80,10 +213,53 @@ export const LAUNCH_ANGLES = {
 // Speed multipliers based on timing quality
 // ---------------------------------------------------------------------------
 export const SPEED_MULT = {
-  perfect: 1.30,
-  good: 1.05,
-  ok: 0.80,
-  miss: 0.55,
+  perfect: 0.92,
+  good: 0.81,
+  ok: 0.67,
+  miss: 0.51,
+}
+
+// ---------------------------------------------------------------------------
+// Aerodynamics — lift and drag from the angle of attack (degrees between the
+// skis/body and the oncoming air). Lift grows with the angle up to the stall,
+// then collapses; drag grows with the square of the angle. Both scale with
+// airspeed², so a headwind carries the jumper further and a tailwind drops
+// them sooner.
+// ---------------------------------------------------------------------------
+export const AERO = {
+  scale: 0.0015, // px⁻¹ — turns coefficient × airspeed² into px/s²
+  liftSlope: 0.04, // lift coefficient per degree, below the stall
+  stallAngle: 36, // degrees — lift peaks here
+  stallLiftLoss: 0.06, // lift coefficient lost per degree past the stall
+  minLift: 0.2, // fully stalled lift coefficient
+  dragBase: 0.1, // drag coefficient at zero angle (skis and body edge-on)
+  dragSlope: 0.0001, // extra drag coefficient per degree²
+  windScale: 3, // wind is exaggerated so a few m/s is worth several metres
+}
+
+// ---------------------------------------------------------------------------
+// In-flight posture. The player leans forward (positive) or back (negative);
+// the body keeps rotating for as long as the lean is held, and drifts back
+// to neutral once it's released. Pitch (degrees, forward positive) comes off
+// the angle of attack: leaning back sits up into the air for more lift, until
+// the stall. Rotate too far either way and the jumper can't recover.
+// ---------------------------------------------------------------------------
+export const POSTURE = {
+  levels: 8, // lean is recorded in whole levels, -8 (full back) … 8 (full forward)
+  rate: 30, // deg/s the body rotates at full lean
+  settle: 0.6, // per second — how quickly pitch drifts back with no lean
+  maxPitch: 22, // degrees either way; past this the jumper over-rotates
+  maxChanges: 120, // lean changes kept per flight; later ones are ignored
+}
+
+// Angle of attack the jumper leaves the table in, per launch grade.
+// A perfect take-off settles straight into the V; a late or weak one leaves
+// the jumper sitting up into the air, past the stall.
+export const LAUNCH_ATTACK = {
+  perfect: 30,
+  good: 26,
+  ok: 40,
+  miss: 48,
 }
 
 // ---------------------------------------------------------------------------
@@ -103,59 +279,151 @@ export const ROUNDS_PER_GAME = 5
 export const BEST_N = 3 // best N rounds count toward total
 
 // ---------------------------------------------------------------------------
-// Themed jumpers (one per round)
+// Scoring systems
+// Arcade: distance × landing multiplier, best BEST_N rounds (the default).
+// Official: competition points for every round — distance points from the
+// K-point, five style judges (highest and lowest dropped), and wind and
+// gate compensation. See officialScoring.js.
 // ---------------------------------------------------------------------------
-export const JUMPERS = [
-  { id: 1, name: "Data Pipeline", emoji: "🔄", color: BRAND.blue },
-  { id: 2, name: "Neural Network", emoji: "🧠", color: BRAND.purple },
-  { id: 3, name: "Cloud Deploy", emoji: "☁️", color: BRAND.green },
-  { id: 4, name: "API Gateway", emoji: "🔗", color: BRAND.orange },
-  { id: 5, name: "Auto Scaler", emoji: "📈", color: BRAND.blueLight },
-]
+export const SCORING_SYSTEMS = ["arcade", "official"]
+export const DEFAULT_SCORING = "arcade"
+
+export const OFFICIAL_SCORING = {
+  judges: 5,
+  maxMark: 20, // per judge, in half points
+  judgeSpread: 0.5, // each judge's own view, ± marks
+  // Marks off for the landing
+  landingDeduction: { telemark: 0, clean: 2, shaky: 4.5, crash: 10 },
+  // Marks off for an unsteady flight: the body's biggest swing past
+  // stablePitch × POSTURE.maxPitch, up to pitchDeduction at maxPitch…
+  stablePitch: 0.4,
+  pitchDeduction: 3,
+  // …and for fighting the air — each lean correction past freeCorrections
+  freeCorrections: 8,
+  correctionDeduction: 0.1,
+  maxCorrectionDeduction: 2,
+  // What a m/s of headwind and one start gate are worth in distance, × K —
+  // measured on this game's flight, not a real hill's
+  windMetres: 0.02,
+  tailwindFactor: 1.21, // tailwind points per m/s, relative to headwind
+  gateMetres: 0.04,
+}
 
 // ---------------------------------------------------------------------------
-// Grade tiers (based on total score = sum of best 3 distances)
-// Ordered highest-first so the first match wins.
+// Themed jumpers — the player lines up ROUNDS_PER_GAME of them, one per round
+// Each has four stats from 1 to JUMPER_STATS.max, JUMPER_STATS.neutral being
+// the plain physics; every jumper's stats add up to the same total, so one
+// strength is paid for with a weakness elsewhere (see getJumperTraits).
+//   speed      in-run speed — more speed off the table
+//   lift       lift from the air all flight long
+//   stability  landing — wider timing windows for each landing grade
+//   lean       how quickly the body answers the lean — and over-rotates
+// unlock: null, or { milestone, min } — a career total needed before the
+//   jumper can be picked, counted over finished games (see progress.js):
+//     distance   metres flown (raw, before the landing multiplier)
+//     telemarks  telemark landings
+//     gradeRank  best grade tier reached on any hill, counted from 0 for
+//                the lowest (see getGradeRank) — 4 is "World Class"
+// The first ROUNDS_PER_GAME jumpers are the default line-up.
 // ---------------------------------------------------------------------------
-export const GRADE_TIERS = [
-  { min: 400, label: "Olympic Champion", emoji: "🥇" },
-  { min: 300, label: "World Class", emoji: "🏆" },
-  { min: 200, label: "Pro Jumper", emoji: "🎿" },
-  { min: 120, label: "Ski Enthusiast", emoji: "⛷️" },
-  { min: 50, label: "Snow Bunny", emoji: "🐰" },
-  { min: 0, label: "Après-Ski Only", emoji: "🍺" },
+export const JUMPERS = [
+  {
+    id: 1, name: "Data Pipeline", emoji: "🔄", color: BRAND.blue,
+    stats: { speed: 4, lift: 2, stability: 4, lean: 2 },
+  },
+  {
+    id: 2, name: "Neural Network", emoji: "🧠", color: BRAND.purple,
+    stats: { speed: 2, lift: 5, stability: 2, lean: 3 },
+  },
+  {
+    id: 3, name: "Cloud Deploy", emoji: "☁️", color: BRAND.green,
+    stats: { speed: 3, lift: 4, stability: 3, lean: 2 },
+  },
+  {
+    id: 4, name: "API Gateway", emoji: "🔗", color: BRAND.orange,
+    stats: { speed: 3, lift: 2, stability: 3, lean: 4 },
+  },
+  {
+    id: 5, name: "Auto Scaler", emoji: "📈", color: BRAND.blueLight,
+    stats: { speed: 5, lift: 3, stability: 2, lean: 2 },
+  },
+  {
+    id: 6, name: "Vector DB", emoji: "🧭", color: BRAND.purpleLight,
+    stats: { speed: 3, lift: 3, stability: 5, lean: 1 },
+    unlock: { milestone: "distance", min: 2500 },
+  },
+  {
+    id: 7, name: "Edge Inference", emoji: "⚡", color: BRAND.orange,
+    stats: { speed: 4, lift: 3, stability: 1, lean: 4 },
+    unlock: { milestone: "telemarks", min: 15 },
+  },
+  {
+    id: 8, name: "Fine-Tune", emoji: "🎛️", color: BRAND.green,
+    stats: { speed: 2, lift: 4, stability: 4, lean: 2 },
+    unlock: { milestone: "gradeRank", min: 4 },
+  },
 ]
 
+/** Look up a jumper by id; null when there's no such jumper. */
+export function getJumper(id) {
+  return JUMPERS.find((j) => j.id === id) || null
+}
+
+/**
+ * A grade tier's rank, counted up from 0 for the lowest, by its label —
+ * tiers share their labels across hills, so the rank does too. 0 if unknown.
+ */
+export function getGradeRank(label) {
+  const i = GRADE_LABELS.findIndex((g) => g.label === label)
+  return i < 0 ? 0 : GRADE_LABELS.length - 1 - i
+}
+
+/** The grade tier ({ label, emoji }) at a rank from getGradeRank(). */
+export function getGradeByRank(rank) {
+  return GRADE_LABELS[GRADE_LABELS.length - 1 - rank] || null
+}
+
+// What one stat point either side of neutral is worth, as a share of the
+// plain value
+export const JUMPER_STATS = {
+  max: 5,
+  neutral: 3,
+  speed: 0.008, // of the launch speed
+  lift: 0.1, // of the lift coefficient
+  stability: 0.12, // of each landing window
+  lean: 0.15, // of POSTURE.rate
+}
+
 // ---------------------------------------------------------------------------
 // Distance messages (shown after each round)
 // ---------------------------------------------------------------------------
 export const DISTANCE_MESSAGES = {
   legendary: [
-    // 180m+
+    // 1.5 × K+ (180m+ on the large hill)
     "LEGENDARY flight!",
     "Record-breaking deployment!",
     "That's enterprise-grade distance!",
   ],
   great: [
-    // 140-179m
+    // 1.17 × K+ (140-179m)
     "Massive jump!",
     "Your AI soared!",
     "Production-ready distance!",
   ],
   good: [
-    // 100-139m
+    // 0.83 × K+ (100-139m)
     "Solid flight!",
     "Good momentum!",
     "Scaling nicely!",
   ],
   ok: [
-    // 60-99m
+    // 0.5 × K+ (60-99m)
     "Decent effort!",
     "Room to optimise!",
     "MVP distance!",
   ],
   poor: [
-    // <60m
+    // below 0.5 × K (<60m)
     "Needs more training data!",
     "Back to the drawing board!",
     "Have you tried turning it off and on?",
@@ -164,26 +432,30 @@ export const DISTANCE_MESSAGES = {
 
 // ---------------------------------------------------------------------------
 // Get a random message for a given distance
+// Tiers scale with the hill's K-point so every hill has its own "legendary".
+// Pass a seeded rng (see rng.js) so replays pick the same message.
 // ---------------------------------------------------------------------------
-export function getDistanceMessage(distance) {
+export function getDistanceMessage(distance, hill = DEFAULT_HILL, rng = Math.random) {
+  const k = hill.profile.kPoint
   let tier
-  if (distance >= 180) tier = "legendary"
-  else if (distance >= 140) tier = "great"
-  else if (distance >= 100) tier = "good"
-  else if (distance >= 60) tier = "ok"
+  if (distance >= k * 1.5) tier = "legendary"
+  else if (distance >= k * 7 / 6) tier = "great"
+  else if (distance >= k * 5 / 6) tier = "good"
+  else if (distance >= k * 0.5) tier = "ok"
   else tier = "poor"
   const msgs = DISTANCE_MESSAGES[tier]
-  return msgs[Math.floor(Math.random() * msgs.length)]
+  return msgs[Math.floor(rng() * msgs.length)]
 }
 
 // ---------------------------------------------------------------------------
-// Get grade tier for a total score (sum of best 3 distances)
+// Get grade tier for a total score (sum of best 3 distances) on a hill
 // ---------------------------------------------------------------------------
-export function getGrade(totalScore) {
-  for (const tier of GRADE_TIERS) {
+export function getGrade(totalScore, hill = DEFAULT_HILL) {
+  const tiers = hill.gradeTiers
+  for (const tier of tiers) {
     if (totalScore >= tier.min) return tier
   }
-  return GRADE_TIERS[GRADE_TIERS.length - 1]
+  return tiers[tiers.length - 1]
 }
 
 // ---------------------------------------------------------------------------
@@ -192,6 +464,15 @@ export function getGrade(totalScore) {
 // ---------------------------------------------------------------------------
 export const WIND_RANGE = { min: -4.0, max: 3.0 } // m/s — biased headwind for drama
 
+// Gusts and lulls on top of the round's mean wind (see createWindField)
+export const WIND_GUSTS = {
+  amplitude: 1.5, // m/s either side of the mean, at the strongest
+  spacing: 30, // metres between independent gust cells along the hill
+  period: 0.75, // seconds between independent gust states
+  span: 330, // metres of hill covered — past it the last cells carry on
+  duration: 10, // seconds covered — the flight safety cap
+}
+
 // ---------------------------------------------------------------------------
 // Animation timing (milliseconds)
 // ---------------------------------------------------------------------------
@@ -0,0 +1,33 @@
+// =============================================================================
+// AI Ski Jump Championship — Daily Jump
+// Pure JavaScript — no React, no DOM, no side effects.
+// One seed per calendar day, so everyone jumps in the same wind.
+// =============================================================================
+
+import { deriveSeed } from './rng.js'
+
+// Daily #1 — counted in the player's local calendar, like other daily puzzles
+const DAILY_EPOCH = { year: 2026, month: 1, day: 1 }
+
+// The Daily Jump is always held on the same venue so scores compare
+export const DAILY_HILL_ID = 'large'
+
+/** Local calendar date as "YYYY-MM-DD". */
+export function getDateKey(date = new Date()) {
+  const y = date.getFullYear()
+  const m = String(date.getMonth() + 1).padStart(2, '0')
+  const d = String(date.getDate()).padStart(2, '0')
+  return `${y}-${m}-${d}`
+}
+
+/** Daily number for a date (1 on the epoch day). */
+export function getDailyNumber(date = new Date()) {
+  const today = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate())
+  const epoch = Date.UTC(DAILY_EPOCH.year, DAILY_EPOCH.month - 1, DAILY_EPOCH.day)
+  return Math.floor((today - epoch) / 86400000) + 1
+}
+
+/** Game seed for a date — identical on every device. */
+export function getDailySeed(date = new Date()) {
+  return deriveSeed(0, 'daily', getDateKey(date))
+}
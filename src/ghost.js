@@ -0,0 +1,122 @@
+// =============================================================================
+// AI Ski Jump Championship — Ghost Jumps
+// Pure JavaScript — no React, no DOM, no side effects.
+// A ghost is a recorded flight the player races during FLIGHT: the path
+// the jumper flew, sampled every few physics steps, so the live flight can
+// look up where the ghost was after the same number of steps. The best
+// jump on each hill is kept as that hill's ghost, and a challenge link's
+// recorded inputs replay into a ghost of the challenger's jump in each
+// round (see traceGhost).
+// =============================================================================
+
+import { JUMPERS, getJumper } from './constants.js'
+import { createWindField } from './physics.js'
+import { simulateRound } from './replay.js'
+
+// One sample every 4 physics steps — 60 a second, smooth once interpolated
+// and small enough to keep a ghost per hill in localStorage
+export const GHOST_SAMPLE_STEPS = 4
+
+// ---------------------------------------------------------------------------
+// 1. Recording a path
+// ---------------------------------------------------------------------------
+// A path is [[x, y, pitch], …] in scene pixels and degrees, one sample
+// every GHOST_SAMPLE_STEPS steps from the launch (step 0).
+
+const round1 = (v) => Math.round(v * 10) / 10
+
+/**
+ * Add the flight state to a path when its step is a sample step. Call it
+ * at the launch and after every physics step, live or in a replay.
+ */
+export function recordPathStep(path, state) {
+  if (state.steps % GHOST_SAMPLE_STEPS !== 0) return
+  path.push([round1(state.x), round1(state.y), round1(state.pitch)])
+}
+
+// ---------------------------------------------------------------------------
+// 2. Ghosts
+// ---------------------------------------------------------------------------
+// Each ghost: { distance, landingGrade, emoji, path } — distance is the
+// scored distance of the jump, emoji its jumper's.
+
+/** A ghost from a round result and the path recorded for it. */
+export function createGhost(result, path) {
+  return {
+    distance: result.distance,
+    landingGrade: result.landingGrade,
+    emoji: result.jumper?.emoji || JUMPERS[0].emoji,
+    path,
+  }
+}
+
+/** True when a round result beats the hill's ghost (or there's none yet). */
+export function isBetterThanGhost(result, ghost) {
+  return !ghost || result.distance > ghost.distance
+}
+
+function isValidGhost(ghost) {
+  return ghost
+    && Number.isFinite(ghost.distance)
+    && typeof ghost.emoji === 'string'
+    && Array.isArray(ghost.path)
+    && ghost.path.length > 1
+    && ghost.path.every((p) => Array.isArray(p) && p.length === 3 && p.every(Number.isFinite))
+}
+
+/** Stored ghosts, { [hillId]: ghost }, with anything malformed dropped. */
+export function normalizeGhosts(stored) {
+  if (!stored || typeof stored !== 'object') return {}
+  return Object.fromEntries(Object.entries(stored).filter(([, ghost]) => isValidGhost(ghost)))
+}
+
+/**
+ * Replay one round's recorded inputs (see replay.js) into a ghost — how a
+ * challenge link's rounds are raced. round picks the wind, and the
+ * default line-up's jumper when the inputs don't name one.
+ */
+export function traceGhost(inputs, seed, round, hill) {
+  const jumper = inputs.jumper != null ? getJumper(inputs.jumper) : JUMPERS[round]
+  const path = []
+  const result = simulateRound(
+    inputs,
+    createWindField(seed, round),
+    hill,
+    jumper,
+    (state) => recordPathStep(path, state),
+  )
+  return createGhost({ ...result, jumper }, path)
+}
+
+// ---------------------------------------------------------------------------
+// 3. Racing a ghost
+// ---------------------------------------------------------------------------
+
+/**
+ * Where the ghost is after a (fractional) number of physics steps,
+ * interpolated between samples: { x, y, pitch, landed }. Once its path
+ * runs out the ghost stays where it came down.
+ */
+export function getGhostPoint(ghost, step) {
+  const { path } = ghost
+  const t = Math.max(0, step / GHOST_SAMPLE_STEPS)
+  const i = Math.floor(t)
+  if (i >= path.length - 1) {
+    const [x, y, pitch] = path[path.length - 1]
+    return { x, y, pitch, landed: true }
+  }
+  const [ax, ay, ap] = path[i]
+  const [bx, by, bp] = path[i + 1]
+  const f = t - i
+  return {
+    x: ax + (bx - ax) * f,
+    y: ay + (by - ay) * f,
+    pitch: ap + (bp - ap) * f,
+    landed: false,
+  }
+}
+
+/** Metres past the take-off the ghost is at a scene x — as the live counter measures. */
+export function getGhostDistance(point, hill) {
+  return Math.max(0, (point.x - hill.rampLip.x) / hill.pixelsPerMetre)
+}
@@ -0,0 +1,159 @@
+// =============================================================================
+// AI Ski Jump Championship — Landing Hill Profile
+// Pure JavaScript — no React, no DOM, no side effects.
+// Turns a handful of hill parameters into a curved landing-hill surface:
+// knoll → steepening landing zone → K-point → HS → transition → flat outrun.
+// =============================================================================
+
+// ---------------------------------------------------------------------------
+// How the profile is built
+// ---------------------------------------------------------------------------
+// The hill is described by its gradient (drop / run) at a few key distances,
+// measured horizontally in metres from the lip:
+//
+//   0m          knollGradient    gentle knoll just below the takeoff
+//   pPoint      landingGradient  start of the landing zone (steepest)
+//   kPoint      landingGradient  K-point — end of the steepest section
+//   hillSize    hsGradient       HS — end of the safe landing zone
+//   outrunStart 0                transition finished, outrun is flat
+//
+// Between knots the gradient changes linearly, so the surface height is a
+// piecewise quadratic that can be evaluated exactly (no numeric integration).
+
+/**
+ * Build a hill profile from its parameters.
+ *
+ * params: {
+ *   lip: { x, y }            — takeoff point in scene pixels
+ *   pixelsPerMetre: number   — horizontal px per metre of distance
+ *   knollGradient, landingGradient, hsGradient: number
+ *   pPoint, kPoint, hillSize, outrunStart: number (metres)
+ * }
+ *
+ * Returns an immutable profile object (see the methods below).
+ */
+export function createHillProfile(params) {
+  const {
+    lip,
+    pixelsPerMetre,
+    knollGradient,
+    landingGradient,
+    hsGradient,
+    pPoint,
+    kPoint,
+    hillSize,
+    outrunStart,
+  } = params
+
+  // Gradient knots in metres, with the cumulative drop (also metres) at each
+  const knots = [
+    { d: 0, g: knollGradient },
+    { d: pPoint, g: landingGradient },
+    { d: kPoint, g: landingGradient },
+    { d: hillSize, g: hsGradient },
+    { d: outrunStart, g: 0 },
+  ]
+  knots[0].drop = 0
+  for (let i = 1; i < knots.length; i++) {
+    const a = knots[i - 1]
+    const b = knots[i]
+    b.drop = a.drop + ((a.g + b.g) / 2) * (b.d - a.d)
+  }
+  const last = knots[knots.length - 1]
+
+  /** Gradient (drop/run) at a distance in metres. */
+  function gradientAtDistance(d) {
+    if (d <= 0) return knollGradient
+    if (d >= last.d) return 0
+    for (let i = 1; i < knots.length; i++) {
+      const a = knots[i - 1]
+      const b = knots[i]
+      if (d <= b.d) {
+        const t = (d - a.d) / (b.d - a.d)
+        return a.g + (b.g - a.g) * t
+      }
+    }
+    return 0
+  }
+
+  /** Vertical drop in metres below the lip at a distance in metres. */
+  function dropAtDistance(d) {
+    if (d <= 0) return 0
+    if (d >= last.d) return last.drop
+    for (let i = 1; i < knots.length; i++) {
+      const a = knots[i - 1]
+      const b = knots[i]
+      if (d <= b.d) {
+        const run = d - a.d
+        const gAtD = a.g + ((b.g - a.g) * run) / (b.d - a.d)
+        return a.drop + ((a.g + gAtD) / 2) * run
+      }
+    }
+    return last.drop
+  }
+
+  const profile = {
+    lip,
+    pixelsPerMetre,
+    kPoint,
+    hillSize,
+    pPoint,
+    outrunStart,
+
+    /** Horizontal distance (m) from the lip for a scene x coordinate. */
+    distanceAtX(x) {
+      return (x - lip.x) / pixelsPerMetre
+    },
+
+    /** Scene x coordinate for a distance (m) from the lip. */
+    xAtDistance(d) {
+      return lip.x + d * pixelsPerMetre
+    },
+
+    /** Surface y (scene px) at a scene x. Flat at lip height before the lip. */
+    yAt(x) {
+      if (x < lip.x) return lip.y
+      return lip.y + dropAtDistance(profile.distanceAtX(x)) * pixelsPerMetre
+    },
+
+    /** Surface gradient (drop/run, dimensionless) at a scene x. */
+    gradientAt(x) {
+      if (x < lip.x) return 0
+      return gradientAtDistance(profile.distanceAtX(x))
+    },
+
+    /** Surface point { x, y } at a distance (m) from the lip. */
+    posAtDistance(d) {
+      const x = profile.xAtDistance(d)
+      return { x, y: profile.yAt(x) }
+    },
+
+    /**
+     * Which section of the hill a distance falls in:
+     * 'knoll' (before P) | 'landing' (P to K) | 'beyondK' (K to HS)
+     * | 'beyondHS' (HS to outrun) | 'outrun'.
+     */
+    zoneAt(d) {
+      if (d < pPoint) return 'knoll'
+      if (d < kPoint) return 'landing'
+      if (d <= hillSize) return 'beyondK'
+      if (d < outrunStart) return 'beyondHS'
+      return 'outrun'
+    },
+
+    /**
+     * SVG path data ("M … L …") tracing the surface from x0 to x1,
+     * sampled every `step` pixels. Offset shifts the line down by `dy` px.
+     */
+    surfacePath(x0, x1, step = 4, dy = 0) {
+      const pts = []
+      for (let x = x0; x < x1; x += step) {
+        pts.push(`${x.toFixed(1)},${(profile.yAt(x) + dy).toFixed(1)}`)
+      }
+      pts.push(`${x1.toFixed(1)},${(profile.yAt(x1) + dy).toFixed(1)}`)
+      return `M ${pts[0]} L ${pts.slice(1).join(' ')}`
+    },
+  }
+
+  return Object.freeze(profile)
+}
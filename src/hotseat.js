@@ -0,0 +1,77 @@
+// =============================================================================
+// AI Ski Jump Championship — Pass-and-Play
+// Pure JavaScript — no React, no DOM, no side effects.
+// Two to four players sharing one device: each round every player jumps
+// in turn under the same wind. The game keeps one list of round results,
+// each tagged with its player; this works out the standings from it,
+// part-way through or at the end.
+// =============================================================================
+
+import { BRAND, getGrade } from './constants.js'
+import { calculateTotal, markCounted } from './physics.js'
+import { calculateOfficialTotal } from './officialScoring.js'
+import { sanitizeName } from './player.js'
+
+export const MIN_PLAYERS = 2
+export const MAX_PLAYERS = 4
+
+// One colour per seat, for the HUD, standings strip and podium
+export const PLAYER_COLOURS = [BRAND.blue, BRAND.orange, BRAND.green, BRAND.purple]
+
+// ---------------------------------------------------------------------------
+// 1. Players
+// ---------------------------------------------------------------------------
+
+/**
+ * Names as typed, ready to play: cleaned up (see sanitizeName), blanks
+ * and repeats given a "Player N" name, and capped at MAX_PLAYERS.
+ */
+export function sanitizePlayers(names) {
+  const list = (Array.isArray(names) ? names : []).slice(0, MAX_PLAYERS)
+  const taken = new Set()
+  return list.map((raw, i) => {
+    let name = sanitizeName(raw)
+    if (!name || taken.has(name.toLowerCase())) name = `Player ${i + 1}`
+    taken.add(name.toLowerCase())
+    return name
+  })
+}
+
+// ---------------------------------------------------------------------------
+// 2. Standings
+// ---------------------------------------------------------------------------
+
+/**
+ * Standings from the round results so far, leader first:
+ * [{ player, name, colour, rounds, total, officialTotal, grade, place }]
+ *
+ *   rounds   that player's results in round order, counted marked
+ *   total    best-rounds distance total (see calculateTotal)
+ *   grade    the grade tier total reaches on the hill
+ *   place    1-based — players level on the scoring system's total share it
+ *
+ * Ranked on total, or on officialTotal with official scoring.
+ */
+export function getPlayerStandings(scores, players, hill, scoring) {
+  const key = scoring === 'official' ? 'officialTotal' : 'total'
+  const rows = players.map((name, player) => {
+    const rounds = markCounted(scores.filter((s) => s.player === player))
+    const total = calculateTotal(rounds.map((r) => r.distance))
+    return {
+      player,
+      name,
+      colour: PLAYER_COLOURS[player % PLAYER_COLOURS.length],
+      rounds,
+      total,
+      officialTotal: calculateOfficialTotal(rounds.map((r) => r.official)),
+      grade: getGrade(total, hill),
+    }
+  })
+  const ranked = [...rows].sort((a, b) => b[key] - a[key] || a.player - b.player)
+  return ranked.map((row, i) => ({
+    ...row,
+    place: i > 0 && ranked[i - 1][key] === row[key]
+      ? ranked.findIndex((r) => r[key] === row[key]) + 1
+      : i + 1,
+  }))
+}
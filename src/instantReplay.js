@@ -0,0 +1,134 @@
+// =============================================================================
+// AI Ski Jump Championship — Instant Replay
+// Pure JavaScript — no React, no DOM, no side effects.
+// Plays a round back after the landing, slowed down and filmed with its
+// own camera: tight on the lip for the take-off, then pulling back into a
+// tracking shot to the landing. A round's recording is what the game
+// already keeps — the gate and launch tap fix the approach (see
+// calculateApproach), the path recorded for ghosts the flight (see
+// ghost.js), and the lean inputs when the jumper shifted.
+//
+// Times are "jump time": ms from the start of the approach, as the live
+// round ran. The game advances it by frame time × getReplaySpeed.
+// =============================================================================
+
+import { APPROACH_DURATION, AUTO_LAUNCH_DELAY, GAME_H, GAME_W, PHYSICS_DT } from './constants.js'
+import { calculateApproach } from './physics.js'
+import { getGhostPoint } from './ghost.js'
+
+const APPROACH_SHOWN = 600 // ms of the in-run before the take-off
+const LANDING_HOLD = 900 // ms on the landing before the replay ends
+
+// Playback speed: slowest through the take-off and the landing
+const SPEED = { approach: 0.5, takeoff: 0.2, flight: 0.6, landing: 0.25 }
+const TAKEOFF_WINDOW = 250 // ms either side of the launch
+const LANDING_WINDOW = 350 // ms either side of the touchdown
+
+// Camera: zoom on the lip, then a wider shot tracking the jumper
+const LIP_ZOOM = 2.4
+const TRACK_ZOOM = 1.5
+const PULL_BACK = 700 // ms of jump time from lip shot to tracking shot
+
+const stepMs = PHYSICS_DT * 1000
+
+// ---------------------------------------------------------------------------
+// 1. Clips
+// ---------------------------------------------------------------------------
+
+/**
+ * A replay clip from a round result — null if the round has no recorded
+ * path to play back.
+ *
+ *   launchAt / landAt   jump time of the launch tap and the touchdown
+ *   start / end         the part of the round the replay shows
+ *   leanAt              jump times the jumper shifted their lean
+ */
+export function createReplayClip(result) {
+  if (!result.path || result.path.length < 2) return null
+  // No launch tap: the jumper went when LaunchTimer auto-launched
+  const launchAt = result.inputs.launchMs ?? APPROACH_DURATION + AUTO_LAUNCH_DELAY
+  const landAt = launchAt + result.inputs.landStep * stepMs
+  return {
+    gate: result.gate,
+    emoji: result.jumper.emoji,
+    landingGrade: result.landingGrade,
+    path: result.path,
+    launchAt,
+    landAt,
+    start: Math.max(0, launchAt - APPROACH_SHOWN),
+    end: landAt + LANDING_HOLD,
+    leanAt: (result.inputs.lean || []).map(([step]) => launchAt + step * stepMs),
+  }
+}
+
+// ---------------------------------------------------------------------------
+// 2. Playback
+// ---------------------------------------------------------------------------
+
+/** How fast jump time runs at t, as a fraction of real time. */
+export function getReplaySpeed(clip, t) {
+  if (Math.abs(t - clip.launchAt) < TAKEOFF_WINDOW) return SPEED.takeoff
+  if (Math.abs(t - clip.landAt) < LANDING_WINDOW) return SPEED.landing
+  return t < clip.launchAt ? SPEED.approach : SPEED.flight
+}
+
+/**
+ * The jumper at jump time t: { x, y, pitch, phase } — phase is
+ * 'approach', 'flight' or 'landed'.
+ */
+export function getReplayFrame(clip, t, hill) {
+  if (t < clip.launchAt) {
+    const pos = calculateApproach(t, APPROACH_DURATION, hill, clip.gate)
+    return { x: pos.x, y: pos.y, pitch: 0, phase: 'approach' }
+  }
+  const point = getGhostPoint(clip, (Math.min(t, clip.landAt) - clip.launchAt) / stepMs)
+  return { x: point.x, y: point.y, pitch: point.pitch, phase: t >= clip.landAt ? 'landed' : 'flight' }
+}
+
+/**
+ * Moments between two jump times (from exclusive, to inclusive), in
+ * order: [{ type: 'launch' | 'lean' | 'land', at }] — for the bursts
+ * and the snow spray.
+ */
+export function getReplayEvents(clip, from, to) {
+  const events = [
+    { type: 'launch', at: clip.launchAt },
+    ...clip.leanAt.map((at) => ({ type: 'lean', at })),
+    { type: 'land', at: clip.landAt },
+  ]
+  return events.filter((e) => e.at > from && e.at <= to).sort((a, b) => a.at - b.at)
+}
+
+// ---------------------------------------------------------------------------
+// 3. Camera
+// ---------------------------------------------------------------------------
+
+const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v))
+const smoothstep = (v) => {
+  const x = clamp(v, 0, 1)
+  return x * x * (3 - 2 * x)
+}
+
+/**
+ * The replay camera at jump time t: { x, y, zoom } — the scene layer is
+ * scaled by zoom from its top-left corner, then moved by (x, y), which
+ * keeps the view inside the scene.
+ *
+ * Up to the take-off it holds on the lip; after it, it pulls back over
+ * PULL_BACK to a tracking shot with the jumper left of centre, so the
+ * landing hill is in view ahead.
+ */
+export function getReplayCamera(clip, t, hill) {
+  const lip = hill.rampLip
+  const frame = getReplayFrame(clip, t, hill)
+  const pull = smoothstep((t - clip.launchAt - TAKEOFF_WINDOW) / PULL_BACK)
+  const zoom = LIP_ZOOM + (TRACK_ZOOM - LIP_ZOOM) * pull
+  const focusX = lip.x + (frame.x - lip.x) * pull
+  const focusY = lip.y + (frame.y - lip.y) * pull
+  const anchorX = GAME_W * (0.5 - 0.15 * pull)
+  return {
+    x: clamp(anchorX - focusX * zoom, GAME_W - hill.sceneW * zoom, 0),
+    y: clamp(GAME_H / 2 - focusY * zoom, GAME_H - GAME_H * zoom, 0),
+    zoom,
+  }
+}
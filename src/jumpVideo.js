@@ -0,0 +1,262 @@
+// =============================================================================
+// AI Ski Jump Championship — Jump Video
+// Films a round's instant replay (see instantReplay.js) into a short clip
+// in the browser, for sharing: the venue from SkiJumpScene drawn through
+// the replay camera, the jumper, trail and landing spray painted over it
+// by the game's own particle layer (see particles.js), and a BrandedAI
+// watermark with the distance and landing grade.
+//
+// MediaRecorder films the canvas — WebM where the browser records it, MP4
+// on Safari. Browsers can't record GIFs, so there's no GIF.
+// =============================================================================
+
+import { BRAND, GAME_H, GAME_W } from './constants.js'
+import {
+  createReplayClip,
+  getReplayCamera,
+  getReplayEvents,
+  getReplayFrame,
+  getReplaySpeed,
+} from './instantReplay.js'
+import { drawParticles, spawnBurst, spawnSnowBurst } from './particles.js'
+import { createRng } from './rng.js'
+
+const SCALE = 1.8 // 400×700 game → 720×1260 video
+const FPS = 30
+const SCENE_RESOLUTION = 2 // venue rasterised at 2× so the lip close-up stays sharp
+const END_CARD = 1500 // ms the result holds after the replay
+const MAX_DURATION = 30000 // ms — filming stops here whatever happens
+
+const FONT = "'Open Sans','Segoe UI',system-ui,sans-serif"
+const DISPLAY_FONT = "'Barlow Condensed','Open Sans',system-ui,sans-serif"
+
+const GRADE_DISPLAY = {
+  telemark: { label: 'TELEMARK!', color: BRAND.green },
+  clean: { label: 'CLEAN', color: BRAND.blueLight },
+  shaky: { label: 'SHAKY', color: BRAND.orange },
+  crash: { label: 'CRASH!', color: BRAND.red },
+}
+
+const FORMATS = [
+  { mimeType: 'video/webm;codecs=vp9', extension: 'webm' },
+  { mimeType: 'video/webm', extension: 'webm' },
+  { mimeType: 'video/mp4', extension: 'mp4' },
+]
+
+// ---------------------------------------------------------------------------
+// 1. What can be filmed
+// ---------------------------------------------------------------------------
+
+/** The format this browser records, { mimeType, extension }, or null if it can't. */
+export function getVideoFormat() {
+  if (typeof MediaRecorder === 'undefined' || !HTMLCanvasElement.prototype.captureStream) return null
+  return FORMATS.find((f) => MediaRecorder.isTypeSupported(f.mimeType)) || null
+}
+
+/** The game's longest jump with a recorded path, or null. */
+export function pickVideoJump(scores) {
+  return scores
+    .filter((s) => s.path?.length > 1)
+    .reduce((best, s) => (!best || s.distance > best.distance ? s : best), null)
+}
+
+// ---------------------------------------------------------------------------
+// 2. Drawing
+// ---------------------------------------------------------------------------
+
+// The venue SVG as an image — serialised from a rendered SkiJumpScene
+function loadSceneImage(svg, hill) {
+  const clone = svg.cloneNode(true)
+  clone.setAttribute('width', hill.sceneW * SCENE_RESOLUTION)
+  clone.setAttribute('height', GAME_H * SCENE_RESOLUTION)
+  const url = URL.createObjectURL(
+    new Blob([new XMLSerializer().serializeToString(clone)], { type: 'image/svg+xml' }),
+  )
+  return new Promise((resolve, reject) => {
+    const img = new Image()
+    img.onload = () => {
+      URL.revokeObjectURL(url)
+      resolve(img)
+    }
+    img.onerror = () => {
+      URL.revokeObjectURL(url)
+      reject(new Error('Could not draw the venue'))
+    }
+    img.src = url
+  })
+}
+
+function drawJumper(ctx, frame, emoji) {
+  ctx.save()
+  ctx.translate(frame.x, frame.y)
+  if (frame.phase === 'flight') ctx.rotate((frame.pitch * Math.PI) / 180)
+  ctx.font = '34px serif'
+  ctx.textAlign = 'center'
+  ctx.textBaseline = 'middle'
+  ctx.shadowColor = 'rgba(0,0,0,0.6)'
+  ctx.shadowBlur = 6
+  ctx.fillText(emoji, 0, 0)
+  ctx.restore()
+}
+
+// Title, watermark and — once the jumper is down — distance and grade,
+// in game pixels over the whole frame
+function drawOverlay(ctx, jump, hill, landedFor) {
+  ctx.fillStyle = 'rgba(10,15,30,0.75)'
+  ctx.fillRect(0, 0, GAME_W, 52)
+  ctx.fillRect(0, GAME_H - 44, GAME_W, 44)
+
+  ctx.textBaseline = 'middle'
+  ctx.textAlign = 'left'
+  ctx.fillStyle = BRAND.white
+  ctx.font = `800 20px ${DISPLAY_FONT}`
+  ctx.fillText('AI SKI JUMP CHAMPIONSHIP', 14, 20)
+  ctx.fillStyle = BRAND.grayLight
+  ctx.font = `600 11px ${FONT}`
+  ctx.fillText(`${hill.emoji} ${hill.name} • K${hill.profile.kPoint}`, 14, 38)
+
+  ctx.fillStyle = BRAND.white
+  ctx.font = `800 14px ${FONT}`
+  ctx.fillText('BrandedAI', 14, GAME_H - 22)
+  ctx.textAlign = 'right'
+  ctx.fillStyle = BRAND.grayLight
+  ctx.font = `600 11px ${FONT}`
+  ctx.fillText('skijump.brandedai.net', GAME_W - 14, GAME_H - 22)
+
+  if (landedFor <= 0) return
+  const grade = GRADE_DISPLAY[jump.landingGrade] || GRADE_DISPLAY.clean
+  ctx.globalAlpha = Math.min(1, landedFor / 300)
+  ctx.textAlign = 'center'
+  ctx.fillStyle = BRAND.white
+  ctx.shadowColor = 'rgba(0,0,0,0.7)'
+  ctx.shadowBlur = 12
+  ctx.font = `800 64px ${DISPLAY_FONT}`
+  ctx.fillText(`${jump.distance.toFixed(1)}m`, GAME_W / 2, 110)
+  ctx.fillStyle = grade.color
+  ctx.font = `800 20px ${FONT}`
+  ctx.fillText(grade.label, GAME_W / 2, 152)
+  ctx.shadowBlur = 0
+  ctx.globalAlpha = 1
+}
+
+// ---------------------------------------------------------------------------
+// 3. Recording
+// ---------------------------------------------------------------------------
+
+/**
+ * Film a round's replay. svg is the <svg> of a SkiJumpScene rendered for
+ * the jump's hill and gate; jump is a round result (see pickVideoJump).
+ * Plays in real time, slow motion included — about ten seconds.
+ *
+ * Resolves to a Blob in the format from getVideoFormat().
+ */
+export async function recordJumpVideo({ svg, jump, hill }) {
+  const format = getVideoFormat()
+  const clip = createReplayClip(jump)
+  if (!format || !clip) throw new Error('This jump can’t be filmed here')
+
+  const scene = await loadSceneImage(svg, hill)
+  const canvas = document.createElement('canvas')
+  canvas.width = GAME_W * SCALE
+  canvas.height = GAME_H * SCALE
+  const ctx = canvas.getContext('2d')
+
+  const recorder = new MediaRecorder(canvas.captureStream(FPS), {
+    mimeType: format.mimeType,
+    videoBitsPerSecond: 4000000,
+  })
+  const chunks = []
+  recorder.ondataavailable = (e) => {
+    if (e.data.size > 0) chunks.push(e.data)
+  }
+  const stopped = new Promise((resolve) => {
+    recorder.onstop = () => resolve(new Blob(chunks, { type: format.mimeType }))
+  })
+
+  const particles = []
+  const rng = createRng(0) // cosmetic only
+  let t = clip.start
+  let clock = 0
+  let endCard = 0
+  const startedAt = performance.now()
+  let last = startedAt
+
+  function drawFrame(dt) {
+    const speed = getReplaySpeed(clip, t)
+    const prevT = t
+    t = Math.min(t + dt * speed, clip.end)
+    clock += dt * speed
+    if (t >= clip.end) endCard += dt
+
+    const at = getReplayFrame(clip, t, hill)
+    for (const event of getReplayEvents(clip, prevT, t)) {
+      const p = getReplayFrame(clip, event.at, hill)
+      if (event.type === 'launch') spawnBurst(particles, p.x, p.y, 10, clock, 250)
+      else if (event.type === 'lean') spawnBurst(particles, p.x, p.y, 6, clock, 180)
+      else spawnSnowBurst(particles, p.x, p.y, clip.landingGrade, rng, clock)
+    }
+    if (at.phase === 'flight') {
+      particles.push({ type: 'trailDot', x: at.x, y: at.y, color: BRAND.blueLight, born: clock, lifeTime: 1200 })
+    }
+
+    // Scene and everything on it through the replay camera
+    const cam = getReplayCamera(clip, t, hill)
+    ctx.setTransform(SCALE * cam.zoom, 0, 0, SCALE * cam.zoom, SCALE * cam.x, SCALE * cam.y)
+    ctx.drawImage(scene, 0, 0, hill.sceneW, GAME_H)
+    drawParticles(ctx, particles, clock, speed)
+    drawJumper(ctx, at, clip.emoji)
+
+    ctx.setTransform(SCALE, 0, 0, SCALE, 0, 0)
+    drawOverlay(ctx, jump, hill, at.phase === 'landed' ? t - clip.landAt + endCard : 0)
+  }
+
+  // A frame that throws stops the recorder and fails the promise, so the
+  // caller never waits on a recording that has stopped drawing
+  try {
+    await new Promise((resolve, reject) => {
+      function frame() {
+        try {
+          const now = performance.now()
+          drawFrame(Math.min(now - last, 100))
+          last = now
+          if (endCard >= END_CARD) resolve()
+          else if (now - startedAt > MAX_DURATION) reject(new Error('Filming took too long'))
+          else requestAnimationFrame(frame)
+        } catch (err) {
+          reject(err)
+        }
+      }
+      recorder.start()
+      requestAnimationFrame(frame)
+    })
+  } finally {
+    if (recorder.state !== 'inactive') recorder.stop()
+  }
+  return stopped
+}
+
+// ---------------------------------------------------------------------------
+// 4. Sharing
+// ---------------------------------------------------------------------------
+
+/**
+ * Share a video through the share sheet where the browser can share
+ * files, otherwise download it. Call from a tap — share sheets need one.
+ */
+export async function shareVideo(blob, filename, text) {
+  const file = new File([blob], filename, { type: blob.type })
+  if (navigator.canShare?.({ files: [file] })) {
+    try {
+      await navigator.share({ files: [file], text })
+      return
+    } catch (e) {
+      if (e.name === 'AbortError') return // closed the share sheet
+    }
+  }
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  link.click()
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
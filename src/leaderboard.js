@@ -0,0 +1,131 @@
+// =============================================================================
+// AI Ski Jump Championship — Leaderboard
+// Pure JavaScript — no React, no DOM, no side effects.
+// Every finished game becomes an entry; boards are per hill, for the current
+// ISO week or all time. Weeks roll over by themselves — a board is just a
+// filter on the entries' week key.
+// Shared by the browser and the reference server in server/, so imports
+// carry explicit .js extensions.
+// =============================================================================
+
+import { getDateKey } from './daily.js'
+
+export const BOARD_SIZE = 10
+
+// Oldest entries are pruned past this, except all-time top BOARD_SIZE ones
+export const MAX_ENTRIES = 500
+
+// ---------------------------------------------------------------------------
+// 1. ISO week
+// ---------------------------------------------------------------------------
+
+/**
+ * ISO 8601 week of a local calendar date as "YYYY-Www". Weeks start on
+ * Monday and belong to the year of their Thursday, so 2026-12-31 can be
+ * "2026-W53" and 2027-01-01 still be in it.
+ */
+export function getWeekKey(date = new Date()) {
+  const d = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()))
+  const weekday = d.getUTCDay() || 7
+  d.setUTCDate(d.getUTCDate() + 4 - weekday) // Thursday of the same week
+  const year = d.getUTCFullYear()
+  const week = Math.ceil(((d - Date.UTC(year, 0, 1)) / 86400000 + 1) / 7)
+  return `${year}-W${String(week).padStart(2, '0')}`
+}
+
+// ---------------------------------------------------------------------------
+// 2. Entries
+// ---------------------------------------------------------------------------
+
+/**
+ * Build a leaderboard entry for a finished game.
+ *
+ * game: { name, hillId, mode, seed, total, grade, rounds }
+ *   grade   grade tier label
+ *   rounds  [{ distance, landingGrade, counted, inputs }] in round order;
+ *           inputs are the recorded taps (see replay.js), which let a
+ *           server re-run the game before accepting it
+ */
+export function createEntry(game, date = new Date()) {
+  return {
+    id: `${date.getTime().toString(36)}-${(game.seed >>> 0).toString(36)}`,
+    name: game.name || '',
+    hillId: game.hillId,
+    mode: game.mode,
+    seed: game.seed,
+    total: game.total,
+    grade: game.grade,
+    rounds: game.rounds.map((r) => ({
+      distance: r.distance,
+      landingGrade: r.landingGrade,
+      counted: !!r.counted,
+      inputs: r.inputs,
+    })),
+    date: getDateKey(date),
+    week: getWeekKey(date),
+    playedAt: date.toISOString(),
+  }
+}
+
+/** Highest total first; ties go to whoever got there first. */
+function compareEntries(a, b) {
+  return b.total - a.total || a.playedAt.localeCompare(b.playedAt)
+}
+
+/**
+ * Entries on one hill, best first.
+ * Pass a week key to restrict to that week, or null for all time.
+ */
+export function rankEntries(entries, hillId, week = null) {
+  return entries
+    .filter((e) => e.hillId === hillId && (week == null || e.week === week))
+    .sort(compareEntries)
+}
+
+/** 1-based position of an entry on a board, or null if it isn't on it. */
+export function getRank(entries, entryId, hillId, week = null) {
+  const i = rankEntries(entries, hillId, week).findIndex((e) => e.id === entryId)
+  return i === -1 ? null : i + 1
+}
+
+/** The top `limit` of a board, each entry tagged with its 1-based rank. */
+export function getTop(entries, hillId, week = null, limit = BOARD_SIZE) {
+  return rankEntries(entries, hillId, week)
+    .slice(0, limit)
+    .map((e, i) => ({ ...e, rank: i + 1 }))
+}
+
+/**
+ * An entry and up to `radius` places either side of it on a board.
+ * Returns { rank, entries } (entries tagged with rank), or
+ * { rank: null, entries: [] } if the entry isn't on the board.
+ */
+export function getAround(entries, entryId, hillId, week = null, radius = 2) {
+  const ranked = rankEntries(entries, hillId, week)
+  const i = ranked.findIndex((e) => e.id === entryId)
+  if (i === -1) return { rank: null, entries: [] }
+  const from = Math.max(0, i - radius)
+  return {
+    rank: i + 1,
+    entries: ranked.slice(from, i + radius + 1).map((e, j) => ({ ...e, rank: from + j + 1 })),
+  }
+}
+
+/**
+ * Add an entry and keep the list bounded: the newest `max` survive, plus
+ * each hill's all-time top BOARD_SIZE however old.
+ */
+export function addEntry(entries, entry, max = MAX_ENTRIES) {
+  const next = [...entries, entry]
+  if (next.length <= max) return next
+
+  const keep = new Set(
+    [...next].sort((a, b) => b.playedAt.localeCompare(a.playedAt))
+      .slice(0, max)
+      .map((e) => e.id),
+  )
+  for (const hillId of new Set(next.map((e) => e.hillId))) {
+    rankEntries(next, hillId).slice(0, BOARD_SIZE).forEach((e) => keep.add(e.id))
+  }
+  return next.filter((e) => keep.has(e.id))
+}
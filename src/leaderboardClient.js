@@ -0,0 +1,127 @@
+// =============================================================================
+// AI Ski Jump Championship — Leaderboard Client
+// One interface, two backends: this device's localStorage, or a shared
+// server speaking the JSON protocol documented in server/leaderboard-server.js.
+// Which one the game uses is configuration, not code — set
+// VITE_LEADERBOARD_URL at build time to switch to the global board.
+// =============================================================================
+
+import { BOARD_SIZE, addEntry, getAround, getRank, getTop, getWeekKey } from './leaderboard.js'
+
+// ---------------------------------------------------------------------------
+// Client interface — every method returns a Promise
+// ---------------------------------------------------------------------------
+//   kind                               'local' | 'http'
+//   submit(entry)                      → { entry, weekRank, allTimeRank }
+//   fetchWeekly(hillId, { week, limit })      → [entry + rank]
+//   fetchAllTime(hillId, { limit })           → [entry + rank]
+//   fetchAroundMe(hillId, entryId, { week, radius })
+//                                      → { rank, entries: [entry + rank] }
+//
+// `entry` is from createEntry() in leaderboard.js. The stored entry comes
+// back from submit() — keep its id to find yourself on later boards.
+// `week` defaults to the current local ISO week; pass null to
+// fetchAroundMe for the all-time board.
+
+const DEFAULT_KEY = 'skijump_leaderboard'
+
+/**
+ * Leaderboard kept in localStorage — the player's own games only.
+ */
+export function createLocalLeaderboard({ storage = globalThis.localStorage, key = DEFAULT_KEY } = {}) {
+  function load() {
+    try {
+      return JSON.parse(storage.getItem(key)) || []
+    } catch {
+      return []
+    }
+  }
+
+  function save(entries) {
+    try {
+      storage.setItem(key, JSON.stringify(entries))
+    } catch {
+      // quota exceeded — ignore
+    }
+  }
+
+  return {
+    kind: 'local',
+
+    async submit(entry) {
+      const entries = addEntry(load(), entry)
+      save(entries)
+      return {
+        entry,
+        weekRank: getRank(entries, entry.id, entry.hillId, entry.week),
+        allTimeRank: getRank(entries, entry.id, entry.hillId),
+      }
+    },
+
+    async fetchWeekly(hillId, { week = getWeekKey(), limit = BOARD_SIZE } = {}) {
+      return getTop(load(), hillId, week, limit)
+    },
+
+    async fetchAllTime(hillId, { limit = BOARD_SIZE } = {}) {
+      return getTop(load(), hillId, null, limit)
+    },
+
+    async fetchAroundMe(hillId, entryId, { week = getWeekKey(), radius = 2 } = {}) {
+      return getAround(load(), entryId, hillId, week, radius)
+    },
+  }
+}
+
+/**
+ * Leaderboard on a server at baseUrl (e.g. "http://localhost:8787").
+ * Rejects with an Error when the server can't be reached or answers
+ * with an error status.
+ */
+export function createHttpLeaderboard(baseUrl, { fetch: fetchImpl = globalThis.fetch } = {}) {
+  const root = baseUrl.replace(/\/+$/, '')
+
+  async function request(path, params, init) {
+    const query = params
+      ? '?' + new URLSearchParams(
+        Object.entries(params).filter(([, v]) => v != null),
+      )
+      : ''
+    const res = await fetchImpl(`${root}/api/scores${path}${query}`, {
+      ...init,
+      headers: { 'Content-Type': 'application/json', ...init?.headers },
+    })
+    const body = await res.json().catch(() => ({}))
+    if (!res.ok) throw new Error(body.error || `Leaderboard request failed (${res.status})`)
+    return body
+  }
+
+  return {
+    kind: 'http',
+
+    submit(entry) {
+      return request('', null, { method: 'POST', body: JSON.stringify(entry) })
+    },
+
+    async fetchWeekly(hillId, { week = getWeekKey(), limit = BOARD_SIZE } = {}) {
+      return (await request('/weekly', { hill: hillId, week, limit })).entries
+    },
+
+    async fetchAllTime(hillId, { limit = BOARD_SIZE } = {}) {
+      return (await request('/all-time', { hill: hillId, limit })).entries
+    },
+
+    fetchAroundMe(hillId, entryId, { week = getWeekKey(), radius = 2 } = {}) {
+      return request('/around', { hill: hillId, id: entryId, week, radius })
+    },
+  }
+}
+
+/** Client for the given config: { url } selects HTTP, otherwise local. */
+export function createLeaderboardClient({ url } = {}) {
+  return url ? createHttpLeaderboard(url) : createLocalLeaderboard()
+}
+
+// The game's client, picked at build time
+export const leaderboardClient = createLeaderboardClient({
+  url: import.meta.env.VITE_LEADERBOARD_URL,
+})
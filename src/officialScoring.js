@@ -0,0 +1,152 @@
+// =============================================================================
+// AI Ski Jump Championship — Official Scoring
+// Pure JavaScript — no React, no DOM, no side effects.
+// Competition points, modelled on the real thing: distance points from the
+// K-point, five style judges with the highest and lowest marks dropped, and
+// compensation for the wind and the start gate. It reads the same jumps as
+// the arcade score (distance × landing multiplier) — only the sums differ.
+// =============================================================================
+
+import { OFFICIAL_SCORING, POSTURE } from './constants.js'
+
+function roundTo(value, step) {
+  return Math.round(value / step) * step
+}
+
+function round1(value) {
+  return Math.round(value * 10) / 10
+}
+
+// ---------------------------------------------------------------------------
+// 1. getHillPoints(hill)
+// ---------------------------------------------------------------------------
+/**
+ * What a metre, a m/s of wind and a start gate are worth on a hill, set
+ * from its K-point:
+ *
+ *   meterValue  points per metre either side of K — 2.0 on a normal hill
+ *               (K below 100), 1.8 on a large hill, 1.2 on a flying hill
+ *               (K 170 and up)
+ *   basePoints  for a jump of exactly K — 60, or 120 on a flying hill
+ *   headwind    points off per m/s of headwind — what it adds to the
+ *               jump (OFFICIAL_SCORING.windMetres); a tailwind gives back
+ *               tailwindFactor times as much
+ *   gate        points per gate below the reference gate
+ */
+export function getHillPoints(hill) {
+  const k = hill.profile.kPoint
+  const meterValue = k < 100 ? 2.0 : k < 170 ? 1.8 : 1.2
+  const headwind = k * OFFICIAL_SCORING.windMetres * meterValue
+  return {
+    kPoint: k,
+    meterValue,
+    basePoints: k < 170 ? 60 : 120,
+    headwind,
+    tailwind: headwind * OFFICIAL_SCORING.tailwindFactor,
+    gate: k * OFFICIAL_SCORING.gateMetres * meterValue,
+  }
+}
+
+// ---------------------------------------------------------------------------
+// 2. getFlightStats(state, leanChanges)
+// ---------------------------------------------------------------------------
+/**
+ * What the judges and the wind measurement saw of a flight, from its
+ * flight state (see createFlightState) and the number of lean changes the
+ * player made.
+ *
+ * Returns { wind, pitchPeak, corrections } — wind is the average m/s over
+ * the flight (negative = headwind).
+ */
+export function getFlightStats(state, leanChanges = 0) {
+  return {
+    wind: state.steps > 0 ? state.windSum / state.steps : state.wind,
+    pitchPeak: state.pitchPeak,
+    corrections: leanChanges,
+  }
+}
+
+// ---------------------------------------------------------------------------
+// 3. judgeJump(landingGrade, stats, rng)
+// ---------------------------------------------------------------------------
+/**
+ * Five style marks out of 20, in half points. Every judge starts from the
+ * same deductions — for the landing, the biggest swing of the body and
+ * a flight spent fighting the air — and sees it a little differently.
+ * rng is a seeded stream (see rng.js), so the same jump gets the same marks.
+ */
+export function judgeJump(landingGrade, stats, rng) {
+  const {
+    judges, maxMark, judgeSpread, landingDeduction, stablePitch, pitchDeduction,
+    freeCorrections, correctionDeduction, maxCorrectionDeduction,
+  } = OFFICIAL_SCORING
+
+  const swing = stats.pitchPeak / POSTURE.maxPitch
+  const unsteady = Math.min(1, Math.max(0, (swing - stablePitch) / (1 - stablePitch)))
+  const fighting = Math.min(
+    maxCorrectionDeduction,
+    Math.max(0, stats.corrections - freeCorrections) * correctionDeduction,
+  )
+  const mark = maxMark
+    - (landingDeduction[landingGrade] ?? landingDeduction.crash)
+    - unsteady * pitchDeduction
+    - fighting
+
+  const marks = []
+  for (let i = 0; i < judges; i++) {
+    const own = mark + (rng() * 2 - 1) * judgeSpread
+    marks.push(Math.min(maxMark, Math.max(0, roundTo(own, 0.5))))
+  }
+  return marks
+}
+
+// ---------------------------------------------------------------------------
+// 4. scoreOfficialJump({ distance, landingGrade, stats, hill, gateDelta, rng })
+// ---------------------------------------------------------------------------
+/**
+ * Competition points for one jump.
+ *
+ * distance: raw flight distance in metres — measured to the half metre.
+ * stats: from getFlightStats(). gateDelta: gates below the reference gate
+ * the jump started from (negative when above it).
+ *
+ * Returns { distance, distancePoints, marks, dropped, stylePoints, wind,
+ *   windPoints, gateDelta, gatePoints, points } — dropped holds the indices
+ *   of the high and low marks that don't count.
+ */
+export function scoreOfficialJump({ distance, landingGrade, stats, hill, gateDelta = 0, rng }) {
+  const values = getHillPoints(hill)
+  const measured = roundTo(distance, 0.5)
+  const distancePoints = round1(values.basePoints + (measured - values.kPoint) * values.meterValue)
+
+  const marks = judgeJump(landingGrade, stats, rng)
+  const high = marks.indexOf(Math.max(...marks))
+  const low = marks.findIndex((m, i) => i !== high && m === Math.min(...marks))
+  const stylePoints = marks.reduce((sum, m, i) => (i === high || i === low ? sum : sum + m), 0)
+
+  // Headwind helped the jump, so it costs points; tailwind earns them
+  const wind = round1(stats.wind)
+  const windPoints = round1(wind * (wind < 0 ? values.headwind : values.tailwind))
+  const gatePoints = round1(gateDelta * values.gate)
+
+  return {
+    distance: measured,
+    distancePoints,
+    marks,
+    dropped: [high, low],
+    stylePoints,
+    wind,
+    windPoints,
+    gateDelta,
+    gatePoints,
+    points: Math.max(0, round1(distancePoints + stylePoints + windPoints + gatePoints)),
+  }
+}
+
+// ---------------------------------------------------------------------------
+// 5. calculateOfficialTotal(jumps)
+// ---------------------------------------------------------------------------
+/** Competition total: every jump's points count, to 0.1. */
+export function calculateOfficialTotal(jumps) {
+  return round1(jumps.reduce((sum, j) => sum + j.points, 0))
+}
@@ -0,0 +1,102 @@
+// =============================================================================
+// AI Ski Jump Championship — Particle Layer
+// The canvas particles drawn over the scene — trail dots, take-off bursts,
+// speed lines and landing snow — shared by the live jump, its replay and
+// the jump video (see jumpVideo.js), so all three look the same. Particles are plain
+// objects with a type, a position and { born, lifeTime } on whatever clock
+// the caller ages them on.
+// =============================================================================
+
+import { BRAND } from './constants.js'
+
+// ---------------------------------------------------------------------------
+// 1. Spawning
+// ---------------------------------------------------------------------------
+
+/** Snow sprayed up on touchdown — more, and wider, the worse the landing. */
+export function spawnSnowBurst(particles, x, y, grade, rng, now) {
+  const count = grade === 'telemark' ? 20 : grade === 'clean' ? 30 : grade === 'shaky' ? 40 : 60
+  const spread = grade === 'telemark' ? 40 : grade === 'clean' ? 60 : grade === 'shaky' ? 80 : 120
+  for (let i = 0; i < count; i++) {
+    const angle = rng() * Math.PI * 2
+    const speed = (0.3 + rng() * 0.7) * spread
+    particles.push({
+      type: 'snow',
+      x,
+      y,
+      vx: Math.cos(angle) * speed * 2,
+      vy: (Math.sin(angle) * speed - Math.abs(Math.sin(angle)) * spread * 0.3) * 2,
+      size: 2 + rng() * 3,
+      born: now,
+      lifeTime: 500 + rng() * 200,
+    })
+  }
+}
+
+/** White rays out from a point — the take-off, or a shift of lean. */
+export function spawnBurst(particles, x, y, rays, now, lifeTime) {
+  for (let i = 0; i < rays; i++) {
+    particles.push({ type: 'launchBurst', x, y, angle: (i / rays) * Math.PI * 2, born: now, lifeTime })
+  }
+}
+
+// ---------------------------------------------------------------------------
+// 2. Drawing
+// ---------------------------------------------------------------------------
+
+/**
+ * Draw the particles at time now, dropping the ones that have faded.
+ * speed scales how far moving particles travel this frame — below 1 in
+ * slow motion.
+ */
+export function drawParticles(ctx, particles, now, speed = 1) {
+  for (let i = particles.length - 1; i >= 0; i--) {
+    const p = particles[i]
+    const life = (now - p.born) / p.lifeTime
+    if (life >= 1) {
+      particles.splice(i, 1)
+      continue
+    }
+    ctx.globalAlpha = 1 - life
+    if (p.type === 'trailDot') {
+      ctx.fillStyle = p.color
+      ctx.beginPath()
+      ctx.arc(p.x, p.y, 4, 0, Math.PI * 2)
+      ctx.fill()
+      // Glow
+      ctx.shadowColor = p.color
+      ctx.shadowBlur = 8
+      ctx.fill()
+      ctx.shadowBlur = 0
+    } else if (p.type === 'snow') {
+      ctx.fillStyle = BRAND.white
+      ctx.beginPath()
+      ctx.arc(p.x, p.y, p.size, 0, Math.PI * 2)
+      ctx.fill()
+      p.x += p.vx * 0.016 * speed
+      p.y += p.vy * 0.016 * speed
+      p.vy += 0.2 * speed // Gravity
+    } else if (p.type === 'launchBurst') {
+      ctx.save()
+      ctx.translate(p.x, p.y)
+      ctx.rotate(p.angle)
+      ctx.fillStyle = BRAND.white
+      ctx.fillRect(10 + life * 20, -1, 15, 2)
+      ctx.restore()
+    } else if (p.type === 'speedLine') {
+      ctx.save()
+      ctx.translate(p.x, p.y)
+      ctx.rotate((p.angle * Math.PI) / 180)
+      const alpha = 0.6 * (1 - life)
+      const grad = ctx.createLinearGradient(0, 0, p.w, 0)
+      grad.addColorStop(0, `rgba(255, 255, 255, ${alpha})`)
+      grad.addColorStop(1, 'rgba(255, 255, 255, 0)')
+      ctx.fillStyle = grad
+      ctx.fillRect(0, -1.5, p.w, 3)
+      ctx.restore()
+      p.x -= 2 * speed // move backwards fast
+      p.y -= 1.5 * speed
+    }
+  }
+  ctx.globalAlpha = 1.0
+}
@@ -2,31 +2,39 @@
 // AI Ski Jump Championship — Physics Module (T4)
 // Pure JavaScript — no React, no DOM, no side effects.
 // All functions are pure: given inputs → outputs.
+// Also loaded by plain Node (server/ replays submitted games), so local
+// imports spell out their .js extension.
 // =============================================================================
 
 import {
   GRAVITY,
-  AIR_RESISTANCE,
-  RAMP_HEIGHT,
-  MAX_DISTANCE,
-  RAMP_TOP,
-  RAMP_LIP,
-  LANDING_HILL_SLOPE,
+  AERO,
+  LAUNCH_ATTACK,
+  POSTURE,
   LAUNCH_ANGLES,
   SPEED_MULT,
-  GAME_W,
   GAME_H,
-  SCENE_W,
-} from './constants'
+  DEFAULT_HILL,
+  WIND_RANGE,
+  WIND_GUSTS,
+  START_GATES,
+  JUMPER_STATS,
+  BEST_N,
+  TIMING,
+  LAUNCH_EARLY_BIAS,
+  LANDING_TIMING,
+  LANDING_MULT,
+  APPROACH_DURATION,
+  PHYSICS_HZ,
+  PHYSICS_DT,
+} from './constants.js'
+import { createHillProfile } from './hillProfile.js'
+import { createRng, deriveSeed } from './rng.js'
 
 // ---------------------------------------------------------------------------
 // Tuning constants
+// (Per-hill scale — pixelsPerMetre, rampHeight — lives in HILLS.)
 // ---------------------------------------------------------------------------
-// PIXELS_PER_METRE: maps pixel distance along the hill to metres.
-// With SCENE_W=800, the hill run is ~575px (750 - 175) spanning ~200m max,
-// giving 575/200 ≈ 2.875.
-const PIXELS_PER_METRE = 2.875
-
 // PIXEL_SCALE: converts the energy-conservation base speed (m/s) to px/s.
 // Reduced from 3.2 to 2.0 for camera-tracked scene — jumps now land
 // within the extended hill rather than flying off-screen.
@@ -36,17 +44,33 @@ const PIXEL_SCALE = 2.0
 // Tuned together with PIXEL_SCALE so flight time is ~3s and arcs look good.
 const GRAVITY_SCALE = 10
 
-// VERT_DRAG_RATIO: vertical air resistance is this fraction of horizontal.
-// Real ski jumpers create frontal drag (horizontal) but minimal vertical drag.
-// Reducing vertical drag produces taller, more visually satisfying arcs
-// without extending horizontal distance.
-const VERT_DRAG_RATIO = 0.3
-
 // Derived gravity in px/s²
 const G_PX = GRAVITY * GRAVITY_SCALE
 
-// Export for scene distance markers
-export { PIXELS_PER_METRE }
+// Wind in m/s → air velocity in px/s
+const WIND_PX = PIXEL_SCALE * AERO.windScale
+
+// Flights longer than this are cut short (safety cap)
+const MAX_FLIGHT_STEPS = 10 * PHYSICS_HZ
+
+// ---------------------------------------------------------------------------
+// Hill profiles — built once per hill, shared by the flight sim and the scene
+// ---------------------------------------------------------------------------
+const profileCache = new WeakMap()
+
+/** The landing-hill surface for a hill from the HILLS catalogue. */
+export function getHillProfile(hill = DEFAULT_HILL) {
+  let profile = profileCache.get(hill)
+  if (!profile) {
+    profile = createHillProfile({
+      ...hill.profile,
+      lip: hill.rampLip,
+      pixelsPerMetre: hill.pixelsPerMetre,
+    })
+    profileCache.set(hill, profile)
+  }
+  return profile
+}
 
 // ---------------------------------------------------------------------------
 // Helpers
@@ -62,98 +86,249 @@ function lerp(a, b, t) {
 }
 
 // ---------------------------------------------------------------------------
-// 1. calculateApproach(t, duration)
+// 1. calculateApproach(t, duration, hill, gate)
 // ---------------------------------------------------------------------------
 /**
  * Given time t (ms) and total approach duration (ms), return the jumper's
  * position on the ramp surface and a 0-1 progress value.
  *
- * The jumper moves from RAMP_TOP to RAMP_LIP with an accelerating feel
- * (gravity on slope), modelled by progress = (t/duration)^1.3.
+ * The jumper moves from the start gate to the hill's rampLip with an
+ * accelerating feel (gravity on slope), modelled by
+ * progress = (t/duration)^1.3. The approach takes the same time from any
+ * gate, so the launch timing window never moves.
  */
-export function calculateApproach(t, duration) {
+export function calculateApproach(t, duration, hill = DEFAULT_HILL, gate = START_GATES.reference) {
   const raw = clamp(t / duration, 0, 1)
   const progress = Math.pow(raw, 1.3) // acceleration feel
 
-  const x = lerp(RAMP_TOP.x, RAMP_LIP.x, progress)
-  const y = lerp(RAMP_TOP.y, RAMP_LIP.y, progress)
+  const start = getGatePosition(gate, hill)
+  const x = lerp(start.x, hill.rampLip.x, progress)
+  const y = lerp(start.y, hill.rampLip.y, progress)
 
   return { x, y, progress }
 }
 
 // ---------------------------------------------------------------------------
-// 2. calculateLaunchVelocity(timingGrade, windSpeed)
+// 1b. Start gates — clampGate / getGatePosition / getJuryGate / resolveGate
+// ---------------------------------------------------------------------------
+
+/** A gate number in range (1 … START_GATES.count); the reference if unset. */
+export function clampGate(gate) {
+  if (!Number.isFinite(gate)) return START_GATES.reference
+  return clamp(Math.round(gate), 1, START_GATES.count)
+}
+
+/**
+ * Where a gate sits on the in-run: the top gate at the hill's rampTop,
+ * each one below it START_GATES.spacing of the in-run further down.
+ */
+export function getGatePosition(gate, hill = DEFAULT_HILL) {
+  const f = (START_GATES.count - clampGate(gate)) * START_GATES.spacing
+  return {
+    x: lerp(hill.rampTop.x, hill.rampLip.x, f),
+    y: lerp(hill.rampTop.y, hill.rampLip.y, f),
+  }
+}
+
+/**
+ * The jury's gate for a round's mean wind (m/s, negative = headwind), or
+ * null when it's calm enough to leave the choice to the jumper.
+ */
+export function getJuryGate(wind) {
+  if (Math.abs(wind) < START_GATES.juryWind) return null
+  return clampGate(START_GATES.reference + Math.round(wind * START_GATES.juryGatesPerMs))
+}
+
+/**
+ * The gate a round actually starts from: the jury's when it has set one,
+ * otherwise the jumper's pick. The live game and the replay both resolve
+ * the recorded gate through here.
+ */
+export function resolveGate(requested, wind) {
+  return getJuryGate(wind) ?? clampGate(requested)
+}
+
+// ---------------------------------------------------------------------------
+// 1c. getJumperTraits(jumper)
 // ---------------------------------------------------------------------------
 /**
- * Compute launch velocity vector based on timing grade and wind.
+ * A jumper's stats (see JUMPERS) as multipliers on the plain physics —
+ * 1 at JUMPER_STATS.neutral. A missing jumper or stat counts as neutral.
+ *
+ * Returns { speed, lift, stability, lean }.
+ */
+export function getJumperTraits(jumper) {
+  const trait = (name) => {
+    const stat = jumper?.stats?.[name]
+    const points = Number.isFinite(stat)
+      ? clamp(stat, 1, JUMPER_STATS.max) - JUMPER_STATS.neutral
+      : 0
+    return 1 + points * JUMPER_STATS[name]
+  }
+  return {
+    speed: trait('speed'),
+    lift: trait('lift'),
+    stability: trait('stability'),
+    lean: trait('lean'),
+  }
+}
+
+// ---------------------------------------------------------------------------
+// 2. calculateLaunchVelocity(timingGrade, hill, gate, jumper)
+// ---------------------------------------------------------------------------
+/**
+ * Compute launch velocity vector and flight posture based on timing grade.
+ * Wind no longer nudges the take-off — it acts through the air all flight
+ * long (see simulateFlight).
  *
  * timingGrade: 'perfect' | 'good' | 'ok' | 'miss'
- * windSpeed: m/s (negative = headwind, positive = tailwind)
+ * hill: entry from HILLS — its rampHeight sets the in-run speed from the
+ *   reference gate; each gate above or below it adds or takes away
+ *   START_GATES.heightStep of that height.
+ * jumper: entry from JUMPERS, or null — its speed stat scales the take-off.
  *
- * Returns { vx, vy, speed, angle } in px/s (screen coords: vy negative = up).
+ * Returns { vx, vy, speed, angle, attack, traits } in px/s (screen coords:
+ * vy negative = up); attack is the starting angle of attack in degrees,
+ * traits the jumper's (from getJumperTraits), which the flight carries on.
  */
-export function calculateLaunchVelocity(timingGrade, windSpeed) {
+export function calculateLaunchVelocity(
+  timingGrade,
+  hill = DEFAULT_HILL,
+  gate = START_GATES.reference,
+  jumper = null,
+) {
   // --- Determine launch angle (degrees) — deterministic per grade ---
   const angleDeg = LAUNCH_ANGLES[timingGrade] ?? LAUNCH_ANGLES.miss
 
   // --- Compute base speed from energy conservation ---
-  // v = sqrt(2 * g * rampHeight) gives the theoretical exit speed (~71.4 m/s),
-  // multiplied by the timing grade's speed factor, then scaled to px/s.
-  const baseSpeedMs = Math.sqrt(2 * GRAVITY * RAMP_HEIGHT) // ~71.4 m/s
+  // v = sqrt(2 * g * height) gives the theoretical exit speed from the
+  // gate (~71.4 m/s from the large hill's reference gate), multiplied by
+  // the timing grade's speed factor, then scaled to px/s.
+  const gates = clampGate(gate) - START_GATES.reference
+  const height = hill.rampHeight * (1 + gates * START_GATES.heightStep)
+  const baseSpeedMs = Math.sqrt(2 * GRAVITY * height)
+  const traits = getJumperTraits(jumper)
   const mult = SPEED_MULT[timingGrade] ?? SPEED_MULT.miss
-  const gradedSpeed = baseSpeedMs * mult
+  const gradedSpeed = baseSpeedMs * mult * traits.speed
   const speed = gradedSpeed * PIXEL_SCALE // px/s
 
   // --- Decompose into vx, vy ---
   const angleRad = angleDeg * DEG_TO_RAD
-  let vx = speed * Math.cos(angleRad)  // rightward (positive)
-  let vy = -speed * Math.sin(angleRad) // upward (negative in screen coords)
+  const vx = speed * Math.cos(angleRad)  // rightward (positive)
+  const vy = -speed * Math.sin(angleRad) // upward (negative in screen coords)
 
-  // --- Wind effect on horizontal velocity ---
-  // Wind is in m/s; scale to px/s and apply 70% factor (significant effect)
-  vx += windSpeed * PIXEL_SCALE * 0.7
+  const attack = LAUNCH_ATTACK[timingGrade] ?? LAUNCH_ATTACK.miss
 
-  return { vx, vy, speed, angle: angleDeg }
+  return { vx, vy, speed, angle: angleDeg, attack, traits }
 }
 
 // ---------------------------------------------------------------------------
-// 3. simulateFlight(state, startPos, dt)
+// 2b. getAeroCoefficients(attack)
 // ---------------------------------------------------------------------------
 /**
- * Advance the flight simulation by one time step.
+ * Lift and drag coefficients for an angle of attack in degrees (see AERO).
+ * Plain arithmetic, no trig, so this adds no rounding that differs between
+ * JS engines. The launch vector does use Math.cos/sin (see
+ * calculateLaunchVelocity), so a replay on another engine can land a hair
+ * off — replay.js allows for that with DISTANCE_EPSILON.
+ *
+ * Returns { lift, drag, stalled }.
+ */
+export function getAeroCoefficients(attack) {
+  const { liftSlope, stallAngle, stallLiftLoss, minLift, dragBase, dragSlope } = AERO
+  const a = Math.max(0, attack)
+  const stalled = a > stallAngle
+  const lift = stalled
+    ? Math.max(minLift, liftSlope * stallAngle - stallLiftLoss * (a - stallAngle))
+    : liftSlope * a
+  const drag = dragBase + dragSlope * a * a
+  return { lift, drag, stalled }
+}
+
+// ---------------------------------------------------------------------------
+// 3. simulateFlight(state, startPos, hill)
+// ---------------------------------------------------------------------------
+/**
+ * Advance the flight simulation by one fixed PHYSICS_DT step.
+ * Callers that run on display time accumulate frame time and call this
+ * once per whole step (see the FLIGHT loop) — never with a variable dt —
+ * so every device computes the same sequence of states.
+ *
+ * Forces are gravity plus lift and drag from the air moving past the
+ * jumper. The air's velocity relative to the jumper is their velocity
+ * minus the wind's, so a headwind (negative wind) raises the airspeed and
+ * with it both lift and drag. Lift acts at right angles to the airflow,
+ * drag against it. The wind is read from the round's wind field at the
+ * jumper's position and flight time, so it changes as they fly.
  *
- * state: mutable state object { x, y, vx, vy, landed, distance, flightTime }
+ * The lean input turns the body (pitch), and the pitch comes off the
+ * launch angle of attack (see POSTURE). Once pitch passes maxPitch the
+ * jumper has over-rotated: the lean no longer answers and the body keeps
+ * turning the way it was going. The jumper's lift and lean traits scale
+ * the lift coefficient and how fast the lean turns the body.
+ *
+ * state: mutable state object
+ *   { x, y, vx, vy, windField, wind, windSum, traits, lean, pitch,
+ *     pitchPeak, launchAttack, attack, overRotated, landed, distance,
+ *     steps, flightTime }
+ *   — wind is the m/s the last step flew in, windSum their running total;
+ *     pitchPeak is the biggest swing either way so far
  *   — initialise via createFlightState().
- * startPos: { x, y } — the RAMP_LIP position (launch origin).
- * dt: time step in seconds (typically 1/60).
+ * startPos: { x, y } — the hill's rampLip position (launch origin).
+ * hill: entry from HILLS — supplies the landing surface and metre scale.
  *
  * Mutates and returns the state object for convenience.
  */
-export function simulateFlight(state, startPos, dt) {
+export function simulateFlight(state, startPos, hill = DEFAULT_HILL) {
   if (state.landed) return state
 
-  // --- Apply gravity (downward = positive y in screen coords) ---
-  state.vy += G_PX * dt
+  // --- Posture: lean turns the body; pitch drifts back when released ---
+  if (state.overRotated) {
+    state.pitch += Math.sign(state.pitch) * POSTURE.rate * PHYSICS_DT
+  } else {
+    const lean = state.lean / POSTURE.levels
+    const rate = POSTURE.rate * state.traits.lean
+    state.pitch += (lean * rate - state.pitch * POSTURE.settle) * PHYSICS_DT
+    if (Math.abs(state.pitch) > POSTURE.maxPitch) state.overRotated = true
+  }
+  state.attack = state.launchAttack - state.pitch
+  state.pitchPeak = Math.max(state.pitchPeak, Math.abs(state.pitch))
 
-  // --- Apply air resistance ---
-  // AIR_RESISTANCE (0.015) is calibrated as a per-frame factor at 60fps.
-  // Scale to dt for framerate independence: drag = (1 - AIR_RESISTANCE)^(dt*60)
-  // Horizontal drag is full strength (frontal resistance in flight posture).
-  // Vertical drag is reduced (VERT_DRAG_RATIO) for taller, more dramatic arcs.
-  const hDrag = Math.pow(1 - AIR_RESISTANCE, dt * 60)
-  const vDrag = Math.pow(1 - AIR_RESISTANCE * VERT_DRAG_RATIO, dt * 60)
-  state.vx *= hDrag
-  state.vy *= vDrag
+  // --- Wind where the jumper is, this instant ---
+  if (state.windField) {
+    state.wind = state.windField.at((state.x - startPos.x) / hill.pixelsPerMetre, state.flightTime)
+  }
+  state.windSum += state.wind
+
+  // --- Airflow relative to the jumper ---
+  const rx = state.vx - state.wind * WIND_PX
+  const ry = state.vy
+  const airSpeed = Math.sqrt(rx * rx + ry * ry)
+
+  // --- Lift (perpendicular to the airflow, upwards) and drag (against it) ---
+  // Each is coefficient × airspeed²; the airspeed factor is folded into
+  // the (rx, ry) components.
+  const aero = getAeroCoefficients(state.attack)
+  const lift = aero.lift * state.traits.lift
+  const { drag } = aero
+  const k = AERO.scale * airSpeed
+  const ax = k * (lift * ry - drag * rx)
+  const ay = k * (-lift * rx - drag * ry)
+
+  // --- Apply gravity (downward = positive y in screen coords) and air ---
+  state.vx += ax * PHYSICS_DT
+  state.vy += (G_PX + ay) * PHYSICS_DT
 
   // --- Update position ---
-  state.x += state.vx * dt
-  state.y += state.vy * dt
+  state.x += state.vx * PHYSICS_DT
+  state.y += state.vy * PHYSICS_DT
 
-  // --- Track flight time ---
-  state.flightTime += dt
+  // --- Track flight time (derived from the step count, never summed) ---
+  state.steps += 1
+  state.flightTime = state.steps * PHYSICS_DT
 
   // --- Check landing: has the jumper reached the hill surface? ---
-  const hillY = getHillY(state.x)
+  const hillY = getHillY(state.x, hill)
 
   if (state.y >= hillY && state.x > startPos.x) {
     // Snap to hill surface
@@ -162,53 +337,72 @@ export function simulateFlight(state, startPos, dt) {
 
     // Calculate distance in metres
     const dx = state.x - startPos.x
-    state.distance = clamp(dx / PIXELS_PER_METRE, 0, MAX_DISTANCE)
+    state.distance = clamp(dx / hill.pixelsPerMetre, 0, hill.maxDistance)
   }
 
   // --- Safety: clamp to extended scene bounds ---
-  if (state.x > SCENE_W + 50 || state.y > GAME_H + 20) {
+  if (state.x > hill.sceneW + 50 || state.y > GAME_H + 20) {
     state.landed = true
-    const dx = clamp(state.x - startPos.x, 0, SCENE_W)
-    state.distance = clamp(dx / PIXELS_PER_METRE, 0, MAX_DISTANCE)
+    const dx = clamp(state.x - startPos.x, 0, hill.sceneW)
+    state.distance = clamp(dx / hill.pixelsPerMetre, 0, hill.maxDistance)
   }
 
   return state
 }
 
 /**
- * Create an initial flight state from launch velocity and start position.
+ * Create an initial flight state from launch velocity (which carries the
+ * jumper's traits), start position and the round's wind field (from
+ * createWindField; null for still air).
  */
-export function createFlightState(launchVel, startPos) {
+export function createFlightState(launchVel, startPos, windField = null) {
   return {
     x: startPos.x,
     y: startPos.y,
     vx: launchVel.vx,
     vy: launchVel.vy,
+    windField,
+    wind: windField ? windField.at(0, 0) : 0,
+    windSum: 0,
+    traits: launchVel.traits ?? getJumperTraits(null),
+    lean: 0,
+    pitch: 0,
+    pitchPeak: 0,
+    launchAttack: launchVel.attack ?? LAUNCH_ATTACK.perfect,
+    attack: launchVel.attack ?? LAUNCH_ATTACK.perfect,
+    overRotated: false,
     landed: false,
     distance: 0,
+    steps: 0,
     flightTime: 0,
   }
 }
 
+/**
+ * Set the lean input, in whole levels (-POSTURE.levels full back …
+ * POSTURE.levels full forward), from the next step on. The live game and
+ * the replay both go through here, so a recorded level flies the same.
+ */
+export function setLean(state, level) {
+  state.lean = clamp(Math.round(level) || 0, -POSTURE.levels, POSTURE.levels)
+}
+
 // ---------------------------------------------------------------------------
-// 4. calculateFlightPath(launchVel, startPos)
+// 4. calculateFlightPath(launchVel, startPos, windField, hill)
 // ---------------------------------------------------------------------------
 /**
  * Pre-calculate the entire flight path from launch to landing.
  * Useful for prediction lines or knowing total flight time / landing point.
  *
- * Returns Array<{ x, y, t }> — positions sampled at 60fps.
+ * Returns Array<{ x, y, t }> — positions at every physics step.
  */
-export function calculateFlightPath(launchVel, startPos) {
+export function calculateFlightPath(launchVel, startPos, windField = null, hill = DEFAULT_HILL) {
   const path = []
-  const dt = 1 / 60
-  const maxTime = 10 // safety cap: 10 seconds max
+  const state = createFlightState(launchVel, startPos, windField)
 
-  const state = createFlightState(launchVel, startPos)
-
-  while (!state.landed && state.flightTime < maxTime) {
+  while (!state.landed && state.steps < MAX_FLIGHT_STEPS) {
     path.push({ x: state.x, y: state.y, t: state.flightTime })
-    simulateFlight(state, startPos, dt)
+    simulateFlight(state, startPos, hill)
   }
 
   // Add the landing point
@@ -218,17 +412,16 @@ export function calculateFlightPath(launchVel, startPos) {
 }
 
 // ---------------------------------------------------------------------------
-// 5. getHillY(x)
+// 5. getHillY(x, hill)
 // ---------------------------------------------------------------------------
 /**
  * Given an x coordinate, return the y coordinate of the landing hill surface.
- * hillY = RAMP_LIP.y + (x - RAMP_LIP.x) * LANDING_HILL_SLOPE
- * Clamped to game bounds.
+ * The surface follows the hill's curved profile (knoll → landing zone →
+ * outrun). Clamped to game bounds.
  */
-export function getHillY(x) {
-  if (x < RAMP_LIP.x) return RAMP_LIP.y
-  const hillY = RAMP_LIP.y + (x - RAMP_LIP.x) * LANDING_HILL_SLOPE
-  return clamp(hillY, 0, GAME_H)
+export function getHillY(x, hill = DEFAULT_HILL) {
+  if (x < hill.rampLip.x) return hill.rampLip.y
+  return clamp(getHillProfile(hill).yAt(x), 0, GAME_H)
 }
 
 // ---------------------------------------------------------------------------
@@ -249,3 +442,186 @@ export function calculateScore(distanceMetres, landingMultiplier) {
 
   return { finalDistance, raw, multiplier }
 }
+
+// ---------------------------------------------------------------------------
+// 7. adjustLandingForHill(grade, distanceMetres, hill)
+// ---------------------------------------------------------------------------
+/**
+ * Adjust a landing grade for where on the hill it happened.
+ *
+ * Past HS the hill is already flattening into the transition, so the
+ * jumper hits the snow at a much steeper relative angle: the landing drops
+ * one grade (telemark → clean → shaky → crash). Reaching the flat outrun
+ * is always a crash.
+ *
+ * Returns { grade, zone } where zone is from the profile's zoneAt().
+ */
+const LANDING_GRADE_ORDER = ['telemark', 'clean', 'shaky', 'crash']
+
+export function adjustLandingForHill(grade, distanceMetres, hill = DEFAULT_HILL) {
+  const zone = getHillProfile(hill).zoneAt(distanceMetres)
+  if (zone === 'outrun') return { grade: 'crash', zone }
+  if (zone === 'beyondHS') {
+    const i = LANDING_GRADE_ORDER.indexOf(grade)
+    const next = LANDING_GRADE_ORDER[Math.min(i + 1, LANDING_GRADE_ORDER.length - 1)]
+    return { grade: next, zone }
+  }
+  return { grade, zone }
+}
+
+// ---------------------------------------------------------------------------
+// 8. getRoundWind(seed, round)
+// ---------------------------------------------------------------------------
+/**
+ * Wind speed (m/s, one decimal) for a round of a seeded game.
+ * Each round draws from its own stream, so the sequence depends only on
+ * the seed — never on how many particles or messages were rolled before.
+ */
+export function getRoundWind(seed, round) {
+  const rng = createRng(deriveSeed(seed, 'wind', round))
+  return Math.round(
+    (rng() * (WIND_RANGE.max - WIND_RANGE.min) + WIND_RANGE.min) * 10
+  ) / 10
+}
+
+// ---------------------------------------------------------------------------
+// 8b. createWindField(seed, round)
+// ---------------------------------------------------------------------------
+/**
+ * The round's wind as it blows during the flight: the mean from
+ * getRoundWind() plus gusts and lulls that vary along the hill and over
+ * time, strong enough to swing a light wind round the other way.
+ *
+ * The gusts are seeded cells, WIND_GUSTS.spacing metres by period seconds,
+ * blended smoothly into their neighbours. The blend is plain polynomial
+ * arithmetic (no trig), so it adds no engine-to-engine differences of its
+ * own (see DISTANCE_EPSILON in replay.js for the ones the launch brings).
+ *
+ * Returns { mean, at(metres, seconds) } — wind in m/s (negative =
+ * headwind) at a distance downhill from the lip and a time since take-off.
+ */
+export function createWindField(seed, round) {
+  const { amplitude, spacing, period, span, duration } = WIND_GUSTS
+  const mean = getRoundWind(seed, round)
+  const cols = Math.ceil(span / spacing) + 1
+  const rows = Math.ceil(duration / period) + 1
+  const rng = createRng(deriveSeed(seed, 'gusts', round))
+  const gusts = new Float64Array(cols * rows)
+  for (let i = 0; i < gusts.length; i++) gusts[i] = (rng() * 2 - 1) * amplitude
+
+  const smooth = (f) => f * f * (3 - 2 * f)
+  const cell = (row, c, fu) =>
+    gusts[row * cols + c] + (gusts[row * cols + c + 1] - gusts[row * cols + c]) * fu
+
+  return {
+    mean,
+    at(metres, seconds) {
+      const u = clamp(metres / spacing, 0, cols - 1)
+      const v = clamp(seconds / period, 0, rows - 1)
+      const c = Math.min(Math.floor(u), cols - 2)
+      const r = Math.min(Math.floor(v), rows - 2)
+      const fu = smooth(u - c)
+      const near = cell(r, c, fu)
+      const later = cell(r + 1, c, fu)
+      return mean + near + (later - near) * smooth(v - r)
+    },
+  }
+}
+
+// ---------------------------------------------------------------------------
+// 9. calculateTotal(distances) / markCounted(rounds)
+// ---------------------------------------------------------------------------
+/**
+ * Game total: sum of the best BEST_N round distances, to 0.1m.
+ * Works on a partial game too (the running total after N rounds).
+ */
+export function calculateTotal(distances) {
+  const best = [...distances].sort((a, b) => b - a).slice(0, BEST_N)
+  return Math.round(best.reduce((sum, d) => sum + d, 0) * 10) / 10
+}
+
+/**
+ * Round results ({ round, distance }) in round order, each with counted
+ * set on the BEST_N that make up calculateTotal.
+ */
+export function markCounted(rounds) {
+  return [...rounds]
+    .sort((a, b) => b.distance - a.distance)
+    .map((r, i) => ({ ...r, counted: i < BEST_N }))
+    .sort((a, b) => a.round - b.round)
+}
+
+// ---------------------------------------------------------------------------
+// 10. gradeLaunch(elapsedMs) / gradeLanding(progress, jumper)
+// ---------------------------------------------------------------------------
+/**
+ * Launch grade for a tap `elapsedMs` after the approach started.
+ * null means no tap (auto-launch), which is always a miss.
+ */
+export function gradeLaunch(elapsedMs) {
+  if (elapsedMs == null) return 'miss'
+  const error = Math.abs(elapsedMs - (APPROACH_DURATION - LAUNCH_EARLY_BIAS))
+  if (error <= TIMING.perfect) return 'perfect'
+  if (error <= TIMING.good) return 'good'
+  if (error <= TIMING.ok) return 'ok'
+  return 'miss'
+}
+
+/**
+ * Landing grade for a tap at flight progress `progress` (0 → 1), by the
+ * jumper's landing windows (see getLandingWindows).
+ * At or past LANDING_TIMING.autoCrash it is always a crash.
+ *
+ * Returns { grade, multiplier }.
+ */
+export function gradeLanding(progress, jumper = null) {
+  const { optimal, earlyBias, autoCrash } = LANDING_TIMING
+  const windows = getLandingWindows(jumper)
+  let grade = 'crash'
+  if (progress < autoCrash) {
+    const error = Math.abs(progress - (optimal - earlyBias))
+    if (error <= windows.telemark) grade = 'telemark'
+    else if (error <= windows.clean) grade = 'clean'
+    else if (error <= windows.shaky) grade = 'shaky'
+  }
+  return { grade, multiplier: LANDING_MULT[grade] }
+}
+
+/**
+ * LANDING_TIMING.windows widened (or narrowed) by a jumper's stability.
+ * Returns { telemark, clean, shaky } — max progress error per grade.
+ */
+export function getLandingWindows(jumper = null) {
+  const { stability } = getJumperTraits(jumper)
+  const { windows } = LANDING_TIMING
+  return {
+    telemark: windows.telemark * stability,
+    clean: windows.clean * stability,
+    shaky: windows.shaky * stability,
+  }
+}
+
+// ---------------------------------------------------------------------------
+// 11. estimateFlightSteps(launchVel, startPos, windField, hill) / getFlightProgress(steps, est)
+// ---------------------------------------------------------------------------
+/**
+ * Unassisted flight length in physics steps (no lean), at least half a
+ * second's worth. Flight progress for the landing timer is measured
+ * against this.
+ */
+export function estimateFlightSteps(launchVel, startPos, windField = null, hill = DEFAULT_HILL) {
+  const state = createFlightState(launchVel, startPos, windField)
+  while (!state.landed && state.steps < MAX_FLIGHT_STEPS) {
+    simulateFlight(state, startPos, hill)
+  }
+  return Math.max(state.steps, PHYSICS_HZ / 2)
+}
+
+/**
+ * Flight progress (0 → 1) after `steps` physics steps of an estimated
+ * `estSteps`. The live landing timer and the replay both grade with this,
+ * so the same step always gives the same grade.
+ */
+export function getFlightProgress(steps, estSteps) {
+  return Math.min(steps / estSteps, 1)
+}
@@ -0,0 +1,24 @@
+// =============================================================================
+// AI Ski Jump Championship — Player Name
+// Pure JavaScript — no React, no DOM, no side effects.
+// The nickname shown on challenge links, share posts and leaderboards.
+// =============================================================================
+
+export const MAX_NAME_LENGTH = 16
+
+/**
+ * Clean up a typed or received name: whitespace collapsed, control and
+ * invisible characters removed, capped at MAX_NAME_LENGTH characters
+ * (code points, so emoji aren't cut in half).
+ *
+ * Returns '' when nothing usable is left.
+ */
+export function sanitizeName(raw) {
+  if (typeof raw !== 'string') return ''
+  const clean = raw
+    .normalize('NFC')
+    .replace(/\s+/g, ' ')
+    .replace(/[\p{C}<>]/gu, '')
+    .trim()
+  return Array.from(clean).slice(0, MAX_NAME_LENGTH).join('').trim()
+}
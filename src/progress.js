@@ -0,0 +1,102 @@
+// =============================================================================
+// AI Ski Jump Championship — Career Progress
+// Pure JavaScript — no React, no DOM, no side effects.
+// Running totals over every finished game — metres flown, telemarks landed,
+// the best grade tier reached — the jumpers they unlock, and the player's
+// line-up of jumpers for a game.
+// =============================================================================
+
+import { JUMPERS, ROUNDS_PER_GAME, getGradeByRank, getGradeRank, getJumper } from './constants.js'
+
+export const EMPTY_PROGRESS = { distance: 0, telemarks: 0, gradeRank: 0 }
+
+// ---------------------------------------------------------------------------
+// 1. Career totals
+// ---------------------------------------------------------------------------
+
+/** Progress as saved, with anything missing or malformed counted as 0. */
+export function normalizeProgress(saved) {
+  const count = (v) => (Number.isFinite(v) && v > 0 ? v : 0)
+  return {
+    distance: count(saved?.distance),
+    telemarks: count(saved?.telemarks),
+    gradeRank: count(saved?.gradeRank),
+  }
+}
+
+/**
+ * Progress after one more finished game.
+ *
+ * game: { rounds: [{ rawDistance, landingGrade }], grade } — grade is the
+ *   game's tier label (see getGrade).
+ */
+export function addGameToProgress(progress, { rounds, grade }) {
+  const flown = rounds.reduce((sum, r) => sum + (r.rawDistance || 0), 0)
+  const telemarks = rounds.filter((r) => r.landingGrade === 'telemark').length
+  return {
+    distance: Math.round((progress.distance + flown) * 10) / 10,
+    telemarks: progress.telemarks + telemarks,
+    gradeRank: Math.max(progress.gradeRank, getGradeRank(grade)),
+  }
+}
+
+// ---------------------------------------------------------------------------
+// 2. Unlocks
+// ---------------------------------------------------------------------------
+
+/** Whether a jumper can be picked with this progress. */
+export function isJumperUnlocked(jumper, progress) {
+  if (!jumper.unlock) return true
+  return (progress?.[jumper.unlock.milestone] ?? 0) >= jumper.unlock.min
+}
+
+/**
+ * How far along a locked jumper's milestone is, for the roster.
+ *
+ * Returns { text, current, target } — text names the goal, e.g.
+ * "Land 15 telemarks" — or null when the jumper has no unlock.
+ */
+export function getUnlockProgress(jumper, progress) {
+  if (!jumper.unlock) return null
+  const { milestone, min } = jumper.unlock
+  const current = Math.min(progress?.[milestone] ?? 0, min)
+  if (milestone === 'distance') {
+    return { text: `Fly ${min}m in total`, current: Math.floor(current), target: min }
+  }
+  if (milestone === 'telemarks') {
+    return { text: `Land ${min} telemarks`, current, target: min }
+  }
+  const tier = getGradeByRank(min)
+  return { text: `Reach ${tier.emoji} ${tier.label}`, current, target: min }
+}
+
+/** Jumpers unlocked by going from one progress to the next. */
+export function getNewlyUnlocked(before, after) {
+  return JUMPERS.filter((j) => !isJumperUnlocked(j, before) && isJumperUnlocked(j, after))
+}
+
+// ---------------------------------------------------------------------------
+// 3. Line-ups
+// ---------------------------------------------------------------------------
+
+/** The jumper ids in round order when the player hasn't picked. */
+export const DEFAULT_LINEUP = JUMPERS.slice(0, ROUNDS_PER_GAME).map((j) => j.id)
+
+/**
+ * A line-up that can be played: ROUNDS_PER_GAME different jumpers, all
+ * unlocked. Saved ids are kept in order where they still qualify; the
+ * gaps are filled from the default line-up.
+ */
+export function sanitizeLineup(ids, progress) {
+  const lineup = []
+  const add = (id) => {
+    const jumper = getJumper(id)
+    if (jumper && !lineup.includes(id) && isJumperUnlocked(jumper, progress)) lineup.push(id)
+  }
+  if (Array.isArray(ids)) ids.slice(0, ROUNDS_PER_GAME).forEach(add)
+  for (const id of DEFAULT_LINEUP) {
+    if (lineup.length >= ROUNDS_PER_GAME) break
+    add(id)
+  }
+  return lineup
+}
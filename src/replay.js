@@ -0,0 +1,158 @@
+// =============================================================================
+// AI Ski Jump Championship — Headless Replay
+// Pure JavaScript — no React, no DOM, no side effects.
+// Re-runs a game from its seed and the player's recorded inputs, using the
+// same physics as the live game, so a claimed score can be checked.
+// =============================================================================
+
+import { JUMPERS, LANDING_MULT, POSTURE, getHill, getJumper } from './constants.js'
+import {
+  calculateLaunchVelocity,
+  createFlightState,
+  simulateFlight,
+  setLean,
+  calculateScore,
+  adjustLandingForHill,
+  createWindField,
+  resolveGate,
+  calculateTotal,
+  gradeLaunch,
+  gradeLanding,
+  estimateFlightSteps,
+  getFlightProgress,
+} from './physics.js'
+
+// ---------------------------------------------------------------------------
+// Recorded inputs (one object per round)
+// ---------------------------------------------------------------------------
+//   jumper      id of the jumper from the player's line-up (see JUMPERS);
+//               when it's missing the round's place in the default
+//               line-up decides
+//   gate        start gate the jumper picked (see START_GATES); the jury's
+//               gate overrides it in strong wind, and the reference gate
+//               stands in when it's missing
+//   launchMs    ms from approach start to the launch tap, or null if the
+//               jumper auto-launched
+//   lean        [[step, level], …] — each change of the lean input, as
+//               the physics steps flown when it changed and the new level
+//               (see POSTURE), in order
+//   landStep    physics steps flown at the landing tap or auto-crash
+//
+// The live game and the replay advance flight in the same fixed steps and
+// inputs are pinned to step numbers, so on the same JS engine a replay
+// reproduces the live distances exactly. Across engines it may not: the
+// launch vector and the approach use Math.cos, Math.sin and Math.pow,
+// which the spec lets engines round differently in the last bit, and the
+// server may not run the engine the player's browser did.
+
+// Distances are compared after rounding to 0.1m. Allow one rounding step
+// either way, for a last-bit difference that tips the rounding, plus the
+// float noise in the rounding itself
+const DISTANCE_EPSILON = 0.15
+
+/**
+ * Score a landing at scene x with a timing grade from gradeLanding().
+ * Shared by the live game and the replay so both apply the same hill-zone
+ * and multiplier rules.
+ *
+ * Returns { grade, zone, finalDistance, raw, multiplier }.
+ */
+export function scoreLanding(x, timingGrade, hill) {
+  const rawDist = Math.max(0, (x - hill.rampLip.x) / hill.pixelsPerMetre)
+  const { grade, zone } = adjustLandingForHill(timingGrade, rawDist, hill)
+  return { grade, zone, ...calculateScore(rawDist, LANDING_MULT[grade]) }
+}
+
+/**
+ * The timing grade a landing really gets: a jumper who over-rotated, or
+ * hit the snow before the landing tap, crashes whatever the timing.
+ */
+export function resolveTimingGrade(state, timingGrade) {
+  return state.overRotated || state.landed ? 'crash' : timingGrade
+}
+
+/**
+ * Replay one round in the given wind field (see createWindField), flown
+ * by the given jumper (entry from JUMPERS; null for neutral stats).
+ * onStep, if given, sees the flight state at the launch and after every
+ * step — how a ghost's path is recorded (see ghost.js).
+ *
+ * Returns { launchGrade, gate, timingGrade, landingGrade, zone, distance,
+ *   rawDistance, multiplier }.
+ */
+export function simulateRound(inputs, windField, hill, jumper = null, onStep = null) {
+  const launchGrade = gradeLaunch(inputs.launchMs)
+  const gate = resolveGate(inputs.gate, windField ? windField.mean : 0)
+  const vel = calculateLaunchVelocity(launchGrade, hill, gate, jumper)
+  const startPos = { x: hill.rampLip.x, y: hill.rampLip.y }
+  const estSteps = estimateFlightSteps(vel, startPos, windField, hill)
+
+  // A lean change at step s sets the level step s + 1 flies with
+  const lean = (inputs.lean || []).slice(0, POSTURE.maxChanges)
+  const state = createFlightState(vel, startPos, windField)
+  let nextLean = 0
+  if (onStep) onStep(state)
+  while (!state.landed && state.steps < inputs.landStep) {
+    while (nextLean < lean.length && lean[nextLean][0] <= state.steps) {
+      setLean(state, lean[nextLean][1])
+      nextLean++
+    }
+    simulateFlight(state, startPos, hill)
+    if (onStep) onStep(state)
+  }
+
+  const timingGrade = resolveTimingGrade(
+    state,
+    gradeLanding(getFlightProgress(inputs.landStep, estSteps), jumper).grade,
+  )
+  const landing = scoreLanding(state.x, timingGrade, hill)
+
+  return {
+    launchGrade,
+    gate,
+    timingGrade,
+    landingGrade: landing.grade,
+    zone: landing.zone,
+    distance: landing.finalDistance,
+    rawDistance: landing.raw,
+    multiplier: landing.multiplier,
+  }
+}
+
+/**
+ * Replay a whole game from its seed, each round flown by its recorded
+ * jumper.
+ *
+ * inputs: array of per-round inputs (see above), in round order.
+ * Returns { rounds, total }.
+ */
+export function replayGame({ seed, hillId, inputs }) {
+  const hill = getHill(hillId)
+  const rounds = inputs.map((roundInputs, i) => {
+    const jumper = roundInputs.jumper != null ? getJumper(roundInputs.jumper) : JUMPERS[i]
+    return simulateRound(roundInputs, createWindField(seed, i), hill, jumper)
+  })
+  return { rounds, total: calculateTotal(rounds.map((r) => r.distance)) }
+}
+
+/**
+ * Check claimed round results against a replay of the recorded inputs.
+ *
+ * claimed: [{ distance, landingGrade }] in round order, one per input.
+ * A round passes only when the replay lands with the same grade and the
+ * same distance.
+ *
+ * Returns { verified, replay } where replay is from replayGame().
+ */
+export function verifyGame({ seed, hillId, inputs, claimed }) {
+  const replay = replayGame({ seed, hillId, inputs })
+  if (claimed.length !== replay.rounds.length) return { verified: false, replay }
+
+  const verified = claimed.every((c, i) => {
+    const r = replay.rounds[i]
+    return c.landingGrade === r.landingGrade
+      && Math.abs(c.distance - r.distance) < DISTANCE_EPSILON
+  })
+
+  return { verified, replay }
+}
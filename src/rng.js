@@ -0,0 +1,57 @@
+// =============================================================================
+// AI Ski Jump Championship — Seeded Random Numbers
+// Pure JavaScript — no React, no DOM, no side effects.
+// Every random game element draws from here so a game can be replayed
+// exactly from its seed on any device.
+// =============================================================================
+
+// ---------------------------------------------------------------------------
+// Streams
+// ---------------------------------------------------------------------------
+// A game has one 32-bit seed. Independent streams are derived from it by
+// label (and round), so e.g. drawing extra particles never shifts the wind:
+//
+//   deriveSeed(seed, 'wind', 2)   → wind for round 3
+//   deriveSeed(seed, 'message', 0) → distance message for round 1
+//   deriveSeed(seed, 'fx')        → cosmetic particles for the whole game
+
+/** Random 32-bit unsigned seed for a new game. */
+export function randomSeed() {
+  try {
+    return crypto.getRandomValues(new Uint32Array(1))[0]
+  } catch {
+    return Math.floor(Math.random() * 0x100000000) >>> 0
+  }
+}
+
+/**
+ * Derive an independent 32-bit seed from a base seed and any number of
+ * labels (strings or numbers). FNV-1a over the parts, then a final mix.
+ */
+export function deriveSeed(seed, ...parts) {
+  let h = (2166136261 ^ (seed >>> 0)) >>> 0
+  const str = parts.join(':')
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i)
+    h = Math.imul(h, 16777619) >>> 0
+  }
+  h ^= h >>> 16
+  h = Math.imul(h, 0x85ebca6b) >>> 0
+  h ^= h >>> 13
+  return h >>> 0
+}
+
+/**
+ * Create a seeded generator (mulberry32). Returns a function that yields
+ * floats in [0, 1) — a drop-in replacement for Math.random.
+ */
+export function createRng(seed) {
+  let a = seed >>> 0
+  return function rng() {
+    a = (a + 0x6d2b79f5) >>> 0
+    let t = a
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
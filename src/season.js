@@ -0,0 +1,224 @@
+// =============================================================================
+// AI Ski Jump Championship — World Cup Season
+// Pure JavaScript — no React, no DOM, no side effects.
+// A calendar of events on different hills, each one game against a
+// simulated field. The player's place earns World Cup points, the points
+// add up to the season standings, and whoever leads them after the last
+// event is champion. Everything but the player's own totals is derived
+// from the season seed, so a saved season is just the seed and the
+// player's results.
+// =============================================================================
+
+import { getHill } from './constants.js'
+import { createRng, deriveSeed } from './rng.js'
+
+// ---------------------------------------------------------------------------
+// 1. Calendar, points and field
+// ---------------------------------------------------------------------------
+
+// Season rule: the calendar is the same for everyone, so the flying hill
+// events are jumped whether or not the player has unlocked the flying hill
+// for free play (see isHillUnlocked) — the World Cup is where a newcomer
+// first gets to fly
+export const SEASON_EVENTS = [
+  { id: 'lillehammer', venue: 'Lillehammer', flag: '🇳🇴', hillId: 'normal' },
+  { id: 'engelberg', venue: 'Engelberg', flag: '🇨🇭', hillId: 'large' },
+  { id: 'zakopane', venue: 'Zakopane', flag: '🇵🇱', hillId: 'large' },
+  { id: 'lahti', venue: 'Lahti', flag: '🇫🇮', hillId: 'normal' },
+  { id: 'vikersund', venue: 'Vikersund', flag: '🇳🇴', hillId: 'flying' },
+  { id: 'planica', venue: 'Planica', flag: '🇸🇮', hillId: 'flying' },
+]
+
+// World Cup points for 1st, 2nd, … — the top 30 score
+export const WORLD_CUP_POINTS = [
+  100, 80, 60, 50, 45, 40, 36, 32, 29, 26,
+  24, 22, 20, 18, 16, 15, 14, 13, 12, 11,
+  10, 9, 8, 7, 6, 5, 4, 3, 2, 1,
+]
+
+// Rivals alongside the player in every event
+export const FIELD_SIZE = 39
+
+// Rival form, in grade tiers (see getGrade): the favourite averages about
+// an Olympic Champion total, the back of the field a few tiers lower, and
+// any one event can swing FORM_SPREAD tiers either side
+const FORM_TOP = 4.9
+const FORM_BOTTOM = 1.6
+const FORM_SPREAD = 0.7
+
+const RIVAL_FIRST = [
+  'Neural', 'Sparse', 'Latent', 'Quantum', 'Deep', 'Tensor', 'Random',
+  'Greedy', 'Recursive', 'Binary', 'Turbo', 'Async', 'Lambda', 'Fuzzy',
+]
+const RIVAL_LAST = [
+  'Net', 'Forest', 'Walker', 'Search', 'Cache', 'Kernel', 'Agent',
+  'Prompt', 'Token', 'Router', 'Encoder', 'Bot',
+]
+const RIVAL_FLAGS = ['🇳🇴', '🇦🇹', '🇩🇪', '🇵🇱', '🇸🇮', '🇯🇵', '🇨🇭', '🇫🇮', '🇺🇸', '🇨🇦', '🇮🇹', '🇨🇿']
+
+export const PLAYER_ID = 'you'
+
+/** The season's event at an index, or null past the end of the calendar. */
+export function getSeasonEvent(index) {
+  return SEASON_EVENTS[index] || null
+}
+
+// ---------------------------------------------------------------------------
+// 2. Season record
+// ---------------------------------------------------------------------------
+// { seed, startedAt, results } — results[i] is the player's finished
+// event i: { total, grade }, in calendar order.
+
+/** A new season from a seed. */
+export function createSeason(seed, startedAt = new Date().toISOString()) {
+  return { seed: seed >>> 0, startedAt, results: [] }
+}
+
+/** A season as saved, or null when there's nothing usable. */
+export function normalizeSeason(saved) {
+  if (!saved || !Number.isInteger(saved.seed) || !Array.isArray(saved.results)) return null
+  const results = saved.results
+    .filter((r) => Number.isFinite(r?.total))
+    .slice(0, SEASON_EVENTS.length)
+    .map((r) => ({ total: r.total, grade: typeof r.grade === 'string' ? r.grade : null }))
+  return { seed: saved.seed >>> 0, startedAt: String(saved.startedAt || ''), results }
+}
+
+/** Index of the next event to jump, or null once the season is over. */
+export function getNextEventIndex(season) {
+  return season.results.length < SEASON_EVENTS.length ? season.results.length : null
+}
+
+export function isSeasonOver(season) {
+  return getNextEventIndex(season) == null
+}
+
+/** Game seed for an event — the wind of all its rounds comes from it. */
+export function getEventSeed(season, index) {
+  return deriveSeed(season.seed, 'event', index)
+}
+
+/** The season with the player's total for the next event added. */
+export function recordSeasonEvent(season, { total, grade }) {
+  if (isSeasonOver(season)) return season
+  return { ...season, results: [...season.results, { total, grade }] }
+}
+
+// ---------------------------------------------------------------------------
+// 3. The field
+// ---------------------------------------------------------------------------
+
+/**
+ * The season's rivals, strongest first: { id, name, flag, form } — form
+ * in grade tiers.
+ */
+export function createField(season) {
+  const rng = createRng(deriveSeed(season.seed, 'field'))
+  const names = []
+  for (const first of RIVAL_FIRST) {
+    for (const last of RIVAL_LAST) names.push(`${first} ${last}`)
+  }
+  // Partial Fisher–Yates: the first FIELD_SIZE names, in random order
+  for (let i = 0; i < FIELD_SIZE; i++) {
+    const j = i + Math.floor(rng() * (names.length - i))
+    const swap = names[i]
+    names[i] = names[j]
+    names[j] = swap
+  }
+  return names.slice(0, FIELD_SIZE).map((name, i) => ({
+    id: `r${i}`,
+    name,
+    flag: RIVAL_FLAGS[Math.floor(rng() * RIVAL_FLAGS.length)],
+    form: FORM_BOTTOM + (FORM_TOP - FORM_BOTTOM) * Math.pow(1 - i / (FIELD_SIZE - 1), 1.6),
+  }))
+}
+
+/**
+ * A total for a form on a hill: whole tiers land on the hill's grade
+ * thresholds, in between is interpolated, and past the top tier the last
+ * step carries on.
+ */
+function totalForForm(form, hill) {
+  const mins = hill.gradeTiers.map((t) => t.min).reverse() // lowest tier first
+  const top = mins.length - 1
+  const f = Math.max(0, form)
+  const i = Math.min(Math.floor(f), top - 1)
+  const t = f - i
+  return Math.round((mins[i] + (mins[i + 1] - mins[i]) * t) * 10) / 10
+}
+
+/** Every rival's total at an event: [{ id, total }], in field order. */
+export function simulateEvent(season, index, field = createField(season)) {
+  const event = getSeasonEvent(index)
+  const hill = getHill(event.hillId)
+  const rng = createRng(deriveSeed(season.seed, 'field', index))
+  return field.map((rival) => ({
+    id: rival.id,
+    total: totalForForm(rival.form + (rng() * 2 - 1) * FORM_SPREAD, hill),
+  }))
+}
+
+// ---------------------------------------------------------------------------
+// 4. Results and standings
+// ---------------------------------------------------------------------------
+
+/** "1st", "2nd", "23rd" … */
+export function ordinal(n) {
+  const tens = n % 100
+  if (tens >= 11 && tens <= 13) return `${n}th`
+  return `${n}${['th', 'st', 'nd', 'rd'][n % 10] || 'th'}`
+}
+
+/** World Cup points for a place (1-based). */
+export function getWorldCupPoints(place) {
+  return WORLD_CUP_POINTS[place - 1] ?? 0
+}
+
+/**
+ * An event the player has finished, placed: { event, total, place,
+ * points, ranking } — ranking is everyone's [{ id, total, place, points }],
+ * best first. The player takes a tie.
+ */
+export function getEventResult(season, index, field = createField(season)) {
+  const mine = season.results[index]
+  if (!mine) return null
+  const ranking = [{ id: PLAYER_ID, total: mine.total }, ...simulateEvent(season, index, field)]
+    .sort((a, b) => b.total - a.total) // stable — the player stays ahead on a tie
+    .map((r, i) => ({ ...r, place: i + 1, points: getWorldCupPoints(i + 1) }))
+  const me = ranking.find((r) => r.id === PLAYER_ID)
+  return {
+    event: getSeasonEvent(index),
+    total: mine.total,
+    place: me.place,
+    points: me.points,
+    ranking,
+  }
+}
+
+/**
+ * Season standings over the finished events, leader first:
+ * [{ id, name, flag, points, wins, place }] — the player's row has id
+ * PLAYER_ID. Level on points, more event wins goes ahead.
+ */
+export function getStandings(season, playerName = '') {
+  const field = createField(season)
+  const rows = new Map([
+    [PLAYER_ID, { id: PLAYER_ID, name: playerName || 'You', flag: '🎿', points: 0, wins: 0 }],
+    ...field.map((r) => [r.id, { id: r.id, name: r.name, flag: r.flag, points: 0, wins: 0 }]),
+  ])
+  season.results.forEach((_, i) => {
+    for (const r of getEventResult(season, i, field).ranking) {
+      const row = rows.get(r.id)
+      row.points += r.points
+      if (r.place === 1) row.wins += 1
+    }
+  })
+  return [...rows.values()]
+    .sort((a, b) => b.points - a.points || b.wins - a.wins)
+    .map((row, i) => ({ ...row, place: i + 1 }))
+}
+
+/** The champion's standings row once the season is over, else null. */
+export function getChampion(season, playerName = '') {
+  return isSeasonOver(season) ? getStandings(season, playerName)[0] : null
+}
@@ -297,6 +297,28 @@ export function playSound(type) {
         return null
       }
 
+      // -------------------------------------------------------
+      // ACHIEVEMENT — Two-note chime as a toast slides in
+      // Triangle waves E5 then B5, 90ms apart, 250ms decay each
+      // -------------------------------------------------------
+      case 'achievement': {
+        const notes = [659.25, 987.77]
+        notes.forEach((freq, i) => {
+          const t = now + i * 0.09
+          const osc = ctx.createOscillator()
+          const gain = ctx.createGain()
+          osc.type = 'triangle'
+          osc.frequency.setValueAtTime(freq, t)
+          gain.gain.setValueAtTime(0, t)
+          gain.gain.linearRampToValueAtTime(0.2, t + 0.01)
+          gain.gain.linearRampToValueAtTime(0, t + 0.25)
+          osc.connect(gain).connect(ctx.destination)
+          osc.start(t)
+          osc.stop(t + 0.25)
+        })
+        return null
+      }
+
       default:
         return null
     }
@@ -0,0 +1,165 @@
+// =============================================================================
+// AI Ski Jump Championship — Team Event
+// Pure JavaScript — no React, no DOM, no side effects.
+// Two to four teams of four, sharing one device. The event is two series;
+// each series is four jumps per team, one per member, in groups: every
+// team's first member, then every team's second, and so on, with each
+// group jumping in its own wind. After series one the bottom half is cut,
+// keeping at least two teams — so two teams both go through — and in
+// series two the finalists go in reverse order of the standings, so the
+// leader jumps last.
+//
+// A team's total is the sum of all its members' jumps — points with
+// official scoring, metres in arcade. Like pass-and-play (see hotseat.js)
+// the game keeps one list of results; each is tagged with its team,
+// member and series.
+// =============================================================================
+
+import { BRAND } from './constants.js'
+import { sanitizeName } from './player.js'
+
+export const TEAM_SIZE = 4
+export const MIN_TEAMS = 2
+export const MAX_TEAMS = 4
+export const TEAM_SERIES = 2
+
+export const TEAM_COLOURS = [
+  BRAND.blue, BRAND.orange, BRAND.green, BRAND.purple, BRAND.red, '#eab308',
+]
+
+// ---------------------------------------------------------------------------
+// 1. Teams
+// ---------------------------------------------------------------------------
+// Each team: { name, colour, members } — members are TEAM_SIZE names, in
+// the order they jump.
+
+/** An empty team for the set-up form — the index picks its colour. */
+export function createTeam(index) {
+  return {
+    name: '',
+    colour: TEAM_COLOURS[index % TEAM_COLOURS.length],
+    members: Array.from({ length: TEAM_SIZE }, () => ''),
+  }
+}
+
+/**
+ * Teams as entered, ready to jump: names cleaned up (see sanitizeName),
+ * blank or repeated team names given "Team N", blank members given
+ * "<team> N", colours checked against TEAM_COLOURS, and capped at
+ * MAX_TEAMS.
+ */
+export function sanitizeTeams(teams) {
+  const list = (Array.isArray(teams) ? teams : []).slice(0, MAX_TEAMS)
+  const taken = new Set()
+  return list.map((team, i) => {
+    let name = sanitizeName(team?.name)
+    if (!name || taken.has(name.toLowerCase())) name = `Team ${i + 1}`
+    taken.add(name.toLowerCase())
+    const colour = TEAM_COLOURS.includes(team?.colour) ? team.colour : TEAM_COLOURS[i % TEAM_COLOURS.length]
+    const members = Array.from({ length: TEAM_SIZE }, (_, m) => (
+      sanitizeName(team?.members?.[m]) || `${name} ${m + 1}`
+    ))
+    return { name, colour, members }
+  })
+}
+
+/**
+ * Number of teams that go through to series two: the top half, but never
+ * fewer than MIN_TEAMS — with two teams nobody is cut.
+ */
+export function getFinalistCount(teamCount) {
+  return Math.max(MIN_TEAMS, Math.ceil(teamCount / 2))
+}
+
+// ---------------------------------------------------------------------------
+// 2. Standings
+// ---------------------------------------------------------------------------
+
+function scoreKey(scoring) {
+  return scoring === 'official' ? 'officialTotal' : 'total'
+}
+
+/**
+ * Standings from the jumps so far, leader first:
+ * [{ team, name, colour, total, officialTotal, members, cut, place }]
+ *
+ *   members  [{ name, jumps }] — each member's results, series order
+ *   cut      out after series one — ranked below every finalist
+ *   place    1-based — teams level on the scoring system's total share it
+ *
+ * scores: round results tagged { team, member, series }.
+ */
+export function getTeamStandings(scores, teams, scoring) {
+  const key = scoreKey(scoring)
+  const round1 = (v) => Math.round(v * 10) / 10
+  const rows = teams.map((team, t) => {
+    const jumps = scores.filter((s) => s.team === t)
+    return {
+      team: t,
+      name: team.name,
+      colour: team.colour,
+      total: round1(jumps.reduce((sum, s) => sum + s.distance, 0)),
+      officialTotal: round1(jumps.reduce((sum, s) => sum + s.official.points, 0)),
+      members: team.members.map((name, m) => ({
+        name,
+        jumps: jumps.filter((s) => s.member === m).sort((a, b) => a.series - b.series),
+      })),
+    }
+  })
+
+  // The cut is made on the series one standings, once it's complete
+  const seriesOneDone = scores.filter((s) => s.series === 0).length >= teams.length * TEAM_SIZE
+  const finalists = new Set(
+    [...rows]
+      .sort((a, b) => b[key] - a[key] || a.team - b.team)
+      .slice(0, getFinalistCount(teams.length))
+      .map((r) => r.team),
+  )
+  const ranked = rows
+    .map((r) => ({ ...r, cut: seriesOneDone && !finalists.has(r.team) }))
+    .sort((a, b) => a.cut - b.cut || b[key] - a[key] || a.team - b.team)
+  return ranked.map((row) => {
+    const level = ranked.findIndex((r) => r.cut === row.cut && r[key] === row[key])
+    return { ...row, place: level + 1 }
+  })
+}
+
+// ---------------------------------------------------------------------------
+// 3. Jumping order
+// ---------------------------------------------------------------------------
+// A turn is { series, group, slot }: group is the member jumping for every
+// team, slot the position in the series' team order (see getSeriesOrder).
+
+/** The first jump of the event. */
+export const FIRST_TURN = { series: 0, group: 0, slot: 0 }
+
+/**
+ * Team indices in jumping order for a series: as entered for series one;
+ * for series two the finalists, last-placed first.
+ */
+export function getSeriesOrder(series, scores, teams, scoring) {
+  if (series === 0) return teams.map((_, t) => t)
+  return getTeamStandings(scores.filter((s) => s.series === 0), teams, scoring)
+    .filter((r) => !r.cut)
+    .reverse()
+    .map((r) => r.team)
+}
+
+/** Wind and judging index for a turn's group — 0 … TEAM_SERIES × TEAM_SIZE − 1. */
+export function getGroupIndex(turn) {
+  return turn.series * TEAM_SIZE + turn.group
+}
+
+/** The team jumping at a turn. */
+export function getTurnTeam(turn, scores, teams, scoring) {
+  return getSeriesOrder(turn.series, scores, teams, scoring)[turn.slot]
+}
+
+/** The turn after this one, or null when the event is over. */
+export function getNextTurn(turn, scores, teams, scoring) {
+  const order = getSeriesOrder(turn.series, scores, teams, scoring)
+  if (turn.slot + 1 < order.length) return { ...turn, slot: turn.slot + 1 }
+  if (turn.group + 1 < TEAM_SIZE) return { ...turn, group: turn.group + 1, slot: 0 }
+  if (turn.series + 1 < TEAM_SERIES) return { series: turn.series + 1, group: 0, slot: 0 }
+  return null
+}
@@ -0,0 +1,121 @@
+// =============================================================================
+// AI Ski Jump Championship — Lean Input Hook
+// Reads the in-flight lean from whichever control the player is using:
+// a held pointer dragged up/down, the arrow keys, or tilting the phone.
+// The lean is a number from -1 (full back) to 1 (full forward), kept in a
+// ref so the flight loop can read it every physics step without re-renders.
+// =============================================================================
+
+import { useEffect, useRef } from 'react'
+
+// Pointer travel (CSS px) from where the press started to full lean
+const DRAG_RANGE = 90
+
+// Phone tilt (degrees, front-back) from where it was held at take-off to
+// full lean
+const TILT_RANGE = 25
+
+const FORWARD_KEYS = ['ArrowDown', 'ArrowRight']
+const BACK_KEYS = ['ArrowUp', 'ArrowLeft']
+
+function clampLean(v) {
+  return Math.max(-1, Math.min(1, v))
+}
+
+/**
+ * Ask for motion-sensor access where the browser requires it (iOS Safari).
+ * Must be called from a tap or click; resolves either way.
+ */
+export function requestTiltPermission() {
+  const request = globalThis.DeviceOrientationEvent?.requestPermission
+  if (typeof request !== 'function') return Promise.resolve()
+  return request.call(DeviceOrientationEvent).catch(() => {})
+}
+
+// ---------------------------------------------------------------------------
+// useLeanInput — lean from pointer drag, arrow keys or device tilt
+// ---------------------------------------------------------------------------
+/**
+ * While `active`, keeps the returned ref's `.current` at the player's lean.
+ * A drag wins over the keys, and the keys over tilt. Releasing a drag or
+ * key lets go of the lean (0).
+ */
+export default function useLeanInput(active) {
+  const leanRef = useRef(0)
+
+  useEffect(() => {
+    leanRef.current = 0
+    if (!active) return
+
+    let drag = null // { id, startY, lean } while a pointer is held
+    const keys = new Set()
+    let tiltBase = null
+    let tilt = 0
+
+    function update() {
+      if (drag) leanRef.current = drag.lean
+      else if (keys.size > 0) {
+        const forward = FORWARD_KEYS.some((k) => keys.has(k)) ? 1 : 0
+        const back = BACK_KEYS.some((k) => keys.has(k)) ? 1 : 0
+        leanRef.current = forward - back
+      } else leanRef.current = tilt
+    }
+
+    function handlePointerDown(e) {
+      drag = { id: e.pointerId, startY: e.clientY, lean: 0 }
+      update()
+    }
+
+    function handlePointerMove(e) {
+      if (!drag || e.pointerId !== drag.id) return
+      drag.lean = clampLean((e.clientY - drag.startY) / DRAG_RANGE)
+      update()
+    }
+
+    function handlePointerUp(e) {
+      if (!drag || e.pointerId !== drag.id) return
+      drag = null
+      update()
+    }
+
+    function handleKeyDown(e) {
+      if (!FORWARD_KEYS.includes(e.code) && !BACK_KEYS.includes(e.code)) return
+      keys.add(e.code)
+      update()
+    }
+
+    function handleKeyUp(e) {
+      if (keys.delete(e.code)) update()
+    }
+
+    // beta is the front-back tilt; whatever angle the phone is held at
+    // when flight starts counts as neutral
+    function handleOrientation(e) {
+      if (e.beta == null) return
+      if (tiltBase == null) tiltBase = e.beta
+      tilt = clampLean((e.beta - tiltBase) / TILT_RANGE)
+      update()
+    }
+
+    window.addEventListener('pointerdown', handlePointerDown)
+    window.addEventListener('pointermove', handlePointerMove)
+    window.addEventListener('pointerup', handlePointerUp)
+    window.addEventListener('pointercancel', handlePointerUp)
+    window.addEventListener('keydown', handleKeyDown)
+    window.addEventListener('keyup', handleKeyUp)
+    window.addEventListener('deviceorientation', handleOrientation)
+
+    return () => {
+      window.removeEventListener('pointerdown', handlePointerDown)
+      window.removeEventListener('pointermove', handlePointerMove)
+      window.removeEventListener('pointerup', handlePointerUp)
+      window.removeEventListener('pointercancel', handlePointerUp)
+      window.removeEventListener('keydown', handleKeyDown)
+      window.removeEventListener('keyup', handleKeyUp)
+      window.removeEventListener('deviceorientation', handleOrientation)
+      leanRef.current = 0
+    }
+  }, [active])
+
+  return leanRef
+}